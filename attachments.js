@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// What the phone can send by default: photos and screenshots, documents
+// Claude can read, and plain text of any kind
+const DEFAULT_TYPES = [
+  'image/*',
+  'text/*',
+  'application/pdf',
+  'application/json',
+  'application/xml',
+  'application/x-yaml',
+  'application/yaml'
+];
+
+// Used to name and serve stored files
+const TYPES_BY_EXTENSION = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  json: 'application/json',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  log: 'text/plain',
+  html: 'text/html',
+  xml: 'application/xml',
+  yaml: 'application/yaml',
+  yml: 'application/yaml'
+};
+
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+// Keep names readable but safe as a single path segment
+function safeName(name) {
+  const base = path.basename(String(name || '')).replace(/[^\w.\- ]+/g, '_').replace(/^[.\s]+/, '').trim();
+  return (base || 'attachment').slice(0, 120);
+}
+
+// Files uploaded from the phone for Claude to read, one folder per
+// conversation. An attachment is addressed by "<conversation key>/<name>".
+//
+// options.maxSize - largest upload in bytes
+// options.types - accepted MIME types; "type/*" matches a whole family
+class Attachments {
+  constructor(storeDir, options = {}) {
+    this.storeDir = path.resolve(storeDir);
+    this.maxSize = options.maxSize || 20 * 1024 * 1024;
+    this.types = options.types || DEFAULT_TYPES;
+  }
+
+  isAllowedType(type) {
+    const mime = String(type || '').split(';')[0].trim().toLowerCase();
+    return !!mime && this.types.some(pattern =>
+      pattern.endsWith('/*') ? mime.startsWith(pattern.slice(0, -1)) : mime === pattern);
+  }
+
+  // Stream an upload into key's folder. Resolves with the stored attachment;
+  // the partial file is removed if the stream fails or grows past maxSize.
+  save(key, name, type, stream, length) {
+    this._assertKey(key);
+    if (!this.isAllowedType(type)) {
+      return Promise.reject(new AttachmentError(415, `Files of type ${type || 'unknown'} cannot be attached`));
+    }
+    if (length > this.maxSize) {
+      return Promise.reject(new AttachmentError(413, `File too large (at most ${this.maxSize} bytes)`));
+    }
+
+    // Camera captures and pasted images may arrive without an extension
+    let fileName = safeName(name);
+    const mime = String(type).split(';')[0].trim().toLowerCase();
+    const extension = Object.keys(TYPES_BY_EXTENSION).find(ext => TYPES_BY_EXTENSION[ext] === mime);
+    if (!path.extname(fileName) && extension) {
+      fileName += `.${extension}`;
+    }
+
+    const dir = path.join(this.storeDir, key);
+    fs.mkdirSync(dir, { recursive: true });
+    const temp = path.join(dir, `.upload-${crypto.randomBytes(4).toString('hex')}`);
+
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(temp, { flags: 'wx' });
+      let size = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stream.unpipe(out);
+        out.destroy();
+        fs.rm(temp, { force: true }, () => reject(error));
+      };
+
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.maxSize) {
+          fail(new AttachmentError(413, `File too large (at most ${this.maxSize} bytes)`));
+        }
+      });
+      stream.on('aborted', () => fail(new AttachmentError(400, 'Upload was interrupted')));
+      stream.on('error', fail);
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (failed) return;
+        try {
+          const finalName = this._uniqueName(dir, fileName);
+          fs.renameSync(temp, path.join(dir, finalName));
+          resolve(this.describe(`${key}/${finalName}`));
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      stream.pipe(out);
+    });
+  }
+
+  // { id, name, path, size, type } for a stored attachment
+  describe(id) {
+    const { key, name, fullPath } = this._parse(id);
+    let stats;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch {
+      throw new AttachmentError(404, 'Attachment not found');
+    }
+    return { id: `${key}/${name}`, name, path: fullPath, size: stats.size, type: this.typeFor(name) };
+  }
+
+  remove(id) {
+    const { fullPath } = this._parse(id);
+    fs.rmSync(fullPath, { force: true });
+  }
+
+  // Best guess from the extension; only used to label and serve files
+  typeFor(name) {
+    return TYPES_BY_EXTENSION[path.extname(name).slice(1).toLowerCase()] || 'application/octet-stream';
+  }
+
+  _parse(id) {
+    const [key, name, ...rest] = String(id || '').split('/');
+    this._assertKey(key);
+    if (rest.length > 0 || !name || name !== safeName(name)) {
+      throw new AttachmentError(400, 'Invalid attachment');
+    }
+    return { key, name, fullPath: path.join(this.storeDir, key, name) };
+  }
+
+  _assertKey(key) {
+    if (typeof key !== 'string' || !/^[\w-]{1,80}$/.test(key)) {
+      throw new AttachmentError(400, 'Invalid conversation');
+    }
+  }
+
+  // "photo.jpg", then "photo-1.jpg", "photo-2.jpg"...
+  _uniqueName(dir, name) {
+    const ext = path.extname(name);
+    const stem = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let i = 1; fs.existsSync(path.join(dir, candidate)); i++) {
+      candidate = `${stem}-${i}${ext}`;
+    }
+    return candidate;
+  }
+}
+
+Attachments.DEFAULT_TYPES = DEFAULT_TYPES;
+Attachments.AttachmentError = AttachmentError;
+
+module.exports = Attachments;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const TOKEN_COOKIE = 'ccc_token';
+const MAX_FAILED_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const LAST_SEEN_SAVE_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+// Pairing-code authentication. The server prints a short code at startup; a
+// device trades it for a long-lived token which is kept (hashed) in the device
+// store and checked on every /api request and WebSocket upgrade.
+class DeviceAuth {
+  constructor(storePath) {
+    this.storePath = storePath;
+    this._devices = [];
+    this._secret = null;
+    this._failedAttempts = new Map(); // ip -> [timestamps]
+    this._lastSeenSavedAt = 0;
+
+    this._load();
+    this.pairingCode = this._generatePairingCode();
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        this._devices = data.devices || [];
+        this._secret = data.secret || null;
+      }
+    } catch (error) {
+      log.error('Error loading paired devices:', error);
+    }
+
+    if (!this._secret) {
+      this._secret = crypto.randomBytes(32).toString('hex');
+      this._save();
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const data = { secret: this._secret, devices: this._devices };
+      fs.writeFileSync(this.storePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (error) {
+      log.error('Error saving paired devices:', error);
+    }
+  }
+
+  _generatePairingCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  _isRateLimited(ip) {
+    const now = Date.now();
+    const attempts = (this._failedAttempts.get(ip) || []).filter(t => now - t < ATTEMPT_WINDOW_MS);
+    this._failedAttempts.set(ip, attempts);
+    return attempts.length >= MAX_FAILED_ATTEMPTS;
+  }
+
+  _recordFailure(ip) {
+    const attempts = this._failedAttempts.get(ip) || [];
+    attempts.push(Date.now());
+    this._failedAttempts.set(ip, attempts);
+  }
+
+  // Exchange the pairing code for a device token.
+  // Returns { token, device } or throws with a user-facing message.
+  pair(code, name, ip) {
+    if (this._isRateLimited(ip)) {
+      throw new Error('Too many attempts. Try again later.');
+    }
+
+    const expected = Buffer.from(this.pairingCode);
+    const given = Buffer.from(String(code || '').trim());
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      this._recordFailure(ip);
+      throw new Error('Invalid pairing code');
+    }
+
+    this._failedAttempts.delete(ip);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const device = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: (name || '').trim().substring(0, 60) || 'Unnamed device',
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      lastSeenAt: new Date().toISOString()
+    };
+
+    this._devices.push(device);
+    this._save();
+
+    log.info(`Paired new device: ${device.name} (${device.id})`);
+    return { token, device: this._publicDevice(device) };
+  }
+
+  // Returns the device for a token, or null
+  verify(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const device = this._devices.find(d => d.tokenHash === tokenHash);
+    if (!device) return null;
+
+    device.lastSeenAt = new Date().toISOString();
+    if (Date.now() - this._lastSeenSavedAt > LAST_SEEN_SAVE_INTERVAL_MS) {
+      this._lastSeenSavedAt = Date.now();
+      this._save();
+    }
+
+    return device;
+  }
+
+  tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[TOKEN_COOKIE] || null;
+  }
+
+  // CSRF token bound to the device token (sent back in X-CSRF-Token)
+  csrfTokenFor(token) {
+    return crypto.createHmac('sha256', this._secret).update(`csrf:${token}`).digest('hex');
+  }
+
+  verifyCsrf(token, csrfToken) {
+    if (!token || !csrfToken) return false;
+    const expected = Buffer.from(this.csrfTokenFor(token));
+    const given = Buffer.from(String(csrfToken));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  listDevices() {
+    return this._devices.map(device => this._publicDevice(device));
+  }
+
+  renameDevice(id, name) {
+    const device = this._devices.find(d => d.id === id);
+    if (!device) return null;
+
+    device.name = (name || '').trim().substring(0, 60) || device.name;
+    this._save();
+    return this._publicDevice(device);
+  }
+
+  revokeDevice(id) {
+    const before = this._devices.length;
+    this._devices = this._devices.filter(d => d.id !== id);
+    if (this._devices.length === before) return false;
+
+    this._save();
+    log.info(`Revoked device: ${id}`);
+    return true;
+  }
+
+  _publicDevice(device) {
+    return {
+      id: device.id,
+      name: device.name,
+      createdAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt
+    };
+  }
+}
+
+DeviceAuth.TOKEN_COOKIE = TOKEN_COOKIE;
+
+module.exports = DeviceAuth;
@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const IgnoreRules = require('./ignoreRules');
+const log = require('./logger');
+
+// Dependencies and build output: large, and recreated by the tools that made them
+const DEFAULT_IGNORE = [
+  '.git',
+  'node_modules',
+  'bower_components',
+  '.venv',
+  'venv',
+  '__pycache__',
+  '*.pyc',
+  'dist',
+  'build',
+  'out',
+  'target',
+  'coverage',
+  '.next',
+  '.nuxt',
+  '.cache',
+  '.parcel-cache',
+  '.DS_Store'
+];
+
+class CheckpointError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CheckpointError';
+    this.status = status;
+  }
+}
+
+const gzip = util.promisify(zlib.gzip);
+const gunzip = util.promisify(zlib.gunzip);
+
+function hashContent(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+async function exists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Size of a stored object, or null if there is none
+async function objectSize(objectPath) {
+  try {
+    return (await fs.promises.stat(objectPath)).size;
+  } catch {
+    return null;
+  }
+}
+
+// Snapshots of the project's files, taken before each prompt so the
+// workspace can be put back the way it was. File contents are stored once
+// per distinct content (objects/<hash>, gzipped); each checkpoint is a
+// manifest mapping paths to content hashes.
+//
+// Symlinks, ignored paths and files larger than maxFileSize are neither
+// saved nor touched by a restore.
+//
+// Checkpoints are taken and restored one at a time, and without blocking the
+// server: files are read and compressed asynchronously.
+//
+// options.ignore - patterns left out, replacing DEFAULT_IGNORE
+// options.maxStorage - bytes of stored objects; the oldest checkpoints are
+//   pruned beyond it
+// options.maxFileSize - largest file included, in bytes
+// options.appDataDir - the app's own data folder, never included (storeDir
+//   is always left out)
+class Checkpoints {
+  constructor(projectRoot, storeDir, options = {}) {
+    this.root = path.resolve(projectRoot);
+    this.storeDir = path.resolve(storeDir);
+    this.objectsDir = path.join(this.storeDir, 'objects');
+    this.maxStorage = options.maxStorage || 512 * 1024 * 1024;
+    this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024;
+    this._ignore = new IgnoreRules(options.ignore || DEFAULT_IGNORE);
+
+    // Never checkpoint our own data when it lives inside the project
+    this._appData = new Set([this.storeDir, options.appDataDir].filter(Boolean).map(dir => {
+      const relative = path.relative(this.root, path.resolve(dir));
+      return !relative || relative.startsWith('..') || path.isAbsolute(relative) ? null : relative.split(path.sep).join('/');
+    }).filter(Boolean));
+
+    // path -> { size, mtimeMs, hash } from the last scan, so unchanged files
+    // are not read and hashed again
+    this._hashCache = new Map();
+
+    // The create or restore running now; the next one waits for it
+    this._running = Promise.resolve();
+  }
+
+  // Snapshot the project now. label describes what is about to happen (the
+  // prompt); sessionId ties it to a conversation.
+  create(options = {}) {
+    return this._exclusive(() => this._create(options));
+  }
+
+  // keep - ids of checkpoints that must survive the pruning that follows
+  async _create({ label = '', sessionId = null, keep = [] } = {}) {
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+
+    // A checkpoint that would not fit in maxStorage on its own, even with
+    // every other one pruned, is given up as soon as that is clear
+    const files = {};
+    const created = [];
+    const counted = new Set();
+    let storedSize = 0;
+    for (const file of await this._scan()) {
+      const object = await this._store(file);
+      if (object.created) created.push(object.hash);
+      if (!counted.has(object.hash)) {
+        counted.add(object.hash);
+        storedSize += object.storedSize;
+      }
+      if (storedSize > this.maxStorage) {
+        await Promise.all(created.map(hash => fs.promises.rm(this._objectPath(hash), { force: true })));
+        throw new CheckpointError(413, `The project does not fit in checkpoints.maxStorage (${this.maxStorage} bytes); no checkpoint was taken`);
+      }
+      files[file.path] = [object.hash, file.size, file.mode];
+    }
+
+    const manifest = {
+      id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      label: label.slice(0, 200),
+      sessionId,
+      files
+    };
+    await this._writeAtomic(this._manifestPath(manifest.id), JSON.stringify(manifest));
+    await this._prune(new Set([manifest.id, ...keep]));
+    return this._summary(manifest);
+  }
+
+  _exclusive(task) {
+    const run = this._running.then(task);
+    this._running = run.catch(() => {});
+    return run;
+  }
+
+  list() {
+    return this._manifestIds()
+      .map(id => {
+        try {
+          return this._summary(this._load(id));
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  }
+
+  // Put the workspace back the way it was at checkpoint id. The current state
+  // is checkpointed first; if anything goes wrong while files are being
+  // replaced, the workspace is put back to that state. Returns the paths
+  // written and deleted and the checkpoint that undoes the restore.
+  restore(id) {
+    return this._exclusive(() => this._restore(id));
+  }
+
+  async _restore(id) {
+    const target = this._load(id);
+    // Pruning to make room for the backup must not take the target with it
+    const backup = await this._create({ label: 'Before restore', sessionId: target.sessionId, keep: [id] });
+    const current = this._load(backup.id);
+
+    try {
+      const changes = await this._apply(target, current);
+      return { checkpoint: this._summary(target), backup, ...changes };
+    } catch (error) {
+      log.error('Restore failed, putting the workspace back:', error);
+      try {
+        await this._apply(current, this._load((await this._create({ label: 'Failed restore', keep: [backup.id] })).id));
+      } catch (rollbackError) {
+        log.error('Could not put the workspace back:', rollbackError);
+      }
+      throw new CheckpointError(500, `Restore failed: ${error.message}`);
+    }
+  }
+
+  // Make the files match manifest `to`, given that they currently match
+  // `from`. New content is staged next to each file before anything is
+  // replaced, so a failure while reading objects changes nothing.
+  async _apply(to, from) {
+    const writes = Object.keys(to.files).filter(p => !from.files[p] || from.files[p][0] !== to.files[p][0]);
+    const deletes = Object.keys(from.files).filter(p => !to.files[p]);
+
+    const staged = [];
+    try {
+      for (const relativePath of writes) {
+        const [hash, , mode] = to.files[relativePath];
+        const fullPath = this._projectPath(relativePath);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        // A directory may have been swapped for a symlink since
+        if (!this._isInsideRoot(await fs.promises.realpath(path.dirname(fullPath)))) {
+          throw new CheckpointError(400, `${relativePath} is no longer inside the project`);
+        }
+        const temp = `${fullPath}.${crypto.randomBytes(4).toString('hex')}.restore`;
+        await fs.promises.writeFile(temp, await this._readObject(hash), { mode });
+        staged.push({ temp, fullPath, mode });
+      }
+    } catch (error) {
+      staged.forEach(({ temp }) => fs.rmSync(temp, { force: true }));
+      throw error;
+    }
+
+    for (const { temp, fullPath, mode } of staged) {
+      fs.renameSync(temp, fullPath);
+      fs.chmodSync(fullPath, mode);
+    }
+    for (const relativePath of deletes) {
+      fs.rmSync(this._projectPath(relativePath), { force: true });
+      this._removeEmptyParents(relativePath);
+    }
+    return { written: writes, deleted: deletes };
+  }
+
+  async _scan() {
+    const files = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(this.root, dir), { withFileTypes: true });
+      } catch (error) {
+        log.warn(`Checkpoint skipped ${dir || '.'}: ${error.message}`);
+        return;
+      }
+
+      for (const entry of entries) {
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+        if (this._isExcluded(relativePath)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          let stats;
+          try {
+            stats = await fs.promises.stat(path.join(this.root, relativePath));
+          } catch {
+            continue; // deleted while scanning
+          }
+          if (stats.size <= this.maxFileSize) {
+            files.push({ path: relativePath, size: stats.size, mtimeMs: stats.mtimeMs, mode: stats.mode & 0o777 });
+          }
+        }
+      }
+    };
+    await walk('');
+    return files;
+  }
+
+  _isExcluded(relativePath) {
+    return this._appData.has(relativePath) || this._ignore.matches(relativePath);
+  }
+
+  // Store a file's content if it is not stored yet. Returns its hash, the
+  // size of the stored object and whether this call stored it.
+  async _store(file) {
+    const cached = this._hashCache.get(file.path);
+    if (cached && cached.size === file.size && cached.mtimeMs === file.mtimeMs) {
+      const storedSize = await objectSize(this._objectPath(cached.hash));
+      if (storedSize !== null) return { hash: cached.hash, storedSize, created: false };
+    }
+
+    const content = await fs.promises.readFile(path.join(this.root, file.path));
+    const hash = hashContent(content);
+    const objectPath = this._objectPath(hash);
+    let storedSize = await objectSize(objectPath);
+    const created = storedSize === null;
+    if (created) {
+      const compressed = await gzip(content);
+      await fs.promises.mkdir(path.dirname(objectPath), { recursive: true });
+      await this._writeAtomic(objectPath, compressed);
+      storedSize = compressed.length;
+    }
+    this._hashCache.set(file.path, { size: file.size, mtimeMs: file.mtimeMs, hash });
+    return { hash, storedSize, created };
+  }
+
+  async _readObject(hash) {
+    return gunzip(await fs.promises.readFile(this._objectPath(hash)));
+  }
+
+  // Drop the oldest checkpoints (never those in keep) until the objects fit
+  // in maxStorage, then delete objects no checkpoint refers to
+  async _prune(keep) {
+    const ids = this._manifestIds();
+    const objects = await this._listObjects();
+    let total = objects.reduce((sum, object) => sum + object.size, 0);
+    if (total <= this.maxStorage) return;
+
+    const manifests = new Map(ids.map(id => [id, this._loadOrNull(id)]));
+    const referenced = () => {
+      const hashes = new Set();
+      for (const manifest of manifests.values()) {
+        if (manifest) Object.values(manifest.files).forEach(([hash]) => hashes.add(hash));
+      }
+      return hashes;
+    };
+
+    for (const id of ids) {
+      if (total <= this.maxStorage) break;
+      if (keep.has(id)) continue;
+      manifests.delete(id);
+      await fs.promises.rm(this._manifestPath(id), { force: true });
+
+      const live = referenced();
+      total = 0;
+      for (const object of objects) {
+        if (object.removed) continue;
+        if (live.has(object.hash)) {
+          total += object.size;
+        } else {
+          await fs.promises.rm(this._objectPath(object.hash), { force: true });
+          object.removed = true;
+        }
+      }
+      log.info(`Pruned checkpoint ${id}`);
+    }
+  }
+
+  async _listObjects() {
+    const objects = [];
+    if (!await exists(this.objectsDir)) return objects;
+    for (const prefix of await fs.promises.readdir(this.objectsDir)) {
+      for (const name of await fs.promises.readdir(path.join(this.objectsDir, prefix))) {
+        if (name.endsWith('.tmp')) continue;
+        const stats = await fs.promises.stat(path.join(this.objectsDir, prefix, name));
+        objects.push({ hash: prefix + name, size: stats.size });
+      }
+    }
+    return objects;
+  }
+
+  // Oldest first; ids start with a timestamp
+  _manifestIds() {
+    if (!fs.existsSync(this.storeDir)) return [];
+    return fs.readdirSync(this.storeDir)
+      .filter(f => /^\d+-[0-9a-f]+\.json$/.test(f))
+      .map(f => f.slice(0, -5))
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  }
+
+  _load(id) {
+    if (typeof id !== 'string' || !/^\d+-[0-9a-f]+$/.test(id)) {
+      throw new CheckpointError(400, 'Invalid checkpoint');
+    }
+    const manifest = this._loadOrNull(id);
+    if (!manifest) {
+      throw new CheckpointError(404, 'Checkpoint is no longer available');
+    }
+    return manifest;
+  }
+
+  _loadOrNull(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._manifestPath(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  _summary(manifest) {
+    const sizes = Object.values(manifest.files);
+    return {
+      id: manifest.id,
+      createdAt: manifest.createdAt,
+      label: manifest.label,
+      sessionId: manifest.sessionId,
+      fileCount: sizes.length,
+      size: sizes.reduce((sum, [, size]) => sum + size, 0)
+    };
+  }
+
+  _projectPath(relativePath) {
+    const fullPath = path.resolve(this.root, relativePath);
+    if (!fullPath.startsWith(this.root + path.sep)) {
+      throw new CheckpointError(400, `Invalid path in checkpoint: ${relativePath}`);
+    }
+    return fullPath;
+  }
+
+  _isInsideRoot(realPath) {
+    if (!this._realRoot) this._realRoot = fs.realpathSync(this.root);
+    return realPath === this._realRoot || realPath.startsWith(this._realRoot + path.sep);
+  }
+
+  _removeEmptyParents(relativePath) {
+    let dir = path.dirname(relativePath);
+    while (dir !== '.') {
+      try {
+        fs.rmdirSync(path.join(this.root, dir));
+      } catch {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  _manifestPath(id) {
+    return path.join(this.storeDir, `${id}.json`);
+  }
+
+  _objectPath(hash) {
+    return path.join(this.objectsDir, hash.slice(0, 2), hash.slice(2));
+  }
+
+  async _writeAtomic(target, data) {
+    const temp = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, target);
+  }
+}
+
+Checkpoints.DEFAULT_IGNORE = DEFAULT_IGNORE;
+Checkpoints.CheckpointError = CheckpointError;
+
+module.exports = Checkpoints;
@@ -1,22 +1,79 @@
 const cp = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
 const exec = util.promisify(cp.exec);
+const log = require('./logger');
+const CliTranscripts = require('./cliTranscripts');
+const { assistantMessages, toolResultMessages, transcriptMessages } = require('./cliMessages');
+const TranscriptStore = require('./transcriptStore');
+
+// Longest recap of a rewound conversation handed to the new Claude session
+const RECAP_MAX_CHARS = 20000;
+
+// Session ids of imported conversations and of forks that have not had a
+// prompt yet, which Claude does not know
+const IMPORTED_PREFIX = 'imported-';
+const FORK_PREFIX = 'fork-';
+
+// Title from the first 50 characters of a prompt
+function titleFromPrompt(prompt) {
+  if (!prompt || typeof prompt !== 'string') {
+    return 'Untitled Conversation';
+  }
+  
+  let title = prompt.substring(0, 50).trim();
+  if (prompt.length > 50) {
+    title += '...';
+  }
+  return title;
+}
+
+function titleFromMessages(messages) {
+  const firstUserMessage = messages.find(msg => msg.messageType === 'userInput');
+  return titleFromPrompt(firstUserMessage && firstUserMessage.data);
+}
+
+// Ids of sessions Claude can resume
+function isClaudeSession(sessionId) {
+  return !!sessionId && !['session_', 'conversation_', IMPORTED_PREFIX, FORK_PREFIX].some(prefix => sessionId.startsWith(prefix));
+}
 
 class ClaudeChatProvider {
-  constructor(projectRoot) {
+  // options.sessionKey - identifies this run when several are alive at once; each
+  //   run gets its own permission request folder and MCP config
+  // options.resume - pick up the most recent saved conversation (default true)
+  // options.storageDir - chat data folder, relative to the project unless absolute
+  // options.defaultModel - model used until the user picks one
+  // options.turnChanges - TurnChanges recording the files each turn edits
+  // options.checkpoints - Checkpoints; the project is snapshotted before each prompt
+  // options.attachments - Attachments uploaded for the conversation's prompts
+  // options.transcripts - TranscriptStore the project's conversations are saved in
+  // options.conversationIndex - ConversationIndex told about saved conversations
+  // options.conversationMeta - ConversationMeta with titles, pins and tags set by the user
+  constructor(projectRoot, options = {}) {
     this.projectRoot = projectRoot;
-    this.sessionStorePath = path.join(projectRoot, '.claude-code-chat');
+    this.sessionKey = options.sessionKey || 'default';
+    this.sessionStorePath = path.resolve(projectRoot, options.storageDir || '.claude-code-chat');
     this.conversationsPath = path.join(this.sessionStorePath, 'conversations');
+    this.trashPath = path.join(this.sessionStorePath, 'trash');
     this.settingsPath = path.join(this.sessionStorePath, 'settings.json');
-    this.permissionRequestsPath = path.join(this.sessionStorePath, 'permission-requests');
-    this.mcpConfigPath = path.join(this.sessionStorePath, 'mcp-servers.json');
+    this.permissionRequestsPath = path.join(this.sessionStorePath, 'permission-requests', this.sessionKey);
+    this.mcpConfigPath = path.join(this.sessionStorePath, `mcp-servers-${this.sessionKey}.json`);
+    this._turnChanges = options.turnChanges || null;
+    this._checkpoints = options.checkpoints || null;
+    this._attachments = options.attachments || null;
+    this._transcripts = options.transcripts || new TranscriptStore(this.conversationsPath, this.trashPath);
+    this._conversationIndex = options.conversationIndex || null;
+    this._conversationMeta = options.conversationMeta || null;
+    this._cliTranscripts = new CliTranscripts(projectRoot);
     
     // State
     this._currentClaudeProcess = null;
     this._currentSessionId = null;
-    this._selectedModel = 'default';
+    this._defaultModel = options.defaultModel || 'default';
+    this._selectedModel = this._defaultModel;
     this._isProcessing = false;
     this._totalCost = 0;
     this._totalTokensInput = 0;
@@ -26,6 +83,50 @@ class ClaudeChatProvider {
     this._conversationStartTime = null;
     this._thinkingMode = false;
     
+    // How much of the conversation its transcript holds. Messages are
+    // appended as they arrive; a conversation that is cut short or gets a
+    // new id is written out again.
+    this._savedSessionId = null;
+    this._savedMessageCount = 0;
+    
+    // A session started in the Claude CLI is only shown until a prompt
+    // continues it here; from then on it is stored like any other
+    this._cliSessionId = null;
+    
+    // Partially streamed text/thinking blocks, keyed by "<message id>:<block index>"
+    this._streamingBlocks = new Map();
+    this._streamMessageId = null;
+    
+    // Files the running turn is about to edit, snapshotted for its change summary
+    this._currentTurn = null;
+    
+    // After the conversation is rewound, the next prompt starts a new Claude
+    // session (given a recap of what is left) that replaces the stored one
+    this._rewoundSessionId = null;
+    this._startFresh = false;
+    
+    // A fork remembers the conversation it came from. Until its first prompt
+    // it also has a base: a copy of the parent's Claude session cut where the
+    // fork starts, which that prompt resumes with --fork-session.
+    this._parentSessionId = null;
+    this._forkBaseSessionId = null;
+    
+    // Ids the conversation had before a rewind (or its first prompt, for an
+    // import or fork) gave it a new Claude session; forks may point at them
+    this._previousSessionIds = [];
+    
+    // Folder the conversation's attachments are uploaded to. A new conversation
+    // has no Claude session id until its first reply, so it gets its own key.
+    this._attachmentsKey = null;
+    
+    // Set while the checkpoint before a prompt is taken; a stop clears it
+    this._startingRun = null;
+    
+    // Follow-up prompts sent while Claude is busy; paused after an error or stop
+    this._promptQueue = [];
+    this._queuePaused = false;
+    this._queueCounter = 0;
+    
     // Initialize storage
     this._initializeStorage();
     
@@ -33,11 +134,14 @@ class ClaudeChatProvider {
     this._loadSettings();
     
     // Resume latest session
-    this._resumeLatestSession();
+    if (options.resume !== false) {
+      this._resumeLatestSession();
+    }
     
     // Permission system
     this._permissions = {};
     this._pendingPermissions = new Map();
+    this._pendingPermissionRequests = new Map(); // UI request id -> request shown to the user
     this._loadPermissions();
     
     // Set up MCP configuration
@@ -47,18 +151,6 @@ class ClaudeChatProvider {
     this._setupPermissionWatcher();
   }
   
-  cleanup() {
-    // Clean up before switching projects
-    if (this._currentClaudeProcess) {
-      this.stopCurrentRequest();
-    }
-    
-    // Clear permission watcher if exists
-    if (this._permissionWatcher) {
-      this._permissionWatcher.close();
-    }
-  }
-  
   _initializeStorage() {
     // Create storage directories if they don't exist
     if (!fs.existsSync(this.sessionStorePath)) {
@@ -76,10 +168,10 @@ class ClaudeChatProvider {
     try {
       if (fs.existsSync(this.settingsPath)) {
         const settings = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
-        this._selectedModel = settings.selectedModel || 'default';
+        this._selectedModel = settings.selectedModel || this._defaultModel;
       }
     } catch (error) {
-      console.error('Error loading settings:', error);
+      log.error('Error loading settings:', error);
     }
   }
   
@@ -91,32 +183,41 @@ class ClaudeChatProvider {
       };
       fs.writeFileSync(this.settingsPath, JSON.stringify(settings, null, 2));
     } catch (error) {
-      console.error('Error saving settings:', error);
+      log.error('Error saving settings:', error);
     }
   }
   
   _resumeLatestSession() {
     try {
-      const files = fs.readdirSync(this.conversationsPath)
-        .filter(f => f.endsWith('.json'))
-        .sort((a, b) => b.localeCompare(a)); // Sort descending
+      const latest = this._transcripts.list()
+        .sort((a, b) => new Date(b.endTime) - new Date(a.endTime))[0];
         
-      if (files.length > 0) {
-        const latestFile = files[0];
-        const data = JSON.parse(fs.readFileSync(path.join(this.conversationsPath, latestFile), 'utf8'));
+      if (latest) {
+        const data = this._transcripts.read(latest.sessionId);
         this._currentSessionId = data.sessionId;
-        this._currentConversation = data.messages || [];
+        this._attachmentsKey = data.attachmentsKey || null;
+        this._currentConversation = data.messages;
         this._conversationStartTime = data.startTime;
         this._totalCost = data.totalCost || 0;
         this._totalTokensInput = data.totalTokens?.input || 0;
         this._totalTokensOutput = data.totalTokens?.output || 0;
         this._requestCount = data.messages.filter(m => m.messageType === 'userInput').length;
+        this._parentSessionId = data.parentSessionId || null;
+        this._forkBaseSessionId = data.forkBase || null;
+        this._previousSessionIds = data.previousSessionIds || [];
+        this._savedSessionId = data.sessionId;
+        this._savedMessageCount = data.messages.length;
+        this._continueUnstarted();
       }
     } catch (error) {
-      console.error('Error resuming session:', error);
+      log.error('Error resuming session:', error);
     }
   }
   
+  isProcessing() {
+    return this._isProcessing;
+  }
+  
   getSessionInfo() {
     if (!this._currentSessionId) return null;
     
@@ -131,120 +232,245 @@ class ClaudeChatProvider {
   
   getConversationList() {
     try {
-      console.log('Reading conversations from:', this.conversationsPath);
-      console.log('Expected path:', path.join(this.projectRoot, '.claude-code-chat', 'conversations'));
-      const files = fs.readdirSync(this.conversationsPath);
-      console.log('Found files:', files);
       const conversations = [];
+      const byId = new Map(); // every id a conversation has had -> its list entry
       
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          try {
-            const filePath = path.join(this.conversationsPath, file);
-            const stats = fs.statSync(filePath);
-            const content = fs.readFileSync(filePath, 'utf8');
-            const data = JSON.parse(content);
-            
-            console.log(`File ${file} has title: "${data.title}"`);
-            
-            conversations.push({
-              sessionId: data.sessionId,
-              title: data.title || 'Untitled Conversation',
-              startTime: data.startTime,
-              endTime: data.endTime || stats.mtime.toISOString(),
-              messageCount: data.messageCount || data.messages?.length || 0,
-              totalCost: data.totalCost || 0,
-              fileName: file
-            });
-          } catch (error) {
-            console.error('Error reading conversation file:', file, error);
-          }
+      for (const entry of this._transcripts.list()) {
+        const meta = this._metaFor(entry.sessionId);
+        const conversation = {
+          sessionId: entry.sessionId,
+          title: meta.title || entry.title || 'Untitled Conversation',
+          startTime: entry.startTime,
+          endTime: entry.endTime,
+          messageCount: entry.messageCount,
+          totalCost: entry.totalCost || 0,
+          parentSessionId: entry.parentSessionId || null,
+          forkCount: 0,
+          pinned: meta.pinned,
+          tags: meta.tags,
+          archived: meta.archived,
+          fromCli: false,
+          fileName: entry.fileName
+        };
+        conversations.push(conversation);
+        [entry.sessionId, ...entry.previousSessionIds].forEach(id => byId.set(id, conversation));
+      }
+      
+      for (const session of this._cliTranscripts.list(this._transcripts.knownSessionIds())) {
+        const meta = this._metaFor(session.sessionId);
+        const conversation = {
+          sessionId: session.sessionId,
+          title: meta.title || titleFromPrompt(session.firstPrompt),
+          startTime: session.startTime,
+          endTime: session.endTime,
+          messageCount: null,
+          totalCost: 0,
+          parentSessionId: null,
+          forkCount: 0,
+          pinned: meta.pinned,
+          tags: meta.tags,
+          archived: meta.archived,
+          fromCli: true
+        };
+        conversations.push(conversation);
+        byId.set(session.sessionId, conversation);
+      }
+      
+      // A fork points at the id its parent had when it was made
+      for (const conversation of conversations) {
+        const parent = conversation.parentSessionId && byId.get(conversation.parentSessionId);
+        if (parent) {
+          conversation.parentSessionId = parent.sessionId;
+          conversation.parentTitle = parent.title;
+          parent.forkCount++;
         }
       }
       
-      // Sort by most recent first
-      conversations.sort((a, b) => new Date(b.endTime) - new Date(a.endTime));
+      // Pinned first, then most recent first
+      conversations.sort((a, b) => (b.pinned - a.pinned) || new Date(b.endTime) - new Date(a.endTime));
       
-      console.log('Returning conversations:', conversations.map(c => ({ sessionId: c.sessionId, title: c.title })));
+      log.debug('Returning conversations:', conversations.map(c => ({ sessionId: c.sessionId, title: c.title })));
       return conversations;
     } catch (error) {
-      console.error('Error listing conversations:', error);
+      log.error('Error listing conversations:', error);
       return [];
     }
   }
   
+  // A stored conversation as saved, or one started in the Claude CLI,
+  // without loading it; null if not found
+  readConversation(sessionId) {
+    try {
+      return this._transcripts.read(sessionId) || this._readCliSession(sessionId);
+    } catch (error) {
+      log.error('Error reading conversation:', error);
+      return null;
+    }
+  }
+  
+  // A CLI session that is not one of ours, in the shape of a stored conversation
+  _readCliSession(sessionId) {
+    if (!isClaudeSession(sessionId) || this._transcripts.knownSessionIds().has(sessionId)) return null;
+    const entries = this._cliTranscripts.read(sessionId);
+    if (!entries) return null;
+    const messages = transcriptMessages(entries);
+    if (!messages.some(m => m.messageType === 'userInput')) return null;
+    
+    return {
+      sessionId,
+      title: this._metaFor(sessionId).title || titleFromMessages(messages),
+      startTime: messages[0].timestamp,
+      endTime: messages[messages.length - 1].timestamp,
+      messageCount: messages.length,
+      totalCost: 0,
+      messages,
+      fromCli: true
+    };
+  }
+  
   loadConversation(sessionId) {
     try {
-      // Find the conversation file
-      const files = fs.readdirSync(this.conversationsPath);
-      const conversationFile = files.find(f => {
-        if (f.includes(sessionId)) return true;
-        // Also check inside the file
-        try {
-          const content = fs.readFileSync(path.join(this.conversationsPath, f), 'utf8');
-          const data = JSON.parse(content);
-          return data.sessionId === sessionId;
-        } catch {
-          return false;
-        }
-      });
-      
-      if (!conversationFile) {
+      const conversation = this.readConversation(sessionId);
+      if (!conversation) {
         return null;
       }
       
-      const filePath = path.join(this.conversationsPath, conversationFile);
-      const content = fs.readFileSync(filePath, 'utf8');
-      const conversation = JSON.parse(content);
-      
       // Load the conversation into current state
       this._currentSessionId = conversation.sessionId;
-      this._currentConversation = conversation.messages || [];
+      this._attachmentsKey = conversation.attachmentsKey || null;
+      this._rewoundSessionId = null;
+      this._startFresh = false;
+      this._currentConversation = conversation.messages;
       this._conversationStartTime = conversation.startTime;
       this._totalCost = conversation.totalCost || 0;
       this._totalTokensInput = conversation.totalTokens?.input || 0;
       this._totalTokensOutput = conversation.totalTokens?.output || 0;
       this._requestCount = conversation.messages.filter(m => m.type === 'userInput').length;
+      this._parentSessionId = conversation.parentSessionId || null;
+      this._forkBaseSessionId = conversation.forkBase || null;
+      this._previousSessionIds = conversation.previousSessionIds || [];
+      this._savedSessionId = conversation.fromCli ? null : conversation.sessionId;
+      this._savedMessageCount = conversation.messages.length;
+      this._cliSessionId = conversation.fromCli ? conversation.sessionId : null;
+      
+      this._continueUnstarted();
       
       return conversation;
     } catch (error) {
-      console.error('Error loading conversation:', error);
+      log.error('Error loading conversation:', error);
       return null;
     }
   }
   
+  // Store a conversation from elsewhere (see conversationExport.js) under a
+  // new id; returns that id
+  importConversation(conversation) {
+    const sessionId = `${IMPORTED_PREFIX}${crypto.randomUUID()}`;
+    const data = { sessionId, attachmentsKey: null, ...conversation };
+    this._transcripts.write(data);
+    if (this._conversationIndex) this._conversationIndex.update(this._transcripts.find(sessionId).fileName, data);
+    return sessionId;
+  }
+  
+  // Moves the conversation to the trash; see restoreConversation and purgeTrash
   deleteConversation(sessionId) {
     try {
-      const conversations = this.getConversationList();
-      const conversation = conversations.find(c => c.sessionId === sessionId);
-      
-      if (conversation && conversation.fileName) {
-        const filePath = path.join(this.conversationsPath, conversation.fileName);
-        fs.unlinkSync(filePath);
-        return true;
-      }
-      
+      const conversation = this._transcripts.find(sessionId);
+      if (!conversation || !this._transcripts.trash(conversation.sessionId)) return false;
+      if (this._conversationIndex) this._conversationIndex.remove(conversation.fileName);
+      return true;
+    } catch (error) {
+      log.error('Error deleting conversation:', error);
       return false;
+    }
+  }
+  
+  // Conversations in the trash, most recently deleted first:
+  // [{ sessionId, title, messageCount, trashedAt, fileName }]
+  getTrash() {
+    return this._transcripts.trashed()
+      .map(trashed => ({
+        sessionId: trashed.sessionId,
+        title: this._metaFor(trashed.sessionId).title || trashed.title || 'Untitled Conversation',
+        messageCount: trashed.messageCount,
+        trashedAt: trashed.trashedAt,
+        fileName: trashed.fileName
+      }))
+      .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt));
+  }
+  
+  restoreConversation(sessionId) {
+    try {
+      if (!this._transcripts.restore(sessionId)) return false;
+      if (this._conversationIndex) {
+        this._conversationIndex.update(this._transcripts.find(sessionId).fileName, this._transcripts.read(sessionId));
+      }
+      return true;
     } catch (error) {
-      console.error('Error deleting conversation:', error);
+      log.error('Error restoring conversation:', error);
       return false;
     }
   }
   
-  loadLatestConversation() {
-    // Send all messages from current conversation to UI
-    this._currentConversation.forEach(msg => {
-      // Messages are stored with timestamp and messageType, need to extract the actual message
+  // Delete conversations in the trash for good: the one with sessionId, or
+  // all that were deleted more than olderThan ms ago (0 empties the trash).
+  // Returns how many were deleted.
+  purgeTrash({ sessionId = null, olderThan = 0 } = {}) {
+    const cutoff = Date.now() - olderThan;
+    let purged = 0;
+    for (const trashed of this.getTrash()) {
+      if (sessionId ? trashed.sessionId !== sessionId : new Date(trashed.trashedAt).getTime() > cutoff) continue;
+      try {
+        if (!this._transcripts.purge(trashed.sessionId)) continue;
+        if (this._conversationMeta) this._conversationMeta.remove(trashed.sessionId);
+        purged++;
+      } catch (error) {
+        log.error('Error purging conversation:', error);
+      }
+    }
+    return purged;
+  }
+  
+  // Set the user's own title, pinned, tags or archived; see
+  // ConversationMeta.update, which throws on values it does not allow
+  updateConversation(sessionId, changes) {
+    const meta = this._conversationMeta.update(sessionId, changes);
+    if ('title' in changes && this._transcripts.has(sessionId)) {
+      // The stored title is the one search sees
+      try {
+        const data = this._transcripts.read(sessionId);
+        data.title = meta.title || titleFromMessages(data.messages);
+        this._transcripts.update(sessionId, { title: data.title });
+        if (this._conversationIndex) this._conversationIndex.update(this._transcripts.find(sessionId).fileName, data);
+      } catch (error) {
+        log.error('Error renaming conversation:', error);
+      }
+    }
+    return meta;
+  }
+  
+  _metaFor(sessionId) {
+    return this._conversationMeta
+      ? this._conversationMeta.get(sessionId)
+      : { title: null, pinned: false, tags: [], archived: false };
+  }
+  
+  loadLatestConversation(post = (message) => this._postMessage(message)) {
+    // Send all messages from current conversation to UI (or to a single device)
+    this._currentConversation.forEach((msg, index) => {
+      // Messages are stored with timestamp and messageType, need to extract the actual message.
+      // index lets the UI find a message again, e.g. from a search result.
       if (msg.messageType && msg.data) {
-        this._postMessage({
+        post({
           type: msg.messageType,
-          data: msg.data
+          data: msg.data,
+          index
         });
       }
     });
     
     // Send totals update
-    this._postMessage({
+    post({
       type: 'updateTotals',
       data: {
         totalCost: this._totalCost,
@@ -255,39 +481,92 @@ class ClaudeChatProvider {
     });
   }
   
-  sendMessage(message, planMode = false, thinkingMode = false) {
+  // attachments - ids returned by the upload endpoint for this conversation
+  sendMessage(message, planMode = false, thinkingMode = false, attachments = []) {
+    // Queue follow-ups while Claude is still working on the previous prompt
     if (this._isProcessing) {
-      this._postMessage({
-        type: 'error',
-        data: 'Already processing a message. Please wait or stop the current request.'
+      this._promptQueue.push({
+        id: `${Date.now()}-${++this._queueCounter}`,
+        text: message,
+        planMode,
+        thinkingMode,
+        attachments,
+        queuedAt: new Date().toISOString()
       });
+      this._postQueue();
       return;
     }
     
+    this._startRun(message, planMode, thinkingMode, attachments).catch(error => this._startFailed(error));
+  }
+  
+  getAttachmentsKey() {
+    if (!this._attachmentsKey) {
+      this._attachmentsKey = this._currentSessionId || `c${Date.now().toString(36)}`;
+    }
+    return this._attachmentsKey;
+  }
+  
+  async _startRun(message, planMode, thinkingMode, attachmentIds = []) {
+    // Busy from here on: prompts sent while the checkpoint is taken are queued
+    this._isProcessing = true;
+    this._postMessage({
+      type: 'setProcessing',
+      data: { isProcessing: true }
+    });
+    
+    const starting = this._startingRun = {};
+    const checkpoint = await this._createCheckpoint(message);
+    // Stopped while the checkpoint was being taken
+    if (this._startingRun !== starting) return;
+    this._startingRun = null;
+    
+    // Continuing a CLI session (with --resume, below) makes it one of ours. If
+    // Claude gives the resumed session a new id, that takes over the file.
+    if (this._cliSessionId) {
+      this._rewoundSessionId = this._cliSessionId;
+      this._cliSessionId = null;
+    }
+    
     // Initialize session if needed
     if (!this._currentSessionId) {
       // Don't create our own session ID - let Claude create it
       this._conversationStartTime = new Date().toISOString();
     }
     
+    if (checkpoint) {
+      this._sendAndSaveMessage({
+        type: 'checkpoint',
+        data: checkpoint
+      });
+    }
+    
+    // Recap for a rewound conversation, taken before this prompt joins it
+    const recap = this._startFresh ? this._conversationRecap() : null;
+    this._startFresh = false;
+    
     // Save and send user message
     this._sendAndSaveMessage({
       type: 'userInput',
       data: message
     });
     
-    // Set processing state
-    this._isProcessing = true;
-    this._postMessage({
-      type: 'setProcessing',
-      data: { isProcessing: true }
-    });
+    const attachments = this._resolveAttachments(attachmentIds);
+    if (attachments.length > 0) {
+      this._sendAndSaveMessage({
+        type: 'attachments',
+        data: { files: attachments.map(({ id, name, type, size }) => ({ id, name, type, size })) }
+      });
+    }
+    
+    const turn = this._currentTurn = this._turnChanges ? this._turnChanges.start() : null;
     
     // Prepare Claude command
     const args = [];
     
-    // Add flags for JSON streaming output (same as VS Code extension)
-    args.push('-p', '--output-format', 'stream-json', '--verbose');
+    // Add flags for JSON streaming output (same as VS Code extension), plus
+    // partial message events so text can be shown as it is generated
+    args.push('-p', '--output-format', 'stream-json', '--verbose', '--include-partial-messages');
     
     // Add MCP configuration for permissions
     if (fs.existsSync(this.mcpConfigPath)) {
@@ -298,7 +577,13 @@ class ClaudeChatProvider {
     
     // Add continue flag to maintain conversation context
     // Only use --resume with actual Claude session IDs
-    if (this._currentSessionId && !this._currentSessionId.startsWith('session_') && !this._currentSessionId.startsWith('conversation_')) {
+    if (recap) {
+      // The old Claude session of a rewound conversation remembers what was
+      // cut; an imported one has none
+      log.debug('Starting a new Claude session for a rewound or imported conversation');
+    } else if (this._forkBaseSessionId) {
+      args.push('--resume', this._forkBaseSessionId, '--fork-session');
+    } else if (isClaudeSession(this._currentSessionId)) {
       args.push('--resume', this._currentSessionId);
     } else if (this._currentConversation.length > 0) {
       // Use --continue for ongoing conversations
@@ -320,15 +605,22 @@ class ClaudeChatProvider {
     if (planMode) {
       actualMessage = `plan\n\n${message}`;
     }
+    if (attachments.length > 0) {
+      const list = attachments.map(a => `- ${this._promptPath(a.path)}`).join('\n');
+      actualMessage = `${actualMessage}\n\nAttached files:\n${list}`.trim();
+    }
+    if (recap) {
+      actualMessage = `${recap}\n\n${actualMessage}`;
+    }
     
     // Debug: Log the command being run
-    console.log('Running claude with args:', args);
-    console.log('Message:', actualMessage);
-    console.log('Working directory:', this.projectRoot);
-    console.log('Full command:', `claude ${args.join(' ')}`);
+    log.debug('Running claude with args:', args);
+    log.debug('Message:', actualMessage);
+    log.debug('Working directory:', this.projectRoot);
+    log.debug('Full command:', `claude ${args.join(' ')}`);
     
     // Spawn Claude process with unbuffered output
-    this._currentClaudeProcess = cp.spawn('claude', args, {
+    const claudeProcess = this._currentClaudeProcess = cp.spawn('claude', args, {
       shell: process.platform === 'win32',
       cwd: this.projectRoot,
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -355,9 +647,9 @@ class ClaudeChatProvider {
     
     this._currentClaudeProcess.stdout.on('data', (data) => {
       const chunk = data.toString();
-      console.log('=== STDOUT CHUNK ===');
-      console.log(chunk);
-      console.log('===================');
+      log.debug('=== STDOUT CHUNK ===');
+      log.debug(chunk);
+      log.debug('===================');
       
       totalOutput += chunk;
       rawOutput += chunk;
@@ -367,16 +659,16 @@ class ClaudeChatProvider {
       rawOutput = lines.pop() || ''; // Keep incomplete line
       
       for (const line of lines) {
-        console.log('Processing line:', JSON.stringify(line));
+        log.debug('Processing line:', JSON.stringify(line));
         if (line.trim()) {
           try {
             const jsonData = JSON.parse(line.trim());
-            console.log('Parsed JSON:', jsonData);
+            log.debug('Parsed JSON:', jsonData);
             this._processJsonStreamData(jsonData);
           } catch (error) {
             // If not JSON, treat as plain text output from Claude
-            console.log('Non-JSON output:', line);
-            console.log('Parse error:', error.message);
+            log.debug('Non-JSON output:', line);
+            log.debug('Parse error:', error.message);
             this._sendAndSaveMessage({
               type: 'output',
               data: line.trim()
@@ -391,31 +683,47 @@ class ClaudeChatProvider {
     this._currentClaudeProcess.stderr.on('data', (data) => {
       const stderr = data.toString();
       errorOutput += stderr;
-      console.error('Claude stderr:', stderr);
+      log.error('Claude stderr:', stderr);
     });
     
     // Handle process exit
     this._currentClaudeProcess.on('close', (code) => {
-      console.log('Claude process exited with code:', code);
-      console.log('Total stdout output:', totalOutput);
-      console.log('Total stderr output:', errorOutput);
-      console.log('Remaining buffer:', rawOutput);
+      log.debug('Claude process exited with code:', code);
+      log.debug('Total stdout output:', totalOutput);
+      log.debug('Total stderr output:', errorOutput);
+      log.debug('Remaining buffer:', rawOutput);
       
       // Close stdin if still open
-      if (this._currentClaudeProcess && this._currentClaudeProcess.stdin) {
-        this._currentClaudeProcess.stdin.end();
+      if (claudeProcess.stdin) {
+        claudeProcess.stdin.end();
+      }
+      
+      // A run that could not be started was wrapped up by the error handler
+      if (claudeProcess.failed) {
+        return;
+      }
+      
+      // Files changed by a stopped run are summarised too
+      this._finishTurn(turn);
+      
+      // A stopped run can finish after the next prompt already started
+      if (this._currentClaudeProcess && this._currentClaudeProcess !== claudeProcess) {
+        return;
       }
       
       this._isProcessing = false;
       this._currentClaudeProcess = null;
+      this._clearStreamingBlocks();
+      this._dismissPermissionRequests();
       
       this._postMessage({
         type: 'setProcessing',
         data: { isProcessing: false }
       });
       
-      if (code !== 0) {
-        console.error('Claude exited with error. Full stderr:', errorOutput);
+      const stopped = claudeProcess.stoppedByUser;
+      if (code !== 0 && !stopped) {
+        log.error('Claude exited with error. Full stderr:', errorOutput);
         this._sendAndSaveMessage({
           type: 'error',
           data: errorOutput.trim() || `Claude exited with code ${code}`
@@ -424,17 +732,34 @@ class ClaudeChatProvider {
       
       // Save conversation after each message
       this._saveCurrentConversation();
+      
+      // Move on to the next queued prompt, unless something went wrong
+      if (code === 0 && !stopped) {
+        this._dispatchNextPrompt();
+      } else {
+        this._pauseQueue();
+      }
     });
     
     // Handle errors
     this._currentClaudeProcess.on('error', (error) => {
+      claudeProcess.failed = true;
+      this._finishTurn(turn);
+      
+      if (this._currentClaudeProcess && this._currentClaudeProcess !== claudeProcess) {
+        return;
+      }
+      
       this._isProcessing = false;
       this._currentClaudeProcess = null;
+      this._clearStreamingBlocks();
+      this._dismissPermissionRequests();
       
       this._postMessage({
         type: 'setProcessing',
         data: { isProcessing: false }
       });
+      this._pauseQueue();
       
       if (error.code === 'ENOENT') {
         this._sendAndSaveMessage({
@@ -450,10 +775,32 @@ class ClaudeChatProvider {
     });
   }
   
+  // Something went wrong before Claude could be started
+  _startFailed(error) {
+    log.error('Error starting Claude:', error);
+    this._startingRun = null;
+    this._isProcessing = false;
+    this._postMessage({
+      type: 'setProcessing',
+      data: { isProcessing: false }
+    });
+    this._pauseQueue();
+    this._sendAndSaveMessage({
+      type: 'error',
+      data: `Error running Claude: ${error.message}`
+    });
+  }
+  
   _processJsonStreamData(jsonData) {
     switch (jsonData.type) {
+      case 'stream_event':
+        this._processStreamEvent(jsonData.event);
+        break;
+        
+
       case 'system':
         if (jsonData.subtype === 'init') {
+          this._replaceRewoundConversation(jsonData.session_id);
           this._currentSessionId = jsonData.session_id;
           this._sendAndSaveMessage({
             type: 'sessionInfo',
@@ -468,30 +815,22 @@ class ClaudeChatProvider {
         
       case 'user':
         // Handle tool results and permission requests from Claude
-        if (jsonData.message && jsonData.message.content && jsonData.message.content[0]) {
-          const content = jsonData.message.content[0];
-          if (content.type === 'tool_result') {
-            this._sendAndSaveMessage({
-              type: 'toolResult',
-              data: {
-                content: content.content || '',
-                isError: content.is_error || false,
-                toolUseId: content.tool_use_id,
-                toolName: content.name || 'unknown'
-              }
-            });
-          }
+        if (jsonData.message) {
+          toolResultMessages(jsonData.message).forEach(message => this._sendAndSaveMessage(message));
         }
         break;
         
       case 'permission_request':
         // Permission requests are now handled through MCP server file watching
-        console.log('Permission request received through stream (legacy):', jsonData);
+        log.debug('Permission request received through stream (legacy):', jsonData);
         break;
         
       case 'assistant':
         // Handle the new JSON format from Claude CLI
         if (jsonData.message && jsonData.message.role === 'assistant') {
+          // The complete message supersedes whatever was streamed for it
+          this._clearStreamingBlocks(jsonData.message.id);
+          
           // Update token tracking
           if (jsonData.message.usage) {
             this._totalTokensInput += jsonData.message.usage.input_tokens || 0;
@@ -515,43 +854,14 @@ class ClaudeChatProvider {
             this._totalCost += jsonData.message.usage.total_cost || 0;
           }
           
-          // Process content
-          jsonData.message.content.forEach(content => {
-            if (content.type === 'text' && content.text.trim()) {
-              this._sendAndSaveMessage({
-                type: 'output',
-                data: content.text.trim()
-              });
-            } else if (content.type === 'thinking' && content.thinking.trim()) {
-              this._sendAndSaveMessage({
-                type: 'thinking',
-                data: content.thinking.trim()
-              });
-            } else if (content.type === 'tool_use') {
-              // Format tool input for better display
-              let toolInput = '';
-              if (content.name === 'TodoWrite' && content.input && content.input.todos) {
-                // Special formatting for TodoWrite
-                toolInput = 'Todo List Update:';
-                for (const todo of content.input.todos) {
-                  const status = todo.status === 'completed' ? '[DONE]' :
-                    todo.status === 'in_progress' ? '[IN PROGRESS]' : '[TODO]';
-                  toolInput += `\n${status} ${todo.content} (priority: ${todo.priority})`;
-                }
-              }
-              
-              this._sendAndSaveMessage({
-                type: 'toolUse',
-                data: {
-                  toolInfo: content.name,
-                  toolInput: toolInput,
-                  rawInput: content.input,
-                  toolName: content.name,
-                  toolUseId: content.tool_use_id
-                }
-              });
+          // Edits run after this message arrives; keep what the files looked like
+          if (this._turnChanges) {
+            for (const content of jsonData.message.content || []) {
+              if (content.type === 'tool_use') this._turnChanges.snapshotTool(this._currentTurn, content.name, content.input);
             }
-          });
+          }
+          
+          assistantMessages(jsonData.message).forEach(message => this._sendAndSaveMessage(message));
         }
         break;
         
@@ -599,14 +909,258 @@ class ClaudeChatProvider {
         break;
         
       default:
-        console.log('Unhandled JSON data type:', jsonData.type, jsonData);
+        log.debug('Unhandled JSON data type:', jsonData.type, jsonData);
         // Check if this might be a permission request in a different format
         if (jsonData.type === 'system' && jsonData.subtype === 'permission_request') {
-          console.log('Permission request received through stream (legacy system format):', jsonData);
+          log.debug('Permission request received through stream (legacy system format):', jsonData);
+        }
+    }
+  }
+  
+  // Checkpoint the project before a prompt runs; resolves to the checkpoint,
+  // or null. A failure is logged but never holds the prompt up.
+  async _createCheckpoint(message) {
+    if (!this._checkpoints) return null;
+    
+    try {
+      return await this._checkpoints.create({ label: message, sessionId: this._currentSessionId });
+    } catch (error) {
+      log.error('Error creating checkpoint:', error);
+      return null;
+    }
+  }
+  
+  // Restore the project files to a checkpoint. With truncate, the
+  // conversation is also cut back to just before the prompt that followed it.
+  async rewindToCheckpoint(checkpointId, truncate = false) {
+    if (!this._checkpoints) return;
+    
+    let result;
+    try {
+      result = await this._checkpoints.restore(checkpointId);
+    } catch (error) {
+      this._postMessage({ type: 'error', data: error.message });
+      return;
+    }
+    
+    const index = this._currentConversation.findIndex(msg =>
+      msg.messageType === 'checkpoint' && msg.data && msg.data.id === checkpointId);
+    if (truncate && index !== -1) {
+      this._currentConversation = this._currentConversation.slice(0, index);
+      this._savedSessionId = null;
+      this._requestCount = this._currentConversation.filter(m => m.messageType === 'userInput').length;
+      this._rewoundSessionId = this._rewoundSessionId || this._currentSessionId;
+      this._startFresh = this._currentConversation.length > 0;
+      if (!this._startFresh) {
+        this._currentSessionId = null;
+      }
+      this._saveCurrentConversation();
+      
+      this._postMessage({ type: 'transcriptReset' });
+      this.loadLatestConversation();
+    }
+    
+    const changed = result.written.length + result.deleted.length;
+    this._sendAndSaveMessage({
+      type: 'system',
+      data: `Workspace restored to before "${result.checkpoint.label}" (${changed} file${changed === 1 ? '' : 's'} changed)`
+    });
+    // The state just before the restore, so the restore can be undone too
+    this._sendAndSaveMessage({
+      type: 'checkpoint',
+      data: result.backup
+    });
+  }
+  
+  // Imported conversations and forks have no Claude session of their own
+  // until their first prompt. As after a rewind, that prompt starts one which
+  // takes over the file; it resumes a fork's base, or is given a recap.
+  _continueUnstarted() {
+    const sessionId = this._currentSessionId;
+    if (!sessionId || !(sessionId.startsWith(IMPORTED_PREFIX) || sessionId.startsWith(FORK_PREFIX))) return;
+    this._rewoundSessionId = sessionId;
+    this._startFresh = !this._forkBaseSessionId && this._currentConversation.length > 0;
+    if (this._currentConversation.length === 0) {
+      this._currentSessionId = null;
+    }
+  }
+  
+  // Where a fork from the prompt at messageIndex starts: what came before
+  // it, and a copy of the Claude session cut there if Claude's transcript
+  // lines up with ours. Returns null if messageIndex is not a prompt.
+  prepareFork(messageIndex) {
+    const message = this._currentConversation[messageIndex];
+    if (!message || message.messageType !== 'userInput') return null;
+    
+    // The prompt's checkpoint goes with it; the fork's own first prompt makes one
+    let start = messageIndex;
+    if (start > 0 && this._currentConversation[start - 1].messageType === 'checkpoint') start--;
+    const messages = this._currentConversation.slice(0, start);
+    let baseSessionId = null;
+    if (messages.some(m => m.messageType === 'userInput') && isClaudeSession(this._currentSessionId) && !this._startFresh) {
+      const fromEnd = this._currentConversation.slice(messageIndex).filter(m => m.messageType === 'userInput').length;
+      try {
+        baseSessionId = this._cliTranscripts.copyBeforePrompt(this._currentSessionId, fromEnd, message.data);
+      } catch (error) {
+        log.error('Error copying Claude session for a fork:', error);
+      }
+    }
+    
+    return {
+      parentSessionId: this._currentSessionId,
+      attachmentsKey: this._attachmentsKey,
+      messages,
+      baseSessionId,
+      prompt: message.data
+    };
+  }
+  
+  // Turn this session's (empty) conversation into a fork from prepareFork
+  startFork(fork) {
+    this._currentConversation = fork.messages;
+    this._conversationStartTime = fork.messages.length > 0 ? fork.messages[0].timestamp : null;
+    this._requestCount = fork.messages.filter(m => m.messageType === 'userInput').length;
+    this._attachmentsKey = fork.attachmentsKey;
+    this._parentSessionId = fork.parentSessionId;
+    this._forkBaseSessionId = fork.baseSessionId;
+    this._previousSessionIds = [];
+    this._currentSessionId = `${FORK_PREFIX}${crypto.randomUUID()}`;
+    this._savedSessionId = null;
+    this._continueUnstarted();
+    this._saveCurrentConversation();
+  }
+  
+  // What was said so far in a rewound or imported conversation, for the new
+  // Claude session that continues it
+  _conversationRecap() {
+    const lines = [];
+    for (const msg of this._currentConversation) {
+      if (msg.messageType === 'userInput') lines.push(`User: ${msg.data}`);
+      else if (msg.messageType === 'output') lines.push(`Assistant: ${msg.data}`);
+    }
+    
+    let recap = lines.join('\n\n');
+    if (recap.length > RECAP_MAX_CHARS) {
+      recap = `...${recap.slice(-RECAP_MAX_CHARS)}`;
+    }
+    return `This conversation is being continued from an earlier session. What was said so far:\n\n${recap}\n\n---`;
+  }
+  
+  // The new Claude session of a rewound, imported or forked conversation (or
+  // a resumed CLI session) takes over its file
+  _replaceRewoundConversation(sessionId) {
+    if (this._forkBaseSessionId) {
+      try {
+        this._cliTranscripts.remove(this._forkBaseSessionId);
+      } catch (error) {
+        log.error('Error removing fork base session:', error);
+      }
+      this._forkBaseSessionId = null;
+    }
+    
+    const previous = this._rewoundSessionId;
+    this._rewoundSessionId = null;
+    if (!previous || previous === sessionId) return;
+    this._previousSessionIds.push(previous);
+    if (this._conversationMeta) this._conversationMeta.rename(previous, sessionId);
+    
+    try {
+      if (this._transcripts.has(previous)) {
+        const { fileName } = this._transcripts.find(previous);
+        this._transcripts.remove(previous);
+        if (this._conversationIndex) this._conversationIndex.remove(fileName);
+      }
+    } catch (error) {
+      log.error('Error removing rewound conversation:', error);
+    }
+  }
+  
+  _finishTurn(turn) {
+    if (this._currentTurn === turn) {
+      this._currentTurn = null;
+    }
+    if (!this._turnChanges) return;
+    
+    const summary = this._turnChanges.finish(turn, this._currentSessionId);
+    if (summary) {
+      this._sendAndSaveMessage({
+        type: 'turnChanges',
+        data: summary
+      });
+    }
+  }
+  
+  // Partial message events: forward text and thinking deltas as they arrive.
+  // Deltas are only sent to the UI - the transcript stores the final message.
+  _processStreamEvent(event) {
+    if (!event) return;
+    
+    switch (event.type) {
+      case 'message_start':
+        this._streamMessageId = event.message && event.message.id;
+        break;
+        
+      case 'content_block_delta': {
+        const delta = event.delta || {};
+        const streamId = `${this._streamMessageId}:${event.index}`;
+        let kind = null;
+        let text = '';
+        
+        if (delta.type === 'text_delta') {
+          kind = 'output';
+          text = delta.text;
+        } else if (delta.type === 'thinking_delta') {
+          kind = 'thinking';
+          text = delta.thinking;
         }
+        if (!kind || !text) break;
+        
+        const block = this._streamingBlocks.get(streamId) || { streamId, kind, text: '' };
+        block.text += text;
+        this._streamingBlocks.set(streamId, block);
+        
+        this._postMessage({
+          type: kind === 'output' ? 'outputDelta' : 'thinkingDelta',
+          data: { streamId, text }
+        });
+        break;
+      }
     }
   }
   
+  _clearStreamingBlocks(messageId) {
+    for (const streamId of this._streamingBlocks.keys()) {
+      if (!messageId || streamId.startsWith(`${messageId}:`)) {
+        this._streamingBlocks.delete(streamId);
+      }
+    }
+  }
+  
+  // Uploaded files for ids from the client; unknown ones are dropped
+  _resolveAttachments(ids) {
+    if (!this._attachments || !Array.isArray(ids)) return [];
+    const attachments = [];
+    for (const id of ids) {
+      try {
+        attachments.push(this._attachments.describe(id));
+      } catch (error) {
+        log.warn(`Attachment ${id} skipped: ${error.message}`);
+      }
+    }
+    return attachments;
+  }
+  
+  // Paths inside the project are given relative to it, like Claude's own
+  _promptPath(fullPath) {
+    const relative = path.relative(this.projectRoot, fullPath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? fullPath : relative;
+  }
+  
+  // Text streamed so far for blocks whose final message hasn't arrived yet
+  getStreamingBlocks() {
+    return Array.from(this._streamingBlocks.values());
+  }
+  
   _sendAndSaveMessage(message) {
     // Initialize conversation if needed
     if (this._currentConversation.length === 0) {
@@ -624,56 +1178,82 @@ class ClaudeChatProvider {
     this._currentConversation.push(timestampedMessage);
     
     // Send to UI
-    this._postMessage(message);
+    this._postMessage({ ...message, index: this._currentConversation.length - 1 });
+    
+    this._saveNewMessages();
   }
   
-  _saveCurrentConversation() {
-    if (!this._currentSessionId || this._currentConversation.length === 0) {
-      return;
-    }
-    
-    // Generate a title from the first user message
-    let title = 'Untitled Conversation';
-    const firstUserMessage = this._currentConversation.find(msg => msg.messageType === 'userInput');
-    
-    console.log('Looking for first user message. Total messages:', this._currentConversation.length);
-    console.log('Message types:', this._currentConversation.map(m => m.messageType));
-    
-    if (firstUserMessage && firstUserMessage.data && typeof firstUserMessage.data === 'string') {
-      // Take first 50 characters of first user message as title
-      title = firstUserMessage.data.substring(0, 50).trim();
-      if (firstUserMessage.data.length > 50) {
-        title += '...';
-      }
-    }
-    
-    console.log(`Saving conversation with title: "${title}"`);
-    console.log('First user message:', firstUserMessage);
-    
-    const conversationData = {
+  // The user's own title, or one taken from the first prompt
+  getTitle() {
+    return (this._currentSessionId && this._metaFor(this._currentSessionId).title) ||
+      titleFromMessages(this._currentConversation);
+  }
+  
+  _conversationDetails() {
+    const details = {
       sessionId: this._currentSessionId,
-      title: title,
+      attachmentsKey: this._attachmentsKey,
+      title: this.getTitle(),
       startTime: this._conversationStartTime,
       endTime: new Date().toISOString(),
-      messageCount: this._currentConversation.length,
       totalCost: this._totalCost,
       totalTokens: {
         input: this._totalTokensInput,
         output: this._totalTokensOutput
-      },
-      messages: this._currentConversation
+      }
     };
+    if (this._parentSessionId) details.parentSessionId = this._parentSessionId;
+    if (this._forkBaseSessionId) details.forkBase = this._forkBaseSessionId;
+    if (this._previousSessionIds.length > 0) details.previousSessionIds = this._previousSessionIds;
+    return details;
+  }
+  
+  // Messages are appended to the transcript as they arrive, so a crash
+  // loses none of them; the details follow at the end of the turn
+  _saveNewMessages() {
+    if (!this._currentSessionId) return;
+    if (!this._isSaved()) {
+      this._saveCurrentConversation();
+      return;
+    }
+    
+    try {
+      this._transcripts.append(this._currentSessionId, this._currentConversation.slice(this._savedMessageCount));
+      this._savedMessageCount = this._currentConversation.length;
+    } catch (error) {
+      log.error('Error saving message:', error);
+    }
+  }
+  
+  // Whether the transcript holds the start of the conversation as it is now
+  _isSaved() {
+    return this._savedSessionId === this._currentSessionId &&
+      this._savedMessageCount <= this._currentConversation.length &&
+      this._transcripts.has(this._currentSessionId);
+  }
+  
+  _saveCurrentConversation() {
+    if (!this._currentSessionId || this._currentConversation.length === 0 || this._cliSessionId) {
+      return;
+    }
     
-    // Use timestamp for filename if no session ID from Claude yet
-    const filename = this._currentSessionId ? 
-      `${this._currentSessionId}.json` : 
-      `conversation_${Date.now()}.json`;
-    const filepath = path.join(this.conversationsPath, filename);
+    const details = this._conversationDetails();
+    log.debug(`Saving conversation with title: "${details.title}"`);
     
     try {
-      fs.writeFileSync(filepath, JSON.stringify(conversationData, null, 2));
+      if (this._isSaved()) {
+        this._transcripts.append(this._currentSessionId, this._currentConversation.slice(this._savedMessageCount), details);
+      } else {
+        this._transcripts.write({ ...details, messages: this._currentConversation });
+      }
+      this._savedSessionId = this._currentSessionId;
+      this._savedMessageCount = this._currentConversation.length;
+      if (this._conversationIndex) {
+        this._conversationIndex.update(this._transcripts.find(this._currentSessionId).fileName,
+          { ...details, messages: this._currentConversation });
+      }
     } catch (error) {
-      console.error('Error saving conversation:', error);
+      log.error('Error saving conversation:', error);
     }
   }
   
@@ -686,7 +1266,19 @@ class ClaudeChatProvider {
     
     // Reset state
     this._currentSessionId = null;
+    this._savedSessionId = null;
+    this._savedMessageCount = 0;
+    this._cliSessionId = null;
+    this._attachmentsKey = null;
+    this._rewoundSessionId = null;
+    this._startFresh = false;
+    this._parentSessionId = null;
+    this._forkBaseSessionId = null;
+    this._previousSessionIds = [];
     this._currentConversation = [];
+    this._promptQueue = [];
+    this._queuePaused = false;
+    this._postQueue();
     this._conversationStartTime = null;
     this._totalCost = 0;
     this._totalTokensInput = 0;
@@ -698,61 +1290,94 @@ class ClaudeChatProvider {
   }
   
   stopCurrentRequest() {
-    if (this._currentClaudeProcess) {
+    if (this._startingRun) {
+      // The prompt had not been sent yet
+      this._startingRun = null;
+      this._isProcessing = false;
+      this._postMessage({
+        type: 'setProcessing',
+        data: { isProcessing: false }
+      });
+      this._pauseQueue();
+    } else if (this._currentClaudeProcess) {
+      this._currentClaudeProcess.stoppedByUser = true;
       this._currentClaudeProcess.kill('SIGTERM');
       this._currentClaudeProcess = null;
       this._isProcessing = false;
+      this._dismissPermissionRequests();
       
       this._sendAndSaveMessage({
         type: 'error',
         data: 'Claude code was stopped.'
       });
+      this._pauseQueue();
     }
   }
   
-  getWorkspaceFiles(searchTerm = '') {
-    // Simple file search implementation
-    const results = [];
-    
-    const searchDir = (dir, prefix = '') => {
-      try {
-        const items = fs.readdirSync(dir);
-        
-        for (const item of items) {
-          const fullPath = path.join(dir, item);
-          const relativePath = prefix ? path.join(prefix, item) : item;
-          
-          // Skip hidden files and common ignore patterns
-          if (item.startsWith('.') || item === 'node_modules') continue;
-          
-          const stats = fs.statSync(fullPath);
-          
-          if (stats.isDirectory()) {
-            searchDir(fullPath, relativePath);
-          } else if (!searchTerm || item.toLowerCase().includes(searchTerm.toLowerCase())) {
-            results.push(relativePath);
-          }
-        }
-      } catch (error) {
-        console.error('Error reading directory:', error);
-      }
+  // Prompt queue
+  
+  getQueue() {
+    return {
+      items: this._promptQueue,
+      paused: this._queuePaused
     };
-    
-    searchDir(this.projectRoot);
-    
-    // Limit results and format as objects
-    const limited = results.slice(0, 50).map(filepath => ({
-      name: path.basename(filepath),
-      path: filepath
-    }));
-    
+  }
+  
+  _postQueue() {
     this._postMessage({
-      type: 'workspaceFiles',
-      data: limited
+      type: 'queueUpdated',
+      data: this.getQueue()
     });
   }
   
+  _pauseQueue() {
+    if (this._promptQueue.length > 0 && !this._queuePaused) {
+      this._queuePaused = true;
+      this._postQueue();
+    }
+  }
   
+  _dispatchNextPrompt() {
+    if (this._queuePaused || this._isProcessing || this._promptQueue.length === 0) {
+      return;
+    }
+    
+    const next = this._promptQueue.shift();
+    this._postQueue();
+    this._startRun(next.text, next.planMode, next.thinkingMode, next.attachments).catch(error => this._startFailed(error));
+  }
+  
+  resumeQueue() {
+    this._queuePaused = false;
+    this._postQueue();
+    this._dispatchNextPrompt();
+  }
+  
+  updateQueuedPrompt(id, text) {
+    const item = this._promptQueue.find(q => q.id === id);
+    if (item && typeof text === 'string' && text.trim()) {
+      item.text = text.trim();
+      this._postQueue();
+    }
+  }
+  
+  moveQueuedPrompt(id, toIndex) {
+    const from = this._promptQueue.findIndex(q => q.id === id);
+    if (from === -1) return;
+    
+    const [item] = this._promptQueue.splice(from, 1);
+    const index = Math.max(0, Math.min(toIndex, this._promptQueue.length));
+    this._promptQueue.splice(index, 0, item);
+    this._postQueue();
+  }
+  
+  removeQueuedPrompt(id) {
+    this._promptQueue = this._promptQueue.filter(q => q.id !== id);
+    if (this._promptQueue.length === 0) {
+      this._queuePaused = false;
+    }
+    this._postQueue();
+  }
   
   selectModel(model) {
     this._selectedModel = model;
@@ -760,13 +1385,10 @@ class ClaudeChatProvider {
   }
   
   getSettings() {
-    this._postMessage({
-      type: 'settings',
-      data: {
-        selectedModel: this._selectedModel,
-        thinkingMode: this._thinkingMode
-      }
-    });
+    return {
+      selectedModel: this._selectedModel,
+      thinkingMode: this._thinkingMode
+    };
   }
   
   updateSettings(settings) {
@@ -780,8 +1402,21 @@ class ClaudeChatProvider {
   }
   
   cleanup() {
+    // Clean up before switching projects or closing this session
     this.stopCurrentRequest();
     this._saveCurrentConversation();
+    
+    if (this._permissionWatcher) {
+      this._permissionWatcher.close();
+      this._permissionWatcher = null;
+    }
+    
+    try {
+      fs.unlinkSync(this.mcpConfigPath);
+      fs.rmdirSync(this.permissionRequestsPath);
+    } catch (error) {
+      // Already gone, or a request is still being answered
+    }
   }
   
   // Permission system methods (legacy - replaced by MCP)
@@ -793,7 +1428,7 @@ class ClaudeChatProvider {
         this._permissions = JSON.parse(fs.readFileSync(permissionsPath, 'utf8'));
       }
     } catch (error) {
-      console.error('Error loading permissions:', error);
+      log.error('Error loading permissions:', error);
     }
   }
   
@@ -802,7 +1437,7 @@ class ClaudeChatProvider {
       const permissionsPath = path.join(this.sessionStorePath, 'permissions.json');
       fs.writeFileSync(permissionsPath, JSON.stringify(this._permissions, null, 2));
     } catch (error) {
-      console.error('Error saving permissions:', error);
+      log.error('Error saving permissions:', error);
     }
   }
   
@@ -826,16 +1461,16 @@ class ClaudeChatProvider {
       
       // Write MCP config
       fs.writeFileSync(this.mcpConfigPath, JSON.stringify(mcpConfig, null, 2));
-      console.log('MCP config created at:', this.mcpConfigPath);
+      log.debug('MCP config created at:', this.mcpConfigPath);
     } catch (error) {
-      console.error('Failed to set up MCP config:', error);
+      log.error('Failed to set up MCP config:', error);
     }
   }
   
   _setupPermissionWatcher() {
     try {
       // Watch for .request files
-      const watcher = fs.watch(this.permissionRequestsPath, (eventType, filename) => {
+      const watcher = this._permissionWatcher = fs.watch(this.permissionRequestsPath, (eventType, filename) => {
         if (eventType === 'rename' && filename && filename.endsWith('.request')) {
           const requestFile = path.join(this.permissionRequestsPath, filename);
           if (fs.existsSync(requestFile)) {
@@ -845,9 +1480,9 @@ class ClaudeChatProvider {
       });
       
       // Clean up on process exit
-      process.on('exit', () => watcher.close());
+      process.once('exit', () => watcher.close());
     } catch (error) {
-      console.error('Failed to set up permission watcher:', error);
+      log.error('Failed to set up permission watcher:', error);
     }
   }
   
@@ -871,6 +1506,7 @@ class ClaudeChatProvider {
         };
         
         fs.writeFileSync(responseFile, JSON.stringify(response));
+        this._pendingPermissionRequests.delete(uiRequestId);
         
         // Delete request file
         try {
@@ -881,16 +1517,18 @@ class ClaudeChatProvider {
       });
       
       // Send permission request to UI
+      const permissionRequest = {
+        id: uiRequestId,
+        tool: request.tool,
+        command: JSON.stringify(request.input, null, 2)
+      };
+      this._pendingPermissionRequests.set(uiRequestId, permissionRequest);
       this._postMessage({
         type: 'permissionRequest',
-        data: {
-          id: uiRequestId,
-          tool: request.tool,
-          command: JSON.stringify(request.input, null, 2)
-        }
+        data: permissionRequest
       });
     } catch (error) {
-      console.error('Failed to handle permission request file:', error);
+      log.error('Failed to handle permission request file:', error);
     }
   }
   
@@ -918,6 +1556,23 @@ class ClaudeChatProvider {
     });
   }
   
+  // Permission requests still waiting for an answer (re-sent to devices that resync)
+  getPendingPermissionRequests() {
+    return Array.from(this._pendingPermissionRequests.values());
+  }
+  
+  // Nothing is left waiting on the requests of a run that has ended
+  _dismissPermissionRequests() {
+    for (const id of this._pendingPermissionRequests.keys()) {
+      this._pendingPermissions.delete(id);
+      this._postMessage({
+        type: 'permissionDismissed',
+        data: { id }
+      });
+    }
+    this._pendingPermissionRequests.clear();
+  }
+  
   handlePermissionResponse(id, approved, alwaysAllow) {
     const resolver = this._pendingPermissions.get(id);
     if (resolver) {
@@ -948,22 +1603,18 @@ class ClaudeChatProvider {
       }
     }
     
-    this._postMessage({
-      type: 'permissions',
-      data: permissions
-    });
+    return permissions;
   }
   
   removePermission(tool, command) {
     const permissionKey = `${tool}:${command}`;
     delete this._permissions[permissionKey];
     this._savePermissions();
-    this.getPermissions();
   }
   
   // This will be overridden by server.js
   _postMessage(message) {
-    console.log('PostMessage:', message.type);
+    log.debug('PostMessage:', message.type);
   }
 }
 
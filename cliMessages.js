@@ -0,0 +1,101 @@
+// The Claude CLI's messages as the app stores and shows them: what it
+// streams while running, and what it keeps in its session transcripts.
+
+// Text of a prompt typed by the user, or null for anything else the CLI
+// records as a user turn (tool results, notes it adds itself, slash
+// commands and their output)
+function promptText(entry) {
+  if (entry.type !== 'user' || entry.isMeta || entry.isSidechain || entry.isCompactSummary) return null;
+  const content = entry.message && entry.message.content;
+  let text;
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Array.isArray(content) && content.length > 0 && content.every(block => block.type === 'text')) {
+    text = content.map(block => block.text).join('\n');
+  } else {
+    return null;
+  }
+  if (/^<(command-name|command-message|local-command-stdout)>/.test(text) || text.startsWith('[Request interrupted by user')) {
+    return null;
+  }
+  return text;
+}
+
+// Messages for the text, thinking and tool calls of an assistant message
+function assistantMessages(message) {
+  const messages = [];
+  for (const content of message.content || []) {
+    if (content.type === 'text' && content.text.trim()) {
+      messages.push({ type: 'output', data: content.text.trim() });
+    } else if (content.type === 'thinking' && content.thinking.trim()) {
+      messages.push({ type: 'thinking', data: content.thinking.trim() });
+    } else if (content.type === 'tool_use') {
+      // Format tool input for better display
+      let toolInput = '';
+      if (content.name === 'TodoWrite' && content.input && content.input.todos) {
+        // Special formatting for TodoWrite
+        toolInput = 'Todo List Update:';
+        for (const todo of content.input.todos) {
+          const status = todo.status === 'completed' ? '[DONE]' :
+            todo.status === 'in_progress' ? '[IN PROGRESS]' : '[TODO]';
+          toolInput += `\n${status} ${todo.content} (priority: ${todo.priority})`;
+        }
+      }
+
+      messages.push({
+        type: 'toolUse',
+        data: {
+          toolInfo: content.name,
+          toolInput: toolInput,
+          rawInput: content.input,
+          toolName: content.name,
+          toolUseId: content.tool_use_id
+        }
+      });
+    }
+  }
+  return messages;
+}
+
+// Messages for the tool results a user turn carries back to Claude
+function toolResultMessages(message) {
+  if (!Array.isArray(message.content)) return [];
+  return message.content
+    .filter(content => content.type === 'tool_result')
+    .map(content => ({
+      type: 'toolResult',
+      data: {
+        content: content.content || '',
+        isError: content.is_error || false,
+        toolUseId: content.tool_use_id,
+        toolName: content.name || 'unknown'
+      }
+    }));
+}
+
+// Stored messages ({ timestamp, messageType, data }) for the entries of a
+// CLI session transcript: prompts, answers, thinking and tools. Subagent
+// turns and the CLI's own notes are left out.
+function transcriptMessages(entries) {
+  const messages = [];
+  const add = (entry, { type, data }) => messages.push({ timestamp: entry.timestamp, messageType: type, data });
+  for (const entry of entries) {
+    if (entry.isSidechain || !entry.message) continue;
+    const prompt = promptText(entry);
+    if (prompt !== null) {
+      add(entry, { type: 'userInput', data: prompt });
+    } else if (entry.type === 'user' && !entry.isMeta) {
+      toolResultMessages(entry.message).forEach(message => add(entry, message));
+    } else if (entry.type === 'assistant') {
+      assistantMessages(entry.message).forEach(message => add(entry, message));
+    }
+  }
+  return messages;
+}
+
+module.exports = {
+  promptText,
+  assistantMessages,
+  toolResultMessages,
+  transcriptMessages
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const log = require('./logger');
+const { promptText } = require('./cliMessages');
+
+const SUMMARY_CHUNK_SIZE = 64 * 1024;
+
+function parseLines(content) {
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line the CLI is still writing
+    }
+  }
+  return entries;
+}
+
+// The Claude CLI keeps the transcript of each session as JSONL, one file per
+// session id, in a folder named after the project path with every
+// character other than a letter or digit replaced by '-'.
+class CliTranscripts {
+  // configDir - the CLI's settings folder ($CLAUDE_CONFIG_DIR or ~/.claude)
+  constructor(projectRoot, { configDir = process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude') } = {}) {
+    let root = projectRoot;
+    try {
+      root = fs.realpathSync(projectRoot);
+    } catch {
+      // Not there (yet); the CLI would see the same path
+    }
+    this.directory = path.join(configDir, 'projects', root.replace(/[^a-zA-Z0-9]/g, '-'));
+    this._summaries = new Map(); // file name -> { size, summary }
+  }
+
+  pathFor(sessionId) {
+    return path.join(this.directory, `${path.basename(sessionId)}.jsonl`);
+  }
+
+  // Sessions with at least one prompt, in no particular order:
+  // [{ sessionId, firstPrompt, startTime, endTime }]. Sessions in exclude
+  // are not looked at. Only the start of a transcript is read, up to its
+  // first prompt, and only once that has been found.
+  list(exclude = new Set()) {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => file.endsWith('.jsonl'));
+    } catch {
+      return [];
+    }
+
+    const present = new Set(files);
+    for (const file of Array.from(this._summaries.keys())) {
+      if (!present.has(file)) this._summaries.delete(file);
+    }
+
+    const sessions = [];
+    for (const file of files) {
+      const sessionId = path.basename(file, '.jsonl');
+      if (exclude.has(sessionId)) continue;
+      try {
+        const stats = fs.statSync(path.join(this.directory, file));
+        let cached = this._summaries.get(file);
+        // Without a prompt yet, look again once the CLI has written more
+        if (!cached || (!cached.summary && cached.size !== stats.size)) {
+          cached = { size: stats.size, summary: this._summarize(file) };
+          this._summaries.set(file, cached);
+        }
+        if (cached.summary) {
+          sessions.push({ sessionId, ...cached.summary, startTime: cached.summary.startTime || stats.mtime.toISOString(), endTime: stats.mtime.toISOString() });
+        }
+      } catch (error) {
+        log.error('Error reading CLI session:', file, error);
+      }
+    }
+    return sessions;
+  }
+
+  // The entries of a session's transcript, or null if there is none
+  read(sessionId) {
+    try {
+      return parseLines(fs.readFileSync(this.pathFor(sessionId), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // The first prompt of a transcript and when the session started, reading
+  // no further than the line with that prompt; null if it has none yet
+  _summarize(file) {
+    const fd = fs.openSync(path.join(this.directory, file), 'r');
+    try {
+      const buffer = Buffer.alloc(SUMMARY_CHUNK_SIZE);
+      const decoder = new StringDecoder('utf8');
+      let pending = '';
+      let startTime = null;
+      let bytesRead;
+      do {
+        bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null);
+        const lines = (pending + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        // Hold back a line that may continue in the next chunk
+        pending = bytesRead > 0 ? lines.pop() : '';
+        for (const entry of parseLines(lines.join('\n'))) {
+          if (!startTime && entry.timestamp && !entry.isSidechain) startTime = entry.timestamp;
+          const firstPrompt = promptText(entry);
+          if (firstPrompt !== null) return { firstPrompt, startTime };
+        }
+      } while (bytesRead > 0);
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Copy of a session's transcript that stops before one of its prompts,
+  // saved under a new session id that `claude --resume` accepts. The prompt
+  // is counted from the end (1 = the last) and must contain text, which
+  // guards against transcripts that do not line up with ours. Returns the
+  // new id, or null if there is no transcript or the prompt is not in it.
+  copyBeforePrompt(sessionId, fromEnd, text) {
+    const entries = this.read(sessionId);
+    if (!entries) return null;
+    const prompts = [];
+    entries.forEach((entry, index) => {
+      if (promptText(entry) !== null) prompts.push(index);
+    });
+
+    const cut = prompts[prompts.length - fromEnd];
+    if (cut === undefined || !promptText(entries[cut]).includes(text)) return null;
+
+    const copyId = crypto.randomUUID();
+    const kept = entries.slice(0, cut);
+    const uuids = new Set(kept.map(entry => entry.uuid).filter(Boolean));
+    const copied = kept
+      // Pointers to where the session had got to (summaries, the last
+      // prompt) would lead past the cut
+      .filter(entry => !entry.leafUuid || uuids.has(entry.leafUuid))
+      .map(entry => JSON.stringify(entry.sessionId ? { ...entry, sessionId: copyId } : entry));
+
+    fs.writeFileSync(this.pathFor(copyId), copied.length > 0 ? `${copied.join('\n')}\n` : '');
+    return copyId;
+  }
+
+  remove(sessionId) {
+    fs.rmSync(this.pathFor(sessionId), { force: true });
+  }
+}
+
+module.exports = CliTranscripts;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// Tracks every connected WebSocket client. One client at a time holds the
+// "controller" role and may drive the session; everyone else is a viewer that
+// receives the same event stream.
+class ClientRegistry {
+  constructor() {
+    this._clients = new Map(); // ws -> client info
+    this._controllerId = null;
+  }
+
+  get size() {
+    return this._clients.size;
+  }
+
+  add(ws, req, device = null) {
+    const client = {
+      id: crypto.randomBytes(6).toString('hex'),
+      ws,
+      deviceId: device ? device.id : null,
+      label: device ? device.name : this._describeDevice(req),
+      connectedAt: new Date().toISOString()
+    };
+    this._clients.set(ws, client);
+
+    // First device in becomes the controller
+    if (!this._controllerId) {
+      this._controllerId = client.id;
+    }
+
+    this._announceRoles();
+    return client;
+  }
+
+  remove(ws) {
+    const client = this._clients.get(ws);
+    if (!client) return;
+
+    this._clients.delete(ws);
+
+    // Promote the longest-connected remaining device
+    if (this._controllerId === client.id) {
+      const next = this._clients.values().next().value;
+      this._controllerId = next ? next.id : null;
+    }
+
+    this._announceRoles();
+  }
+
+  get(ws) {
+    return this._clients.get(ws) || null;
+  }
+
+  isController(ws) {
+    const client = this._clients.get(ws);
+    return !!client && client.id === this._controllerId;
+  }
+
+  // Whether a connection of the given paired device, known by its client id,
+  // is the controller (for requests made outside the WebSocket)
+  isControllerId(clientId, deviceId) {
+    const client = this._findById(clientId);
+    return !!client && client.id === this._controllerId && client.deviceId === deviceId;
+  }
+
+  setController(clientId) {
+    const target = this._findById(clientId);
+    if (!target) {
+      return false;
+    }
+
+    this._controllerId = target.id;
+    this._announceRoles();
+    return true;
+  }
+
+  renameDevice(deviceId, name) {
+    let changed = false;
+    for (const client of this._clients.values()) {
+      if (client.deviceId === deviceId) {
+        client.label = name;
+        changed = true;
+      }
+    }
+    if (changed) {
+      this._announceRoles();
+    }
+  }
+
+  // Close every connection authenticated as the given paired device
+  disconnectDevice(deviceId) {
+    for (const client of Array.from(this._clients.values())) {
+      if (client.deviceId === deviceId) {
+        client.ws.close(4001, 'Device revoked');
+        this.remove(client.ws);
+      }
+    }
+  }
+
+  list() {
+    return Array.from(this._clients.values()).map(client => ({
+      id: client.id,
+      label: client.label,
+      connectedAt: client.connectedAt,
+      role: client.id === this._controllerId ? 'controller' : 'viewer'
+    }));
+  }
+
+  send(ws, message) {
+    if (ws.readyState === 1) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  broadcast(message) {
+    const payload = JSON.stringify(message);
+    for (const ws of this._clients.keys()) {
+      if (ws.readyState === 1) {
+        ws.send(payload);
+      }
+    }
+  }
+
+  _findById(clientId) {
+    for (const client of this._clients.values()) {
+      if (client.id === clientId) return client;
+    }
+    return null;
+  }
+
+  _announceRoles() {
+    const clients = this.list();
+    for (const client of this._clients.values()) {
+      this.send(client.ws, {
+        type: 'clientRole',
+        data: {
+          clientId: client.id,
+          role: client.id === this._controllerId ? 'controller' : 'viewer',
+          controllerId: this._controllerId,
+          clients
+        }
+      });
+    }
+  }
+
+  _describeDevice(req) {
+    const ua = (req && req.headers['user-agent']) || '';
+    if (/iPad|Tablet/i.test(ua)) return 'Tablet';
+    if (/iPhone|Android.*Mobile/i.test(ua)) return 'Phone';
+    if (/Android/i.test(ua)) return 'Tablet';
+    if (/Macintosh|Windows|Linux/i.test(ua)) return 'Desktop';
+    return 'Device';
+  }
+}
+
+module.exports = ClientRegistry;
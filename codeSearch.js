@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const IgnoreRules = require('./ignoreRules');
+
+// Lines longer than this are cut down to the part around the first match
+const PREVIEW_LENGTH = 240;
+
+// Matches reported per line; a regex like "." would otherwise flood the preview
+const MAX_RANGES_PER_LINE = 20;
+
+class SearchError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SearchError';
+    this.status = status;
+  }
+}
+
+function buildPattern({ query, regex = false, caseSensitive = false, wholeWord = false }) {
+  if (typeof query !== 'string' || query === '') {
+    throw new SearchError(400, 'Search text is required');
+  }
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  try {
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    throw new SearchError(400, error.message);
+  }
+}
+
+// Full-text search over the project's indexed files. The matching itself runs
+// in a worker thread, so a slow regex or a huge repository never blocks the
+// server: the worker is stopped after the timeout or once enough matches are
+// found.
+//
+// options.maxFileSize - larger files are skipped
+// options.maxResults - matches reported before a search stops
+// options.timeout - milliseconds before a search stops
+class CodeSearch {
+  // fileIndex - FileIndex listing the files to search
+  constructor(projectRoot, fileIndex, options = {}) {
+    this.root = path.resolve(projectRoot);
+    this._fileIndex = fileIndex;
+    this.maxFileSize = options.maxFileSize || 1024 * 1024;
+    this.maxResults = options.maxResults || 2000;
+    this.timeout = options.timeout || 15000;
+  }
+
+  // Calls onMatches with each batch of { path, line, column, preview, ranges }
+  // (ranges are [start, end] offsets into preview). Returns { done, cancel };
+  // done resolves with { matches, files, truncated, timedOut }.
+  //
+  // options: query, regex, caseSensitive, wholeWord, include and exclude
+  // (lists of .gitignore-style patterns), maxResults
+  search(options, onMatches) {
+    const pattern = buildPattern(options);
+    const include = options.include && options.include.length > 0 ? new IgnoreRules(options.include) : null;
+    const exclude = options.exclude && options.exclude.length > 0 ? new IgnoreRules(options.exclude) : null;
+    const maxResults = Math.min(options.maxResults || this.maxResults, this.maxResults);
+
+    let worker = null;
+    let cancelled = false;
+    let timer = null;
+
+    const done = this._fileIndex.paths().then(paths => new Promise((resolve, reject) => {
+      if (cancelled) {
+        return resolve({ matches: 0, files: 0, truncated: false, timedOut: false });
+      }
+
+      const files = paths.filter(p => (!include || include.matches(p)) && !(exclude && exclude.matches(p)));
+      let matches = 0;
+      const matchedFiles = new Set();
+      const finish = (result) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve({ matches, files: matchedFiles.size, truncated: false, timedOut: false, ...result });
+      };
+
+      worker = new Worker(__filename, {
+        workerData: {
+          root: this.root,
+          files,
+          source: pattern.source,
+          flags: pattern.flags,
+          maxResults,
+          maxFileSize: this.maxFileSize
+        }
+      });
+      worker.on('message', (message) => {
+        if (message.type === 'matches') {
+          matches += message.matches.length;
+          message.matches.forEach(match => matchedFiles.add(match.path));
+          onMatches(message.matches);
+        } else if (message.type === 'done') {
+          finish({ truncated: message.truncated });
+        }
+      });
+      worker.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      worker.on('exit', () => {
+        // Cancelled by the caller
+        clearTimeout(timer);
+        resolve({ matches, files: matchedFiles.size, truncated: false, timedOut: false });
+      });
+      timer = setTimeout(() => finish({ timedOut: true }), this.timeout);
+    }));
+
+    return {
+      done,
+      cancel: () => {
+        cancelled = true;
+        if (worker) worker.terminate();
+      }
+    };
+  }
+}
+
+// The part of a long line around its first match, with ranges moved to match
+function preview(text, ranges) {
+  if (text.length <= PREVIEW_LENGTH) return { preview: text, ranges };
+
+  const start = Math.max(0, Math.min(ranges[0][0] - 40, text.length - PREVIEW_LENGTH));
+  const end = start + PREVIEW_LENGTH;
+  return {
+    preview: text.slice(start, end),
+    ranges: ranges
+      .filter(([from]) => from < end)
+      .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, end) - start])
+  };
+}
+
+function searchFile(fullPath, pattern, maxFileSize) {
+  const stats = fs.statSync(fullPath);
+  if (!stats.isFile() || stats.size > maxFileSize) return [];
+
+  const buffer = fs.readFileSync(fullPath);
+  // Same binary check as the file API
+  if (buffer.subarray(0, 8000).includes(0)) return [];
+
+  const results = [];
+  const lines = buffer.toString('utf8').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].endsWith('\r') ? lines[i].slice(0, -1) : lines[i];
+    const ranges = [];
+    pattern.lastIndex = 0;
+    let match;
+    while (ranges.length < MAX_RANGES_PER_LINE && (match = pattern.exec(text)) !== null) {
+      if (match[0] === '') {
+        // Empty matches ("^", "\b") show where the line matched but span nothing
+        pattern.lastIndex++;
+        if (ranges.length === 0) ranges.push([match.index, match.index]);
+        if (pattern.lastIndex > text.length) break;
+        continue;
+      }
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+    if (ranges.length > 0) {
+      results.push({ line: i + 1, column: ranges[0][0] + 1, ...preview(text, ranges) });
+    }
+  }
+  return results;
+}
+
+function runWorker({ root, files, source, flags, maxResults, maxFileSize }) {
+  const pattern = new RegExp(source, flags);
+  let found = 0;
+
+  for (const relativePath of files) {
+    let results;
+    try {
+      results = searchFile(path.join(root, relativePath), pattern, maxFileSize);
+    } catch {
+      continue; // deleted or unreadable since it was indexed
+    }
+    if (results.length === 0) continue;
+
+    const batch = results.slice(0, maxResults - found).map(result => ({ path: relativePath, ...result }));
+    found += batch.length;
+    parentPort.postMessage({ type: 'matches', matches: batch });
+    if (found >= maxResults) {
+      parentPort.postMessage({ type: 'done', truncated: true });
+      return;
+    }
+  }
+  parentPort.postMessage({ type: 'done', truncated: false });
+}
+
+if (!isMainThread && workerData && workerData.source !== undefined) {
+  runWorker(workerData);
+}
+
+CodeSearch.SearchError = SearchError;
+
+module.exports = CodeSearch;
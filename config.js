@@ -0,0 +1,361 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Attachments = require('./attachments');
+const Checkpoints = require('./checkpoints');
+const FileAccess = require('./fileAccess');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Settings grouped under a key of their own
+const SECTIONS = ['limits', 'tls', 'files', 'checkpoints', 'attachments'];
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function defaults() {
+  return {
+    configFile: null,
+    host: '0.0.0.0',
+    port: 3000,
+    projectRoot: process.cwd(),
+    projectsRoots: [path.join(os.homedir(), 'projects')],
+    // Server-wide state (paired devices, certificates)
+    dataDir: path.join(os.homedir(), '.claude-code-chat'),
+    // Per-project chat data, relative to the project root unless absolute
+    projectStorageDir: '.claude-code-chat',
+    defaultModel: 'default',
+    logLevel: 'info',
+    // HTTPS/WSS with a locally generated CA; plain HTTP then only redirects
+    tls: {
+      enabled: false,
+      port: 3443,
+      // Extra names for the server certificate besides the detected ones
+      hostnames: []
+    },
+    // What clients may read through the file endpoints
+    files: {
+      symlinks: 'inside',
+      deny: FileAccess.DEFAULT_DENY.slice()
+    },
+    // Snapshots of the project taken before each prompt
+    checkpoints: {
+      enabled: true,
+      ignore: Checkpoints.DEFAULT_IGNORE.slice(),
+      maxStorage: 512 * 1024 * 1024,
+      maxFileSize: 10 * 1024 * 1024
+    },
+    // Files sent from the phone along with a prompt
+    attachments: {
+      maxSize: 20 * 1024 * 1024,
+      types: Attachments.DEFAULT_TYPES.slice()
+    },
+    limits: {
+      maxSessions: 5,
+      eventBufferSize: 2000,
+      maxFileSize: 1024 * 1024,
+      maxRequestBody: '1mb',
+      maxSearchResults: 2000,
+      searchTimeout: 15000,
+      maxDownloadSize: 512 * 1024 * 1024,
+      // Days a deleted conversation stays in the trash
+      trashRetentionDays: 30
+    }
+  };
+}
+
+// Command line flags. Each maps a flag to a config key and a parser.
+const FLAGS = {
+  '--config': { key: 'configFile' },
+  '--host': { key: 'host' },
+  '--port': { key: 'port', parse: Number },
+  '--projects-root': { key: 'projectsRoots', repeat: true },
+  '--data-dir': { key: 'dataDir' },
+  '--project-storage-dir': { key: 'projectStorageDir' },
+  '--model': { key: 'defaultModel' },
+  '--log-level': { key: 'logLevel' },
+  '--tls': { key: 'tls.enabled', boolean: true },
+  '--tls-port': { key: 'tls.port', parse: Number },
+  '--tls-hostname': { key: 'tls.hostnames', repeat: true },
+  '--symlinks': { key: 'files.symlinks' },
+  '--checkpoints': { key: 'checkpoints.enabled', boolean: true },
+  '--checkpoint-storage': { key: 'checkpoints.maxStorage', parse: Number },
+  '--max-attachment-size': { key: 'attachments.maxSize', parse: Number },
+  '--max-sessions': { key: 'limits.maxSessions', parse: Number },
+  '--event-buffer-size': { key: 'limits.eventBufferSize', parse: Number },
+  '--max-file-size': { key: 'limits.maxFileSize', parse: Number },
+  '--max-request-body': { key: 'limits.maxRequestBody' },
+  '--max-search-results': { key: 'limits.maxSearchResults', parse: Number },
+  '--search-timeout': { key: 'limits.searchTimeout', parse: Number },
+  '--max-download-size': { key: 'limits.maxDownloadSize', parse: Number },
+  '--trash-retention-days': { key: 'limits.trashRetentionDays', parse: Number }
+};
+
+// Environment variables, same shape as FLAGS
+const ENV = {
+  CLAUDE_CHAT_CONFIG: { key: 'configFile' },
+  HOST: { key: 'host' },
+  PORT: { key: 'port', parse: Number },
+  CLAUDE_CHAT_PROJECTS_ROOTS: { key: 'projectsRoots', parse: v => v.split(path.delimiter).filter(Boolean) },
+  CLAUDE_CHAT_DATA_DIR: { key: 'dataDir' },
+  CLAUDE_CHAT_PROJECT_STORAGE_DIR: { key: 'projectStorageDir' },
+  CLAUDE_CHAT_MODEL: { key: 'defaultModel' },
+  LOG_LEVEL: { key: 'logLevel' },
+  CLAUDE_CHAT_TLS: { key: 'tls.enabled', parse: v => v === '1' || v === 'true' },
+  TLS_PORT: { key: 'tls.port', parse: Number }
+};
+
+function setKey(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    node[part] = node[part] || {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value)) {
+      target[key] = merge(isPlainObject(target[key]) ? target[key] : {}, value);
+    } else if (value !== undefined) {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function parseArgs(argv, errors) {
+  const result = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [flag, value] = arg.split(/=(.*)/s);
+    const spec = FLAGS[flag];
+    if (!spec) {
+      errors.push(`Unknown option ${flag}`);
+      continue;
+    }
+    if (spec.boolean) {
+      setKey(result, spec.key, value === undefined ? true : value !== 'false');
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[++i];
+    }
+    if (value === undefined) {
+      errors.push(`Option ${flag} needs a value`);
+      continue;
+    }
+
+    const parsed = spec.parse ? spec.parse(value) : value;
+    if (spec.repeat) {
+      result[spec.key] = (result[spec.key] || []).concat(parsed);
+    } else {
+      setKey(result, spec.key, parsed);
+    }
+  }
+
+  if (positional.length > 1) {
+    errors.push(`Expected at most one project directory, got: ${positional.join(' ')}`);
+  }
+  if (positional.length > 0) {
+    result.projectRoot = positional[0];
+  }
+
+  // Repeated flags were collected flat; nest them like the rest
+  const nested = {};
+  for (const [key, value] of Object.entries(result)) {
+    setKey(nested, key, value);
+  }
+  return nested;
+}
+
+function parseEnv(env) {
+  const result = {};
+  for (const [name, spec] of Object.entries(ENV)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setKey(result, spec.key, spec.parse ? spec.parse(env[name]) : env[name]);
+    }
+  }
+  return result;
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!isPlainObject(data)) {
+      errors.push(`${file}: expected a JSON object`);
+      return {};
+    }
+    // Sections are merged and checked key by key, so each must be an object
+    for (const section of SECTIONS) {
+      if (section in data && !isPlainObject(data[section])) {
+        errors.push(`${file}: "${section}" must be an object of settings (got ${JSON.stringify(data[section])})`);
+        delete data[section];
+      }
+    }
+    return data;
+  } catch (error) {
+    errors.push(`${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    return {};
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function validate(config, errors) {
+  const known = defaults();
+  for (const key of Object.keys(config)) {
+    if (!(key in known)) errors.push(`Unknown setting "${key}"`);
+  }
+  for (const section of SECTIONS) {
+    for (const key of Object.keys(config[section])) {
+      if (!(key in known[section])) errors.push(`Unknown setting "${section}.${key}"`);
+    }
+  }
+
+  if (typeof config.host !== 'string' || !config.host) {
+    errors.push('host must be a non-empty string');
+  }
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    errors.push(`port must be an integer between 1 and 65535 (got ${config.port})`);
+  }
+  if (!isDirectory(config.projectRoot)) {
+    errors.push(`Project directory does not exist: ${config.projectRoot}`);
+  }
+  if (!Array.isArray(config.projectsRoots) || config.projectsRoots.some(r => typeof r !== 'string')) {
+    errors.push('projectsRoots must be a list of directories');
+  }
+  if (typeof config.dataDir !== 'string' || !config.dataDir) {
+    errors.push('dataDir must be a directory path');
+  }
+  if (typeof config.projectStorageDir !== 'string' || !config.projectStorageDir) {
+    errors.push('projectStorageDir must be a directory path');
+  }
+  if (typeof config.defaultModel !== 'string' || !config.defaultModel) {
+    errors.push('defaultModel must be a model name or "default"');
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    errors.push(`logLevel must be one of ${LOG_LEVELS.join(', ')} (got ${config.logLevel})`);
+  }
+
+  if (typeof config.tls.enabled !== 'boolean') {
+    errors.push('tls.enabled must be true or false');
+  }
+  if (!Number.isInteger(config.tls.port) || config.tls.port < 1 || config.tls.port > 65535) {
+    errors.push(`tls.port must be an integer between 1 and 65535 (got ${config.tls.port})`);
+  } else if (config.tls.enabled && config.tls.port === config.port) {
+    errors.push('tls.port must differ from port');
+  }
+  if (!Array.isArray(config.tls.hostnames) || config.tls.hostnames.some(h => typeof h !== 'string' || !h)) {
+    errors.push('tls.hostnames must be a list of host names or IP addresses');
+  }
+
+  if (!FileAccess.SYMLINK_POLICIES.includes(config.files.symlinks)) {
+    errors.push(`files.symlinks must be one of ${FileAccess.SYMLINK_POLICIES.join(', ')} (got ${config.files.symlinks})`);
+  }
+  if (!Array.isArray(config.files.deny) || config.files.deny.some(p => typeof p !== 'string' || !p)) {
+    errors.push('files.deny must be a list of path patterns');
+  }
+
+  if (typeof config.checkpoints.enabled !== 'boolean') {
+    errors.push('checkpoints.enabled must be true or false');
+  }
+  if (!Array.isArray(config.checkpoints.ignore) || config.checkpoints.ignore.some(p => typeof p !== 'string' || !p)) {
+    errors.push('checkpoints.ignore must be a list of path patterns');
+  }
+  for (const key of ['maxStorage', 'maxFileSize']) {
+    const value = config.checkpoints[key];
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`checkpoints.${key} must be a positive integer (got ${value})`);
+    }
+  }
+
+  if (!Number.isInteger(config.attachments.maxSize) || config.attachments.maxSize < 1) {
+    errors.push(`attachments.maxSize must be a positive integer (got ${config.attachments.maxSize})`);
+  }
+  if (!Array.isArray(config.attachments.types) || config.attachments.types.some(t => typeof t !== 'string' || !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(t))) {
+    errors.push('attachments.types must be a list of MIME types like "image/*" or "application/pdf"');
+  }
+
+  for (const key of Object.keys(known.limits)) {
+    const value = config.limits[key];
+    if (key === 'maxRequestBody') {
+      if (!/^\d+(b|kb|mb)?$/i.test(String(value))) {
+        errors.push(`limits.maxRequestBody must be a size like "1mb" (got ${value})`);
+      }
+    } else if (!Number.isInteger(value) || value < 1) {
+      errors.push(`limits.${key} must be a positive integer (got ${value})`);
+    }
+  }
+  // Folders are sent as plain zip archives, which cannot reach 4 GB
+  if (config.limits.maxDownloadSize > 4000 * 1024 * 1024) {
+    errors.push('limits.maxDownloadSize must be at most 4000 MB');
+  }
+}
+
+// Effective configuration: defaults < config file < environment < flags.
+// Throws ConfigError listing every problem found.
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const errors = [];
+  const fromArgs = parseArgs(argv, errors);
+  const fromEnv = parseEnv(env);
+  const config = defaults();
+
+  // The config file can be named by flag or env, or sit in the default data dir
+  let configFile = fromArgs.configFile || fromEnv.configFile;
+  if (!configFile) {
+    const candidate = path.join(fromArgs.dataDir || fromEnv.dataDir || config.dataDir, 'config.json');
+    if (fs.existsSync(candidate)) configFile = candidate;
+  }
+  if (configFile) {
+    merge(config, readConfigFile(configFile, errors));
+  }
+
+  merge(config, fromEnv);
+  merge(config, fromArgs);
+  config.configFile = configFile ? path.resolve(configFile) : null;
+
+  validate(config, errors);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  config.projectRoot = path.resolve(config.projectRoot);
+  config.projectsRoots = config.projectsRoots.map(root => path.resolve(root));
+  config.dataDir = path.resolve(config.dataDir);
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+module.exports = { loadConfig, ConfigError, LOG_LEVELS };
@@ -0,0 +1,344 @@
+// Conversations in shareable form: readable Markdown, a self-contained HTML
+// page, or normalized JSON that can be imported again. The stored format
+// mirrors the UI's message stream; exports keep only what was said and done.
+
+const FORMAT = 'claude-code-chat/conversation';
+const VERSION = 1;
+
+// Exported message types and the text fields they require
+const MESSAGE_FIELDS = {
+  user: ['text'],
+  assistant: ['text'],
+  thinking: ['text'],
+  tool_use: ['name'],
+  tool_result: ['content'],
+  error: ['text'],
+  system: ['text']
+};
+
+// Largest number of messages an import may have, and the largest export
+// file that is read (room for that many messages of a few KB each)
+const MAX_IMPORT_MESSAGES = 20000;
+const MAX_IMPORT_SIZE = '64mb';
+
+class ConversationFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationFormatError';
+    this.status = 400;
+  }
+}
+
+// Tool results arrive as a string or a list of content blocks
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => (block && typeof block.text === 'string' ? block.text : '')).join('\n');
+  }
+  return content ? JSON.stringify(content) : '';
+}
+
+// options.tools - include tool calls; options.results - their results;
+// options.thinking - Claude's thinking
+function normalize(conversation, options = {}) {
+  const messages = [];
+  for (const stored of conversation.messages || []) {
+    const { timestamp, messageType: type, data } = stored;
+    if (data === undefined || data === null) continue;
+
+    if (type === 'userInput') {
+      messages.push({ type: 'user', timestamp, text: String(data) });
+    } else if (type === 'attachments') {
+      // Listed with the prompt they were sent with
+      const prompt = messages[messages.length - 1];
+      const files = (data.files || []).map(({ name, type: mime, size }) => ({ name, type: mime, size }));
+      if (prompt && prompt.type === 'user') prompt.attachments = files;
+    } else if (type === 'output') {
+      messages.push({ type: 'assistant', timestamp, text: String(data) });
+    } else if (type === 'thinking' && options.thinking) {
+      messages.push({ type: 'thinking', timestamp, text: String(data) });
+    } else if (type === 'toolUse' && options.tools) {
+      messages.push({ type: 'tool_use', timestamp, id: data.toolUseId || null, name: data.toolName || data.toolInfo || 'unknown', input: data.rawInput || {} });
+    } else if (type === 'toolResult' && options.results) {
+      messages.push({ type: 'tool_result', timestamp, toolUseId: data.toolUseId || null, content: resultText(data.content), isError: !!data.isError });
+    } else if (type === 'error' || type === 'system') {
+      messages.push({ type, timestamp, text: String(data) });
+    }
+  }
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    title: conversation.title || 'Untitled Conversation',
+    sessionId: conversation.sessionId || null,
+    startTime: conversation.startTime || null,
+    endTime: conversation.endTime || null,
+    totalCost: conversation.totalCost || 0,
+    totalTokens: conversation.totalTokens || { input: 0, output: 0 },
+    messages
+  };
+}
+
+// A fence longer than any run of backticks inside, so code cannot close it
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text}\n${marks}`;
+}
+
+function quote(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function toMarkdown(conversation, options = {}) {
+  const exported = normalize(conversation, options);
+  const lines = [`# ${exported.title}`, ''];
+  if (exported.startTime) {
+    lines.push(`*${new Date(exported.startTime).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}*`, '');
+  }
+
+  for (const message of exported.messages) {
+    switch (message.type) {
+      case 'user':
+        lines.push('## You', '', message.text);
+        if (message.attachments) {
+          lines.push('', ...message.attachments.map(file => `- 📎 ${file.name}`));
+        }
+        break;
+      case 'assistant':
+        lines.push('## Claude', '', message.text);
+        break;
+      case 'thinking':
+        lines.push('<details>', '<summary>Thinking</summary>', '', message.text, '', '</details>');
+        break;
+      case 'tool_use':
+        lines.push(`**Tool: ${message.name}**`, '', fence(JSON.stringify(message.input, null, 2), 'json'));
+        break;
+      case 'tool_result':
+        lines.push('<details>', `<summary>${message.isError ? 'Tool error' : 'Tool result'}</summary>`, '', fence(message.content), '', '</details>');
+        break;
+      case 'error':
+        lines.push(quote(`**Error:** ${message.text}`));
+        break;
+      case 'system':
+        lines.push(quote(message.text));
+        break;
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The same small Markdown subset the app renders: code blocks, inline code,
+// bold and italics
+function markdownToHtml(text) {
+  const blocks = [];
+  const withoutCode = escapeHtml(text.replace(/\u0000/g, '')).replace(/```(\w+)?\n([\s\S]*?)```/g, (match, language, code) => {
+    blocks.push(`<pre><code>${code}</code></pre>`);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+  return withoutCode
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*\n]+)\*/g, '<em>$1</em>')
+    .replace(/\n/g, '<br>')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+}
+
+const HTML_STYLE = `
+  :root { color-scheme: light dark; --fg: #37352f; --muted: #787774; --bg: #fff; --panel: #f7f6f3; --border: #e9e9e7; --blue: #2383e2; --red: #e03e3e; }
+  @media (prefers-color-scheme: dark) { :root { --fg: #e6e6e5; --muted: #9b9a97; --bg: #191919; --panel: #252525; --border: #373737; --blue: #529cca; --red: #ff7369; } }
+  body { margin: 0; background: var(--bg); color: var(--fg); font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; }
+  main { max-width: 760px; margin: 0 auto; padding: 32px 16px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  .meta { color: var(--muted); font-size: 13px; margin-bottom: 24px; }
+  .message { margin: 12px 0; padding: 12px 14px; border-radius: 8px; overflow-wrap: anywhere; }
+  .role { font-size: 12px; font-weight: 600; color: var(--muted); margin-bottom: 4px; text-transform: uppercase; letter-spacing: .04em; }
+  .user { background: var(--panel); }
+  .error { border: 1px solid var(--red); color: var(--red); }
+  .system { color: var(--muted); font-size: 13px; padding: 4px 14px; }
+  details { margin: 8px 0; padding: 8px 14px; border: 1px solid var(--border); border-radius: 8px; }
+  summary { cursor: pointer; color: var(--muted); font-size: 13px; }
+  .tool-name { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; color: var(--blue); }
+  pre { background: var(--panel); padding: 10px; border-radius: 6px; overflow-x: auto; font-size: 13px; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; }
+  ul { margin: 8px 0 0; padding-left: 20px; }
+`;
+
+function toHtml(conversation, options = {}) {
+  const exported = normalize(conversation, options);
+  const parts = [];
+
+  for (const message of exported.messages) {
+    switch (message.type) {
+      case 'user': {
+        const files = message.attachments
+          ? `<ul>${message.attachments.map(file => `<li>📎 ${escapeHtml(file.name)}</li>`).join('')}</ul>`
+          : '';
+        parts.push(`<div class="message user"><div class="role">You</div>${markdownToHtml(message.text)}${files}</div>`);
+        break;
+      }
+      case 'assistant':
+        parts.push(`<div class="message assistant"><div class="role">Claude</div>${markdownToHtml(message.text)}</div>`);
+        break;
+      case 'thinking':
+        parts.push(`<details><summary>Thinking</summary>${markdownToHtml(message.text)}</details>`);
+        break;
+      case 'tool_use':
+        parts.push(`<details><summary>Tool: <span class="tool-name">${escapeHtml(message.name)}</span></summary><pre><code>${escapeHtml(JSON.stringify(message.input, null, 2))}</code></pre></details>`);
+        break;
+      case 'tool_result':
+        parts.push(`<details><summary>${message.isError ? 'Tool error' : 'Tool result'}</summary><pre><code>${escapeHtml(message.content)}</code></pre></details>`);
+        break;
+      case 'error':
+        parts.push(`<div class="message error">${escapeHtml(message.text)}</div>`);
+        break;
+      case 'system':
+        parts.push(`<div class="system">${escapeHtml(message.text)}</div>`);
+        break;
+    }
+  }
+
+  const date = exported.startTime
+    ? new Date(exported.startTime).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(exported.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(exported.title)}</h1>
+<div class="meta">${escapeHtml(date)}</div>
+${parts.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+function toJson(conversation, options = {}) {
+  return JSON.stringify(normalize(conversation, options), null, 2);
+}
+
+function isTimestamp(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+}
+
+// A JSON export checked and turned back into the stored format. Attachments
+// are not part of an export, so they come back as a note under the prompt.
+// Throws ConversationFormatError naming the first problem found.
+function fromJson(exported) {
+  if (!exported || typeof exported !== 'object' || exported.format !== FORMAT) {
+    throw new ConversationFormatError(`Not a conversation export (expected format "${FORMAT}")`);
+  }
+  if (exported.version !== VERSION) {
+    throw new ConversationFormatError(`Unsupported export version ${exported.version}`);
+  }
+  if (!Array.isArray(exported.messages) || exported.messages.length === 0) {
+    throw new ConversationFormatError('The export has no messages');
+  }
+  if (exported.messages.length > MAX_IMPORT_MESSAGES) {
+    throw new ConversationFormatError(`The export has more than ${MAX_IMPORT_MESSAGES} messages`);
+  }
+  if (exported.title !== undefined && typeof exported.title !== 'string') {
+    throw new ConversationFormatError('title must be a string');
+  }
+  if (!isTimestamp(exported.startTime) || !isTimestamp(exported.endTime)) {
+    throw new ConversationFormatError('startTime and endTime must be dates');
+  }
+
+  const now = new Date().toISOString();
+  const messages = [];
+  exported.messages.forEach((message, index) => {
+    const fields = message && MESSAGE_FIELDS[message.type];
+    if (!fields) {
+      throw new ConversationFormatError(`Message ${index + 1} has an unknown type`);
+    }
+    const missing = fields.find(field => typeof message[field] !== 'string');
+    if (missing) {
+      throw new ConversationFormatError(`Message ${index + 1} (${message.type}) needs a text field "${missing}"`);
+    }
+    if (!isTimestamp(message.timestamp)) {
+      throw new ConversationFormatError(`Message ${index + 1} has an invalid timestamp`);
+    }
+
+    const timestamp = message.timestamp || now;
+    switch (message.type) {
+      case 'user':
+        messages.push({ timestamp, messageType: 'userInput', data: message.text });
+        if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+          const names = message.attachments.map(file => String(file && file.name)).join(', ');
+          messages.push({ timestamp, messageType: 'system', data: `Attached files (not imported): ${names}` });
+        }
+        break;
+      case 'assistant':
+        messages.push({ timestamp, messageType: 'output', data: message.text });
+        break;
+      case 'thinking':
+        messages.push({ timestamp, messageType: 'thinking', data: message.text });
+        break;
+      case 'tool_use': {
+        const input = message.input && typeof message.input === 'object' ? message.input : {};
+        messages.push({
+          timestamp,
+          messageType: 'toolUse',
+          data: { toolInfo: message.name, toolInput: '', rawInput: input, toolName: message.name, toolUseId: typeof message.id === 'string' ? message.id : null }
+        });
+        break;
+      }
+      case 'tool_result':
+        messages.push({
+          timestamp,
+          messageType: 'toolResult',
+          data: { content: message.content, isError: !!message.isError, toolUseId: typeof message.toolUseId === 'string' ? message.toolUseId : null, toolName: 'unknown' }
+        });
+        break;
+      default:
+        messages.push({ timestamp, messageType: message.type, data: message.text });
+    }
+  });
+
+  const tokens = exported.totalTokens || {};
+  return {
+    title: exported.title || 'Untitled Conversation',
+    startTime: exported.startTime || messages[0].timestamp,
+    endTime: exported.endTime || messages[messages.length - 1].timestamp,
+    messageCount: messages.length,
+    totalCost: Number(exported.totalCost) || 0,
+    totalTokens: { input: Number(tokens.input) || 0, output: Number(tokens.output) || 0 },
+    messages
+  };
+}
+
+// Export formats: file extension and content type
+const FORMATS = {
+  md: { extension: 'md', type: 'text/markdown; charset=utf-8', render: toMarkdown },
+  html: { extension: 'html', type: 'text/html; charset=utf-8', render: toHtml },
+  json: { extension: 'json', type: 'application/json; charset=utf-8', render: toJson }
+};
+
+module.exports = {
+  FORMAT,
+  FORMATS,
+  MAX_IMPORT_SIZE,
+  ConversationFormatError,
+  normalize,
+  toMarkdown,
+  toHtml,
+  toJson,
+  fromJson
+};
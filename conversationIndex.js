@@ -0,0 +1,249 @@
+const fs = require('fs');
+const log = require('./logger');
+
+// Characters of context around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Snippets returned per conversation
+const MAX_SNIPPETS = 3;
+
+// Tool inputs worth finding a conversation by
+const TOOL_FIELDS = ['file_path', 'notebook_path', 'path', 'pattern', 'command', 'url'];
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+// Searchable text of a stored message, or null if it has none worth
+// searching: prompts, Claude's answers, and the tools it used with the files
+// they touched
+function messageText(message) {
+  const { messageType: type, data } = message;
+  if (!data) return null;
+
+  switch (type) {
+    case 'userInput':
+      return typeof data === 'string' ? { kind: 'user', text: data } : null;
+    case 'output':
+      return typeof data === 'string' ? { kind: 'assistant', text: data } : null;
+    case 'toolUse': {
+      const input = data.rawInput || {};
+      const details = TOOL_FIELDS.map(field => input[field]).filter(value => typeof value === 'string');
+      return { kind: 'tool', text: [data.toolName || data.toolInfo, ...details].filter(Boolean).join(' ') };
+    }
+    case 'attachments':
+      return { kind: 'user', text: (data.files || []).map(file => file.name).join(' ') };
+    case 'turnChanges':
+      return { kind: 'tool', text: (data.files || []).map(file => file.path).join(' ') };
+    default:
+      return null;
+  }
+}
+
+// "fix the "websocket reconnect"" -> ['fix', 'the', 'websocket reconnect']
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || '').toLowerCase())) !== null) {
+    const term = (match[1] || match[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+// Sorted, merged [start, end] ranges of every term in text
+function findRanges(lower, terms) {
+  const ranges = [];
+  for (const term of terms) {
+    for (let at = lower.indexOf(term); at !== -1; at = lower.indexOf(term, at + term.length)) {
+      ranges.push([at, at + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  }
+  return merged;
+}
+
+// The part of text around its first match, with ranges moved to match
+function snippet(text, ranges) {
+  const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, ranges[0][1] + SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    // One line, with offsets unchanged
+    text: prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+// Full-text search over the stored conversations of a project. The text of
+// each conversation is kept in memory with a word index, built on the first
+// search and kept current as conversations are saved or deleted. Transcripts
+// that grew since (messages are appended as they arrive) are picked up by
+// comparing modification times before each search.
+class ConversationIndex {
+  // transcripts - TranscriptStore the conversations are read from
+  constructor(transcripts) {
+    this._transcripts = transcripts;
+    this._entries = new Map(); // file name -> { sessionId, title, endTime, mtimeMs, size, messages, words }
+    this._words = new Map(); // word -> Set of file names
+    this._built = false;
+  }
+
+  // Index a conversation just written to fileName
+  update(fileName, conversation) {
+    if (!this._built) return; // read with everything else on the first search
+    try {
+      const stats = fs.statSync(this._transcripts.pathFor(fileName));
+      this._index(fileName, conversation, stats);
+    } catch (error) {
+      log.error('Error indexing conversation:', fileName, error);
+    }
+  }
+
+  remove(fileName) {
+    const entry = this._entries.get(fileName);
+    if (!entry) return;
+    for (const word of entry.words) {
+      const files = this._words.get(word);
+      files.delete(fileName);
+      if (files.size === 0) this._words.delete(word);
+    }
+    this._entries.delete(fileName);
+  }
+
+  // Conversations containing every term of query (a "quoted phrase" is one
+  // term), best first: [{ sessionId, title, endTime, matchCount, snippets }]
+  // with snippets [{ messageIndex, kind, text, ranges }].
+  search(query, { limit = 30 } = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+    this._refresh();
+
+    const results = [];
+    for (const fileName of this._candidates(terms)) {
+      const entry = this._entries.get(fileName);
+      const titleLower = entry.title.toLowerCase();
+      const found = new Set(terms.filter(term => titleLower.includes(term)));
+      const hits = [];
+
+      for (const message of entry.messages) {
+        const matched = terms.filter(term => message.lower.includes(term));
+        if (matched.length === 0) continue;
+        matched.forEach(term => found.add(term));
+        hits.push({ message, matched: matched.length });
+      }
+      const inTitle = terms.every(term => titleLower.includes(term));
+      // A title the user gave may be all that matches
+      if (found.size < terms.length || (hits.length === 0 && !inTitle)) continue;
+
+      // Messages with the most terms make the best snippets; prompts and
+      // answers describe a conversation better than tool calls
+      hits.sort((a, b) => b.matched - a.matched ||
+        (a.message.kind === 'tool') - (b.message.kind === 'tool') ||
+        a.message.index - b.message.index);
+      const score = hits.reduce((sum, hit) => sum + hit.matched, 0) + (inTitle ? 10 : 0);
+
+      results.push({
+        sessionId: entry.sessionId,
+        title: entry.title,
+        endTime: entry.endTime,
+        matchCount: hits.length,
+        score,
+        snippets: hits.slice(0, MAX_SNIPPETS).map(({ message }) => ({
+          messageIndex: message.index,
+          kind: message.kind,
+          ...snippet(message.text, findRanges(message.lower, terms))
+        }))
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.endTime) - new Date(a.endTime));
+    return results.slice(0, limit).map(({ score, ...result }) => result);
+  }
+
+  // Files that may contain every term, judged by the words they contain
+  _candidates(terms) {
+    let candidates = null;
+    for (const term of terms) {
+      const termWords = term.match(WORD);
+      if (!termWords) continue; // punctuation only; checked message by message
+
+      for (const termWord of termWords) {
+        const files = new Set();
+        for (const [word, wordFiles] of this._words) {
+          if (word.includes(termWord)) wordFiles.forEach(file => files.add(file));
+        }
+        candidates = candidates ? new Set([...candidates].filter(file => files.has(file))) : files;
+        if (candidates.size === 0) return candidates;
+      }
+    }
+    return candidates || new Set(this._entries.keys());
+  }
+
+  // Bring the index in line with the stored conversations
+  _refresh() {
+    const conversations = this._transcripts.list();
+
+    const present = new Set(conversations.map(conversation => conversation.fileName));
+    for (const fileName of Array.from(this._entries.keys())) {
+      if (!present.has(fileName)) this.remove(fileName);
+    }
+
+    for (const { sessionId, fileName } of conversations) {
+      try {
+        const stats = fs.statSync(this._transcripts.pathFor(fileName));
+        const entry = this._entries.get(fileName);
+        if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) continue;
+        this._index(fileName, this._transcripts.read(sessionId), stats);
+      } catch (error) {
+        log.error('Error indexing conversation:', fileName, error);
+      }
+    }
+    this._built = true;
+  }
+
+  _index(fileName, conversation, stats) {
+    this.remove(fileName);
+
+    const messages = [];
+    const words = new Set();
+    (conversation.messages || []).forEach((message, index) => {
+      const found = messageText(message);
+      if (!found || !found.text) return;
+      const lower = found.text.toLowerCase();
+      messages.push({ index, kind: found.kind, text: found.text, lower });
+      for (const word of lower.match(WORD) || []) words.add(word);
+    });
+
+    const title = conversation.title || 'Untitled Conversation';
+    for (const word of title.toLowerCase().match(WORD) || []) words.add(word);
+    for (const word of words) {
+      if (!this._words.has(word)) this._words.set(word, new Set());
+      this._words.get(word).add(fileName);
+    }
+
+    this._entries.set(fileName, {
+      sessionId: conversation.sessionId,
+      title,
+      endTime: conversation.endTime || stats.mtime.toISOString(),
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      messages,
+      words
+    });
+  }
+}
+
+module.exports = ConversationIndex;
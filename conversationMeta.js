@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+class ConversationMetaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationMetaError';
+    this.status = 400;
+  }
+}
+
+// What the user has set on their conversations: a title of their own,
+// pinned, tags and archived. Kept in one file beside the conversations,
+// keyed by session id, so that saving a conversation never loses them.
+class ConversationMeta {
+  constructor(storePath) {
+    this.storePath = storePath;
+    this._entries = {};
+    this._load();
+  }
+
+  // { title, pinned, tags, archived } with defaults filled in
+  get(sessionId) {
+    return {
+      title: null,
+      pinned: false,
+      tags: [],
+      archived: false,
+      ...this._entries[sessionId]
+    };
+  }
+
+  // changes - any of { title, pinned, tags, archived }; a title of '' or null
+  // goes back to the one taken from the first prompt. Throws
+  // ConversationMetaError if a value is not allowed.
+  update(sessionId, changes) {
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new ConversationMetaError('sessionId is required');
+    }
+    const entry = { ...this._entries[sessionId] };
+
+    if ('title' in changes) {
+      if (changes.title !== null && typeof changes.title !== 'string') {
+        throw new ConversationMetaError('title must be text');
+      }
+      const title = (changes.title || '').replace(/\s+/g, ' ').trim();
+      if (title.length > MAX_TITLE_LENGTH) {
+        throw new ConversationMetaError(`title can be at most ${MAX_TITLE_LENGTH} characters`);
+      }
+      if (title) entry.title = title;
+      else delete entry.title;
+    }
+    for (const key of ['pinned', 'archived']) {
+      if (!(key in changes)) continue;
+      if (typeof changes[key] !== 'boolean') {
+        throw new ConversationMetaError(`${key} must be true or false`);
+      }
+      if (changes[key]) entry[key] = true;
+      else delete entry[key];
+    }
+    if ('tags' in changes) {
+      if (!Array.isArray(changes.tags) || changes.tags.some(tag => typeof tag !== 'string')) {
+        throw new ConversationMetaError('tags must be a list of words');
+      }
+      const tags = Array.from(new Set(changes.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+      if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        throw new ConversationMetaError(`At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`);
+      }
+      if (tags.length > 0) entry.tags = tags;
+      else delete entry.tags;
+    }
+
+    if (Object.keys(entry).length > 0) {
+      this._entries[sessionId] = entry;
+    } else {
+      delete this._entries[sessionId];
+    }
+    this._save();
+    return this.get(sessionId);
+  }
+
+  // A conversation got a new session id (after a rewind, or the first
+  // prompt of an import or fork)
+  rename(from, to) {
+    if (!this._entries[from] || from === to) return;
+    this._entries[to] = this._entries[from];
+    delete this._entries[from];
+    this._save();
+  }
+
+  remove(sessionId) {
+    if (!this._entries[sessionId]) return;
+    delete this._entries[sessionId];
+    this._save();
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        this._entries = JSON.parse(fs.readFileSync(this.storePath, 'utf8')) || {};
+      }
+    } catch (error) {
+      log.error('Error loading conversation details:', error);
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      fs.writeFileSync(this.storePath, JSON.stringify(this._entries, null, 2));
+    } catch (error) {
+      log.error('Error saving conversation details:', error);
+    }
+  }
+}
+
+ConversationMeta.ConversationMetaError = ConversationMetaError;
+
+module.exports = ConversationMeta;
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Numbers every event a session emits and keeps the most recent ones in a ring
+// buffer, so a device that drops off can ask for exactly what it missed.
+class EventLog {
+  constructor(capacity = 2000) {
+    this.capacity = capacity;
+    // Identifies this sequence; a client holding a different epoch must resync
+    this.epoch = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this._buffer = new Array(capacity);
+  }
+
+  append(message) {
+    this.seq++;
+    const event = { ...message, seq: this.seq };
+    this._buffer[this.seq % this.capacity] = event;
+    return event;
+  }
+
+  // Events after lastSeq, or null if some of them already fell out of the buffer
+  since(lastSeq) {
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.seq) {
+      return null;
+    }
+    if (this.seq - lastSeq > this.capacity) {
+      return null;
+    }
+
+    const events = [];
+    for (let seq = lastSeq + 1; seq <= this.seq; seq++) {
+      events.push(this._buffer[seq % this.capacity]);
+    }
+    return events;
+  }
+}
+
+module.exports = EventLog;
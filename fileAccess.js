@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const IgnoreRules = require('./ignoreRules');
+
+// Bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_BYTES = 8192;
+
+const SYMLINK_POLICIES = ['deny', 'inside', 'follow'];
+
+// Never served, whatever the request. Same pattern syntax as .gitignore
+// (see ignoreRules.js).
+const DEFAULT_DENY = [
+  '.env',
+  '.env.*',
+  '.git/objects',
+  '.ssh',
+  '.aws/credentials',
+  '.npmrc',
+  '.netrc',
+  '*.pem',
+  '*.key',
+  '*.p12',
+  '*.pfx',
+  'id_rsa*',
+  'id_dsa*',
+  'id_ecdsa*',
+  'id_ed25519*'
+];
+
+class FileAccessError extends Error {
+  // details are sent to the client along with the message
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'FileAccessError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Strong validator derived from the content, so an edit that keeps the size
+// and lands within the same millisecond still changes it
+function etagFor(buffer) {
+  return `"${crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 20)}"`;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith(`..${path.sep}`) && relative !== '..' && !path.isAbsolute(relative));
+}
+
+function toPosix(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// The one way the server touches project files on behalf of a client. Every
+// path is resolved against the project root, checked against the symlink
+// policy and the deny list, and reads are size-limited.
+//
+// options.symlinks - 'deny' (never follow), 'inside' (follow while the target
+//   stays in the project, default) or 'follow' (follow anywhere)
+// options.deny - deny patterns, replacing DEFAULT_DENY
+// options.maxFileSize - largest number of bytes returned by one read
+class FileAccess {
+  constructor(projectRoot, options = {}) {
+    this.root = path.resolve(projectRoot);
+    this.realRoot = fs.realpathSync(this.root);
+    this.symlinks = options.symlinks || 'inside';
+    this.maxFileSize = options.maxFileSize || 1024 * 1024;
+    this._deny = new IgnoreRules(options.deny || DEFAULT_DENY);
+  }
+
+  isDenied(relativePath) {
+    return this._deny.matches(relativePath);
+  }
+
+  // Resolve a client-supplied path. Returns { fullPath, realPath, relativePath, stats }
+  // or throws FileAccessError.
+  resolve(relativePath = '') {
+    if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+      throw new FileAccessError(400, 'Invalid path');
+    }
+
+    const fullPath = path.resolve(this.root, relativePath.replace(/^\/+/, ''));
+    if (!isInside(this.root, fullPath)) {
+      throw new FileAccessError(403, 'Access denied');
+    }
+
+    const relative = toPosix(path.relative(this.root, fullPath));
+    if (this.isDenied(relative)) {
+      throw new FileAccessError(403, 'Access denied');
+    }
+
+    let realPath;
+    try {
+      if (this.symlinks === 'deny') {
+        this._assertNoSymlinks(relative);
+      }
+      realPath = fs.realpathSync(fullPath);
+    } catch (error) {
+      throw this._fromFsError(error);
+    }
+
+    // A symlink may point somewhere the lexical check did not see
+    if (realPath !== fullPath) {
+      if (isInside(this.realRoot, realPath)) {
+        if (this.isDenied(path.relative(this.realRoot, realPath))) {
+          throw new FileAccessError(403, 'Access denied');
+        }
+      } else if (this.symlinks !== 'follow' || this.isDenied(realPath.slice(1))) {
+        throw new FileAccessError(403, 'Access denied');
+      }
+    }
+
+    return { fullPath, realPath, relativePath: relative, stats: fs.statSync(realPath) };
+  }
+
+  // Directory entries with size and modification time. Denied entries and
+  // symlinks the policy does not allow are left out.
+  list(relativePath = '') {
+    const dir = this.resolve(relativePath);
+    if (!dir.stats.isDirectory()) {
+      throw new FileAccessError(400, 'Not a directory');
+    }
+
+    const items = [];
+    for (const entry of fs.readdirSync(dir.realPath, { withFileTypes: true })) {
+      const entryPath = dir.relativePath ? `${dir.relativePath}/${entry.name}` : entry.name;
+      let stats;
+      try {
+        stats = entry.isSymbolicLink()
+          ? this.resolve(entryPath).stats
+          : fs.statSync(path.join(dir.realPath, entry.name));
+        if (this.isDenied(entryPath)) continue;
+      } catch {
+        continue;
+      }
+
+      items.push({
+        name: entry.name,
+        path: entryPath,
+        type: stats.isDirectory() ? 'directory' : 'file',
+        size: stats.isDirectory() ? null : stats.size,
+        mtime: stats.mtime.toISOString(),
+        symlink: entry.isSymbolicLink()
+      });
+    }
+
+    items.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+    return { path: dir.relativePath, items };
+  }
+
+  // Yield every file below a directory as list() describes it, with the same
+  // rules. Symlinked directories are not entered, so links cannot loop.
+  // skip(relativePath, isDirectory) can leave out more.
+  *walk(relativePath = '', skip = null) {
+    for (const item of this.list(relativePath).items) {
+      const isDirectory = item.type === 'directory';
+      if (skip && skip(item.path, isDirectory)) continue;
+      if (!isDirectory) {
+        yield item;
+      } else if (!item.symlink) {
+        yield* this.walk(item.path, skip);
+      }
+    }
+  }
+
+  // Read a text file, or the byte range [start, end) of one. Files larger
+  // than maxFileSize can only be read in ranges of at most that size.
+  read(relativePath, { start, end } = {}) {
+    const file = this.resolve(relativePath);
+    if (!file.stats.isFile()) {
+      throw new FileAccessError(400, 'Not a file');
+    }
+
+    const size = file.stats.size;
+    const ranged = start !== undefined || end !== undefined;
+    const from = start === undefined ? 0 : Number(start);
+    const to = end === undefined ? size : Math.min(Number(end), size);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > to) {
+      throw new FileAccessError(416, 'Invalid range');
+    }
+    if (to - from > this.maxFileSize) {
+      throw new FileAccessError(413, ranged
+        ? `Range too large (at most ${this.maxFileSize} bytes)`
+        : `File too large (${size} bytes); request a range of at most ${this.maxFileSize} bytes`);
+    }
+
+    const info = {
+      path: file.relativePath,
+      size,
+      mtime: file.stats.mtime.toISOString()
+    };
+
+    const fd = fs.openSync(file.realPath, 'r');
+    try {
+      if (this._isBinary(fd, size)) {
+        return { ...info, binary: true };
+      }
+
+      const buffer = Buffer.alloc(to - from);
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, from);
+      const result = { ...info, binary: false, content: buffer.toString('utf8', 0, bytesRead) };
+      if (ranged) {
+        result.range = { start: from, end: from + bytesRead };
+      } else {
+        result.etag = etagFor(buffer.subarray(0, bytesRead));
+      }
+      return result;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  // Write a text file. Exactly one precondition is required:
+  //   ifMatch - ETag the client last saw ('*' for any existing file)
+  //   ifNoneMatch: '*' - create; the file must not exist yet
+  // A failed precondition throws 409 with the file as it is now, so the
+  // client can reload, overwrite or merge.
+  write(relativePath, content, { ifMatch, ifNoneMatch } = {}) {
+    if (typeof content !== 'string') {
+      throw new FileAccessError(400, 'Content must be a string');
+    }
+    const data = Buffer.from(content, 'utf8');
+    if (data.length > this.maxFileSize) {
+      throw new FileAccessError(413, `File too large (at most ${this.maxFileSize} bytes)`);
+    }
+    if (!ifMatch && ifNoneMatch !== '*') {
+      throw new FileAccessError(428, 'An If-Match or If-None-Match: * precondition is required');
+    }
+
+    const existing = this._resolveIfExists(relativePath);
+    if (existing && !existing.stats.isFile()) {
+      throw new FileAccessError(400, 'Not a file');
+    }
+
+    if (ifNoneMatch === '*') {
+      if (existing) {
+        throw this._conflict('File already exists', existing);
+      }
+    } else if (!existing) {
+      throw new FileAccessError(409, 'File was deleted', { current: null });
+    } else if (ifMatch !== '*' && ifMatch !== this._currentEtag(existing)) {
+      throw this._conflict('File changed on disk', existing);
+    }
+
+    const target = existing ? existing.realPath : this._prepareNewPath(relativePath);
+    this._writeAtomic(target, data, existing ? existing.stats.mode : undefined);
+
+    const stats = fs.statSync(target);
+    return {
+      path: existing ? existing.relativePath : toPosix(path.relative(this.realRoot, target)),
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      etag: etagFor(data),
+      created: !existing
+    };
+  }
+
+  rename(fromPath, toPath) {
+    const source = this.resolve(fromPath);
+    if (source.relativePath === '') {
+      throw new FileAccessError(400, 'Cannot rename the project root');
+    }
+    if (this._resolveIfExists(toPath)) {
+      throw new FileAccessError(409, 'Target already exists');
+    }
+
+    const target = this._prepareNewPath(toPath);
+    try {
+      fs.renameSync(source.fullPath, target);
+    } catch (error) {
+      throw this._fromFsError(error);
+    }
+    return { from: source.relativePath, to: toPosix(path.relative(this.realRoot, target)) };
+  }
+
+  // Delete a file or an empty directory. ifMatch guards a file the same way
+  // as write().
+  remove(relativePath, { ifMatch } = {}) {
+    const target = this.resolve(relativePath);
+    if (target.relativePath === '') {
+      throw new FileAccessError(400, 'Cannot delete the project root');
+    }
+
+    if (target.stats.isDirectory()) {
+      try {
+        fs.rmdirSync(target.fullPath);
+      } catch (error) {
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') {
+          throw new FileAccessError(409, 'Directory is not empty');
+        }
+        throw this._fromFsError(error);
+      }
+    } else {
+      if (ifMatch && ifMatch !== '*' && ifMatch !== this._currentEtag(target)) {
+        throw this._conflict('File changed on disk', target);
+      }
+      // Unlink the path itself, not a symlink's target
+      fs.unlinkSync(target.fullPath);
+    }
+    return { path: target.relativePath };
+  }
+
+  _resolveIfExists(relativePath) {
+    try {
+      return this.resolve(relativePath);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // ETag of a file as it is now. Files larger than maxFileSize are only ever
+  // read in ranges, which carry no ETag, so they have none to match.
+  _currentEtag(file) {
+    if (file.stats.size > this.maxFileSize) return null;
+    return etagFor(fs.readFileSync(file.realPath));
+  }
+
+  _conflict(message, file) {
+    let current = null;
+    try {
+      current = this.read(file.relativePath);
+    } catch {
+      // Too large or unreadable - the client can only overwrite or reload
+    }
+    return new FileAccessError(409, message, { current });
+  }
+
+  // Check a path that does not exist yet and create its parent directories.
+  // Returns the absolute path to create.
+  _prepareNewPath(relativePath) {
+    if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+      throw new FileAccessError(400, 'Invalid path');
+    }
+
+    const fullPath = path.resolve(this.root, relativePath.replace(/^\/+/, ''));
+    const relative = toPosix(path.relative(this.root, fullPath));
+    if (relative === '' || !isInside(this.root, fullPath) || this.isDenied(relative)) {
+      throw new FileAccessError(403, 'Access denied');
+    }
+
+    // The nearest existing ancestor goes through the usual checks; anything
+    // below it is created fresh and so cannot be a symlink
+    let ancestor = path.dirname(relative);
+    let existing = null;
+    while (!existing) {
+      existing = this._resolveIfExists(ancestor === '.' ? '' : ancestor);
+      if (!existing) ancestor = path.dirname(ancestor);
+    }
+    if (!existing.stats.isDirectory()) {
+      throw new FileAccessError(400, 'Parent is not a directory');
+    }
+
+    const remainder = path.relative(ancestor === '.' ? '' : ancestor, relative);
+    const target = path.join(existing.realPath, remainder);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    return target;
+  }
+
+  // Write next to the target and rename over it, so readers (and Claude)
+  // never see a half-written file
+  _writeAtomic(target, data, mode) {
+    const temp = path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    try {
+      fs.writeFileSync(temp, data, mode === undefined ? {} : { mode });
+      fs.renameSync(temp, target);
+    } catch (error) {
+      fs.rmSync(temp, { force: true });
+      throw this._fromFsError(error);
+    }
+  }
+
+  // A NUL byte near the start is a reliable enough sign of a binary file
+  _isBinary(fd, size) {
+    const sample = Buffer.alloc(Math.min(BINARY_SNIFF_BYTES, size));
+    const bytesRead = fs.readSync(fd, sample, 0, sample.length, 0);
+    return sample.subarray(0, bytesRead).includes(0);
+  }
+
+  _assertNoSymlinks(relativePath) {
+    let current = this.root;
+    for (const part of relativePath.split('/').filter(Boolean)) {
+      current = path.join(current, part);
+      if (fs.lstatSync(current).isSymbolicLink()) {
+        throw new FileAccessError(403, 'Symlinks are not allowed');
+      }
+    }
+  }
+
+  _fromFsError(error) {
+    if (error instanceof FileAccessError) return error;
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return new FileAccessError(404, 'Not found');
+    if (error.code === 'EACCES' || error.code === 'EPERM' || error.code === 'ELOOP') {
+      return new FileAccessError(403, 'Access denied');
+    }
+    return error;
+  }
+}
+
+FileAccess.DEFAULT_DENY = DEFAULT_DENY;
+FileAccess.SYMLINK_POLICIES = SYMLINK_POLICIES;
+FileAccess.FileAccessError = FileAccessError;
+FileAccess.etagFor = etagFor;
+
+module.exports = FileAccess;
@@ -0,0 +1,127 @@
+// Files edited within this window rank higher, more so the more recent
+const RECENCY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// Score of query's characters appearing in order in text, or null. The
+// shortest matching window is scored: characters at the start of a path
+// segment or word, camelCase humps and runs of consecutive characters count
+// extra, gaps count against.
+function fuzzyScore(query, text) {
+  const lower = text.toLowerCase();
+  let end = -1;
+  for (let i = 0, q = 0; i < lower.length; i++) {
+    if (lower[i] === query[q] && ++q === query.length) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  let start = end;
+  for (let i = end, q = query.length - 1; i >= 0; i--) {
+    if (lower[i] === query[q] && --q < 0) {
+      start = i;
+      break;
+    }
+  }
+
+  let score = 0;
+  let previous = -2;
+  for (let i = start, q = 0; i <= end && q < query.length; i++) {
+    if (lower[i] !== query[q]) continue;
+    const before = text[i - 1];
+    let bonus = 1;
+    if (i === 0 || before === '/') {
+      bonus += 10;
+    } else if ('-_. '.includes(before)) {
+      bonus += 8;
+    } else if (text[i] !== lower[i] && before === before.toLowerCase()) {
+      bonus += 7;
+    }
+    if (previous === i - 1) bonus += 5;
+    score += bonus;
+    previous = i;
+    q++;
+  }
+  return score - (end - start + 1 - query.length) * 0.5;
+}
+
+// The project's file names for the @ picker, ranked for a search. The list
+// itself is kept by a WorkspaceWatcher, so it honors .gitignore and the deny
+// list and stays up to date as files change.
+class FileIndex {
+  constructor(watcher) {
+    this._watcher = watcher;
+    this._lastSearch = null;
+    this._unsubscribe = watcher.subscribe(() => {
+      this._lastSearch = null;
+    });
+  }
+
+  // Files matching query (all of them, most recently edited first, when it is
+  // empty), best first: { files, total, offset, truncated }
+  async search(query = '', { offset = 0, limit = 50 } = {}) {
+    await this._watcher.ready;
+    const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const key = terms.join(' ');
+
+    // Paging through the same results should not score everything again
+    let results = this._lastSearch && this._lastSearch.key === key ? this._lastSearch.results : null;
+    if (!results) {
+      results = this._rank(terms);
+      this._lastSearch = { key, results };
+    }
+
+    return {
+      files: results.slice(offset, offset + limit).map(({ name, path: filePath }) => ({ name, path: filePath })),
+      total: results.length,
+      offset,
+      truncated: this._watcher.truncated
+    };
+  }
+
+  // Every indexed path, once the first scan is done
+  async paths() {
+    await this._watcher.ready;
+    return Array.from(this._watcher.files.keys());
+  }
+
+  close() {
+    this._unsubscribe();
+  }
+
+  _rank(terms) {
+    const now = Date.now();
+    const ranked = [];
+    for (const file of this._watcher.files.values()) {
+      let score = 0;
+      for (const term of terms) {
+        // Matches within the file name beat matches spread over the path,
+        // the more so the more of the name they cover
+        const inName = term.includes('/') ? null : fuzzyScore(term, file.name);
+        const inPath = fuzzyScore(term, file.path);
+        if (inName === null && inPath === null) {
+          score = null;
+          break;
+        }
+        score += Math.max(
+          inName === null ? -Infinity : inName + 20 - (file.name.length - term.length) * 0.2,
+          inPath === null ? -Infinity : inPath
+        );
+      }
+      if (score === null) continue;
+
+      const age = now - file.mtimeMs;
+      if (age < RECENCY_WINDOW) score += 10 * (1 - age / RECENCY_WINDOW);
+      ranked.push({ ...file, score: score - file.path.length * 0.05 });
+    }
+
+    if (terms.length === 0) {
+      return ranked.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    }
+    return ranked.sort((a, b) => b.score - a.score || a.path.length - b.path.length || a.path.localeCompare(b.path));
+  }
+}
+
+FileIndex.fuzzyScore = fuzzyScore;
+
+module.exports = FileIndex;
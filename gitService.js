@@ -0,0 +1,367 @@
+const cp = require('child_process');
+const path = require('path');
+const util = require('util');
+const execFile = util.promisify(cp.execFile);
+
+const MAX_OUTPUT = 20 * 1024 * 1024;
+const LOG_PAGE_SIZE = 30;
+
+class GitError extends Error {
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = 'GitError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// A path git quoted C-style, at the start of text: { value, end } with end
+// just past the closing quote, or null if it is not one
+function unquote(text) {
+  if (text[0] !== '"') return null;
+  const bytes = [];
+  for (let i = 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      return { value: Buffer.from(bytes).toString('utf8'), end: i + 1 };
+    }
+    if (char !== '\\') {
+      bytes.push(...Buffer.from(char, 'utf8'));
+      continue;
+    }
+    const octal = text.slice(i + 1, i + 4);
+    if (/^[0-3][0-7]{2}$/.test(octal)) {
+      bytes.push(parseInt(octal, 8));
+      i += 3;
+    } else if (C_ESCAPES[text[i + 1]] !== undefined) {
+      bytes.push(C_ESCAPES[text[i + 1]]);
+      i += 1;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Every path a "diff --git a/... b/..." line could name, or null if it cannot
+// be read. Either side may be quoted; an unquoted line is ambiguous when a
+// path contains " b/", so each way of splitting it counts.
+function diffHeaderPaths(line) {
+  const rest = line.slice('diff --git '.length);
+  const splits = [];
+  if (rest.startsWith('"')) {
+    const first = unquote(rest);
+    if (first && rest[first.end] === ' ') splits.push([first.value, rest.slice(first.end + 1)]);
+  } else {
+    for (let i = rest.indexOf(' '); i !== -1; i = rest.indexOf(' ', i + 1)) {
+      splits.push([rest.slice(0, i), rest.slice(i + 1)]);
+    }
+  }
+
+  const paths = [];
+  for (const [a, tail] of splits) {
+    let b = tail;
+    if (tail.startsWith('"')) {
+      const second = unquote(tail);
+      if (!second || second.end !== tail.length) continue;
+      b = second.value;
+    }
+    if (a.startsWith('a/') && b.startsWith('b/')) paths.push(a.slice(2), b.slice(2));
+  }
+  return paths.length > 0 ? paths : null;
+}
+
+// Read and change the local repository the project lives in. Only local
+// commands are run - nothing here fetches, pulls or pushes - and git is never
+// allowed to prompt. Paths are repository-relative and taken literally.
+class GitService {
+  // fileAccess, if given, hides diffs of files on its deny list
+  constructor(projectRoot, fileAccess = null) {
+    this.projectRoot = projectRoot;
+    this._fileAccess = fileAccess;
+    this._topLevel = null;
+    this._queue = Promise.resolve();
+  }
+
+  async _run(args, { okCodes = [0] } = {}) {
+    const cwd = await this._root();
+    try {
+      const { stdout } = await execFile('git', ['--literal-pathspecs', '-c', 'core.quotepath=false', ...args], {
+        cwd,
+        maxBuffer: MAX_OUTPUT,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0', LC_ALL: 'C' }
+      });
+      return stdout;
+    } catch (error) {
+      if (okCodes.includes(error.code)) {
+        return error.stdout;
+      }
+      if (error.code === 'ENOENT') {
+        throw new GitError(500, 'git is not installed');
+      }
+      const message = (error.stderr || error.message).toString().trim().split('\n').pop();
+      throw new GitError(400, message.replace(/^(fatal|error): /, ''));
+    }
+  }
+
+  async _root() {
+    if (!this._topLevel) {
+      try {
+        const { stdout } = await execFile('git', ['rev-parse', '--show-toplevel'], {
+          cwd: this.projectRoot,
+          env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+        });
+        this._topLevel = stdout.trim();
+      } catch {
+        throw new GitError(404, 'Not a git repository', 'NOT_A_REPO');
+      }
+    }
+    return this._topLevel;
+  }
+
+  // Changes to the index and work tree run one at a time
+  _exclusive(task) {
+    const run = this._queue.then(task, task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async status() {
+    const output = await this._run(['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all']);
+    const entries = output.split('\0');
+    const result = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry) continue;
+
+      if (entry.startsWith('## ')) {
+        Object.assign(result, this._parseBranchLine(entry.slice(3)));
+        continue;
+      }
+
+      const x = entry[0];
+      const y = entry[1];
+      const file = { path: entry.slice(3), index: x, worktree: y };
+      // Renames and copies carry the original path as the next entry
+      if (x === 'R' || x === 'C') {
+        file.origPath = entries[++i];
+      }
+      file.untracked = x === '?';
+      file.staged = !file.untracked && x !== ' ';
+      file.unstaged = file.untracked || y !== ' ';
+      result.files.push(file);
+    }
+    return result;
+  }
+
+  _parseBranchLine(line) {
+    // "main...origin/main [ahead 1, behind 2]", "No commits yet on main", "HEAD (no branch)"
+    const info = { branch: null, upstream: null, ahead: 0, behind: 0 };
+    const noCommits = line.match(/^No commits yet on (.+)$/);
+    if (noCommits) {
+      info.branch = noCommits[1];
+      return info;
+    }
+
+    const match = line.match(/^(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/);
+    if (match) {
+      info.branch = match[1] === 'HEAD (no branch)' ? null : match[1];
+      info.upstream = match[2] || null;
+      const ahead = (match[3] || '').match(/ahead (\d+)/);
+      const behind = (match[3] || '').match(/behind (\d+)/);
+      info.ahead = ahead ? Number(ahead[1]) : 0;
+      info.behind = behind ? Number(behind[1]) : 0;
+    }
+    return info;
+  }
+
+  // Unified diff of one file (or everything when filePath is empty), either
+  // work tree vs index or, with staged, index vs HEAD
+  async diff(filePath = '', { staged = false } = {}) {
+    if (filePath) {
+      await this._root();
+      this._assertAllowed(filePath);
+    }
+
+    const args = ['diff', '--no-color', '--no-ext-diff'];
+    if (staged) args.push('--cached');
+    if (filePath) args.push('--', filePath);
+    let output = await this._run(args);
+
+    // Untracked files have no diff against the index; show them as added
+    if (!output && filePath && !staged) {
+      const status = await this._run(['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', filePath]);
+      if (status.startsWith('??')) {
+        output = await this._run(['diff', '--no-color', '--no-index', '--', '/dev/null', filePath], { okCodes: [1] });
+      }
+    }
+    return this._filterDiff(output);
+  }
+
+  async log({ skip = 0, limit = LOG_PAGE_SIZE, filePath = '' } = {}) {
+    const count = Math.min(Math.max(Number(limit) || LOG_PAGE_SIZE, 1), 200);
+    const args = [
+      'log', `--skip=${Math.max(Number(skip) || 0, 0)}`, `-n${count + 1}`,
+      '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s%x1e'
+    ];
+    if (filePath) args.push('--', filePath);
+
+    let output;
+    try {
+      output = await this._run(args);
+    } catch (error) {
+      // A repository without commits has no log yet
+      if (/does not have any commits/.test(error.message)) return { commits: [], hasMore: false };
+      throw error;
+    }
+
+    const commits = output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+      const [hash, shortHash, author, date, subject] = record.split('\x1f');
+      return { hash, shortHash, author, date, subject };
+    });
+    return { commits: commits.slice(0, count), hasMore: commits.length > count };
+  }
+
+  // One commit's message and diff
+  async show(hash) {
+    if (!/^[0-9a-f]{4,40}$/i.test(hash)) {
+      throw new GitError(400, 'Invalid commit');
+    }
+    const header = await this._run(['show', '-s', '--format=%H%x1f%an%x1f%aI%x1f%B', hash]);
+    const [fullHash, author, date, message] = header.split('\x1f');
+    const diff = await this._run(['show', '--no-color', '--no-ext-diff', '--format=', hash]);
+    return { hash: fullHash, author, date, message: (message || '').trim(), diff: this._filterDiff(diff) };
+  }
+
+  async branches() {
+    const output = await this._run(['branch', '--format=%(HEAD)%1f%(refname:short)%1f%(objectname:short)%1f%(upstream:short)%1f%(committerdate:iso-strict)']);
+    return output.split('\n').filter(Boolean).map(line => {
+      const [head, name, commit, upstream, date] = line.split('\x1f');
+      return { name, current: head === '*', commit, upstream: upstream || null, date: date || null };
+    });
+  }
+
+  switchBranch(name) {
+    return this._exclusive(async () => {
+      await this._assertBranchName(name);
+      await this._run(['switch', name]);
+    });
+  }
+
+  createBranch(name, { checkout = true } = {}) {
+    return this._exclusive(async () => {
+      await this._assertBranchName(name);
+      await this._run(checkout ? ['switch', '-c', name] : ['branch', name]);
+    });
+  }
+
+  stage(paths) {
+    return this._exclusive(async () => {
+      await this._run(['add', '-A', '--', ...this._paths(paths)]);
+    });
+  }
+
+  unstage(paths) {
+    return this._exclusive(async () => {
+      const list = this._paths(paths);
+      if (await this._hasHead()) {
+        await this._run(['restore', '--staged', '--', ...list]);
+      } else {
+        await this._run(['rm', '--cached', '-r', '-q', '--', ...list]);
+      }
+    });
+  }
+
+  // Throw away work-tree changes. Tracked files go back to their staged
+  // version; untracked files are deleted.
+  discard(paths) {
+    return this._exclusive(async () => {
+      const list = this._paths(paths);
+      const status = await this.status();
+      const untracked = new Set(status.files.filter(f => f.untracked).map(f => f.path));
+
+      const tracked = list.filter(p => !untracked.has(p));
+      const removed = list.filter(p => untracked.has(p));
+      if (tracked.length > 0) {
+        await this._run(['restore', '--worktree', '--', ...tracked]);
+      }
+      if (removed.length > 0) {
+        await this._run(['clean', '-f', '-q', '--', ...removed]);
+      }
+    });
+  }
+
+  commit(message) {
+    return this._exclusive(async () => {
+      if (typeof message !== 'string' || !message.trim()) {
+        throw new GitError(400, 'Commit message is required');
+      }
+      await this._run(['commit', '-q', '-m', message.trim()]);
+      const [commit] = (await this.log({ limit: 1 })).commits;
+      return commit;
+    });
+  }
+
+  async _hasHead() {
+    try {
+      await this._run(['rev-parse', '--verify', '-q', 'HEAD']);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async _assertBranchName(name) {
+    if (typeof name !== 'string' || !name || name.startsWith('-')) {
+      throw new GitError(400, 'Invalid branch name');
+    }
+    try {
+      await this._run(['check-ref-format', '--branch', name]);
+    } catch {
+      throw new GitError(400, 'Invalid branch name');
+    }
+  }
+
+  _paths(paths) {
+    const list = Array.isArray(paths) ? paths : [paths];
+    if (list.length === 0 || list.some(p => typeof p !== 'string' || !p || p.includes('\0'))) {
+      throw new GitError(400, 'Invalid paths');
+    }
+    return list;
+  }
+
+  _isDenied(repoPath) {
+    if (!this._fileAccess || !this._topLevel) return false;
+    const projectPath = path.relative(this.projectRoot, path.join(this._topLevel, repoPath));
+    return this._fileAccess.isDenied(projectPath.startsWith('..') ? repoPath : projectPath);
+  }
+
+  _assertAllowed(repoPath) {
+    if (this._isDenied(repoPath)) {
+      throw new GitError(403, 'Access denied');
+    }
+  }
+
+  // Drop the sections of a multi-file diff that touch denied files, or whose
+  // header cannot be read
+  _filterDiff(diff) {
+    if (!this._fileAccess || !diff) return diff;
+
+    return diff.split(/^(?=diff --git )/m).map(section => {
+      if (!section.startsWith('diff --git ')) return section;
+      const header = section.split('\n', 1)[0];
+      const paths = diffHeaderPaths(header);
+      if (!paths || paths.some(repoPath => this._isDenied(repoPath))) {
+        return `${header}\n(hidden)\n`;
+      }
+      return section;
+    }).join('');
+  }
+}
+
+GitService.GitError = GitError;
+
+module.exports = GitService;
@@ -0,0 +1,103 @@
+const path = require('path');
+
+// Same pattern syntax as .gitignore: a pattern without a slash matches at any
+// depth, a slash anchors it to the root, a trailing slash only matches
+// directories, "!" re-includes what an earlier pattern excluded, and a
+// matching directory covers everything below it.
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories, a bare "**" anything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      // Character class, e.g. "*.py[cod]" or "[!.]*"
+      const close = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+      i = close;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+// base is the directory a nested .gitignore lives in, relative to the root
+function compilePattern(pattern, base) {
+  let text = pattern;
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1);
+  const directoryOnly = text.endsWith('/');
+  text = text.replace(/\/+$/, '');
+
+  const anchored = text.includes('/');
+  const body = globToRegExp(text.replace(/^\/+/, ''));
+  const prefix = base ? `^${escapeRegExp(base)}/` : '^';
+  return {
+    negate,
+    directoryOnly,
+    regex: new RegExp(`${prefix}${anchored ? '' : '(?:.*/)?'}${body}(/.*)?$`)
+  };
+}
+
+class IgnoreRules {
+  // base - directory the patterns are relative to ('' for the root)
+  constructor(patterns = [], base = '') {
+    this.patterns = patterns.slice();
+    this.base = base;
+    this._compiled = this.patterns.map(pattern => compilePattern(pattern, base));
+  }
+
+  // Patterns from the text of a .gitignore file
+  static parse(text) {
+    return text.split(/\r?\n/)
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => line.replace(/(?<!\\)\s+$/, ''))
+      .filter(Boolean)
+      .map(line => line.replace(/^\\([#!])/, '$1'));
+  }
+
+  // true if excluded, false if re-included by a "!" pattern, null if no
+  // pattern applies; the last matching pattern decides. Without isDirectory,
+  // directory-only patterns are assumed to apply.
+  test(relativePath, isDirectory) {
+    const normalized = relativePath.split(path.sep).join('/');
+    if (normalized === '') return null;
+
+    let result = null;
+    for (const { negate, directoryOnly, regex } of this._compiled) {
+      const match = regex.exec(normalized);
+      // Something below the matched path means it is a directory
+      if (match && (!directoryOnly || match[1] || isDirectory !== false)) {
+        result = !negate;
+      }
+    }
+    return result;
+  }
+
+  // relativePath uses either separator; the root itself never matches
+  matches(relativePath, isDirectory) {
+    return this.test(relativePath, isDirectory) === true;
+  }
+}
+
+module.exports = IgnoreRules;
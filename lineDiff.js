@@ -0,0 +1,168 @@
+// Line diffs between two versions of a text file, for showing what a turn
+// changed without relying on git.
+
+// Past this many edits the diff is reported as a full replacement rather
+// than searching further; the search costs time and memory in the square of it
+const MAX_EDIT_DISTANCE = 2000;
+
+// Lines keep their "\n" so a missing newline at the end of the file counts
+// as a change
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Myers' algorithm: every furthest-reaching path, one array per edit count
+function shortestEdit(a, b) {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return trace;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  return null;
+}
+
+// Walk the trace back from the end, collecting operations in reverse
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const at = k => previous[k + d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (prevK === k + 1) {
+      ops.push({ type: '+', line: b[--y] });
+    } else {
+      ops.push({ type: '-', line: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: ' ', line: a[--x] });
+    y--;
+  }
+  return ops.reverse();
+}
+
+// Operations turning oldText into newText: { type: ' ' | '-' | '+', line }
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Most edits touch a small part of a file; only diff the middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const trace = shortestEdit(midA, midB);
+  const middle = trace
+    ? backtrack(trace, midA, midB)
+    : [...midA.map(line => ({ type: '-', line })), ...midB.map(line => ({ type: '+', line }))];
+
+  return [
+    ...a.slice(0, start).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: ' ', line }))
+  ];
+}
+
+function countChanges(ops) {
+  let added = 0;
+  let removed = 0;
+  for (const op of ops) {
+    if (op.type === '+') added++;
+    else if (op.type === '-') removed++;
+  }
+  return { added, removed };
+}
+
+// A git-style unified diff. oldText or newText may be null for a file that
+// was created or deleted.
+function unifiedDiff(filePath, oldText, newText, { context = 3 } = {}) {
+  const ops = diffLines(oldText || '', newText || '');
+  const header = [
+    `diff --git a/${filePath} b/${filePath}`,
+    oldText === null ? 'new file' : newText === null ? 'deleted file' : null,
+    `--- ${oldText === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${newText === null ? '/dev/null' : `b/${filePath}`}`
+  ].filter(Boolean);
+
+  // Group changes that are close enough to share context into hunks
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const from = Math.max(0, index - context);
+    if (current && from <= current.end) {
+      current.end = index + context + 1;
+    } else {
+      current = { start: from, end: index + context + 1 };
+      hunks.push(current);
+    }
+  });
+
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let position = 0;
+  for (const hunk of hunks) {
+    const end = Math.min(hunk.end, ops.length);
+    for (; position < hunk.start; position++) {
+      oldLine++;
+      newLine++;
+    }
+
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (; position < end; position++) {
+      const op = ops[position];
+      body.push(op.type + op.line.replace(/\n$/, ''));
+      if (!op.line.endsWith('\n')) body.push('\\ No newline at end of file');
+      if (op.type !== '+') oldCount++;
+      if (op.type !== '-') newCount++;
+    }
+
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`, ...body);
+    oldLine += oldCount;
+    newLine += newCount;
+  }
+
+  return [...header, ...lines].join('\n') + '\n';
+}
+
+module.exports = { diffLines, countChanges, unifiedDiff };
@@ -0,0 +1,23 @@
+// Minimal leveled logger. The level comes from the server config; anything
+// below it is dropped.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let threshold = LEVELS.info;
+
+function setLevel(level) {
+  threshold = LEVELS[level] || LEVELS.info;
+}
+
+function write(level, method, args) {
+  if (LEVELS[level] >= threshold) {
+    console[method](...args);
+  }
+}
+
+module.exports = {
+  setLevel,
+  debug: (...args) => write('debug', 'log', args),
+  info: (...args) => write('info', 'log', args),
+  warn: (...args) => write('warn', 'warn', args),
+  error: (...args) => write('error', 'error', args)
+};
@@ -14,9 +14,31 @@ let allSlashCommands = [];
 let filteredSlashCommands = [];
 let selectedCommandIndex = -1;
 
+// Parallel sessions: the tab shown in this window and the list from the server
+let activeSessionKey = sessionStorage.getItem('activeSessionKey');
+let sessionList = [];
+
+// Event sequence state for the active session: numbered events at or below
+// lastSeq were already rendered
+let syncEpoch = null;
+let lastSeq = 0;
+let isSynced = false;
+let syncPending = false;
+
+// Multi-device state
+let clientId = null;
+let clientRole = 'controller';
+let connectedClients = [];
+
+// Pairing state
+let csrfToken = null;
+let currentDeviceId = null;
+
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    connectWebSocket();
+document.addEventListener('DOMContentLoaded', async () => {
+    if (await checkPairing()) {
+        connectWebSocket();
+    }
     setupEventListeners();
     loadTheme();
     adjustInputHeight();
@@ -50,6 +72,108 @@ function copyMessage(btn) {
     });
 }
 
+// Start a new conversation from before this prompt, keeping the original
+function forkFromMessage(btn) {
+    const index = btn.closest('.message').dataset.messageIndex;
+    if (index === undefined) {
+        showToast('This message cannot be forked from yet', 'error');
+        return;
+    }
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    sendSessionMessage({ type: 'forkConversation', messageIndex: Number(index) });
+}
+
+// Pairing
+async function checkPairing() {
+    try {
+        const response = await fetch('/api/auth/status');
+        const data = await response.json();
+        
+        if (data.paired) {
+            csrfToken = data.csrfToken;
+            currentDeviceId = data.device.id;
+            return true;
+        }
+    } catch (error) {
+        // Server unreachable - let the reconnect loop keep trying
+        console.error('Error checking pairing status:', error);
+        return true;
+    }
+    
+    showPairingDialog();
+    return false;
+}
+
+function showPairingDialog() {
+    csrfToken = null;
+    currentDeviceId = null;
+    
+    const nameInput = document.getElementById('pairingDeviceName');
+    if (!nameInput.value) {
+        nameInput.value = /iPhone|Android.*Mobile/i.test(navigator.userAgent) ? 'My phone' :
+            /iPad|Android/i.test(navigator.userAgent) ? 'My tablet' : 'My computer';
+    }
+    document.getElementById('pairingError').textContent = '';
+    openModal('pairingModal');
+    document.getElementById('pairingCode').focus();
+}
+
+async function submitPairingCode() {
+    const code = document.getElementById('pairingCode').value.trim();
+    const name = document.getElementById('pairingDeviceName').value.trim();
+    const errorEl = document.getElementById('pairingError');
+    
+    if (!code) return;
+    
+    try {
+        const response = await fetch('/api/auth/pair', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ code, name })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Pairing failed');
+        }
+        
+        csrfToken = data.csrfToken;
+        currentDeviceId = data.device.id;
+        document.getElementById('pairingCode').value = '';
+        closeModal('pairingModal');
+        showToast('Device paired');
+        connectWebSocket();
+    } catch (error) {
+        errorEl.textContent = error.message;
+    }
+}
+
+// fetch() wrapper for /api calls: adds the CSRF token and handles unpairing
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const method = (options.method || 'GET').toUpperCase();
+    if (method !== 'GET' && csrfToken) {
+        headers['X-CSRF-Token'] = csrfToken;
+    }
+    // Changes to the project are only accepted from the controlling device
+    if (method !== 'GET' && clientId) {
+        headers['X-Client-Id'] = clientId;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401) {
+        if (ws) ws.close();
+        showPairingDialog();
+    }
+    return response;
+}
+
 // WebSocket Connection
 function connectWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -63,6 +187,10 @@ function connectWebSocket() {
         updateConnectionStatus(true);
         clearReconnectTimeout();
         
+        // The server answers with the session list, then we resync the active tab
+        isSynced = false;
+        syncPending = false;
+        
         // Load settings
         ws.send(JSON.stringify({ type: 'getSettings' }));
         
@@ -75,13 +203,45 @@ function connectWebSocket() {
     
     ws.onmessage = (event) => {
         const message = JSON.parse(event.data);
+        
+        // Events from sessions in other tabs
+        if (message.sessionKey && message.sessionKey !== activeSessionKey) {
+            handleBackgroundEvent(message);
+            return;
+        }
+        
+        if (message.seq !== undefined) {
+            // Hold live events until the replay has caught us up
+            if (!isSynced || message.seq <= lastSeq) return;
+            
+            if (message.seq > lastSeq + 1) {
+                // Missed something on this socket - ask again
+                requestSync();
+                return;
+            }
+            lastSeq = message.seq;
+        }
+        
+        const previousLast = lastTranscriptElement();
         handleMessage(message);
+        if (message.index !== undefined) {
+            tagTranscriptElement(previousLast, message.index);
+        }
+        if (pendingMessageJump) {
+            scheduleMessageJump();
+        }
     };
     
-    ws.onclose = () => {
+    ws.onclose = async (event) => {
         console.log('WebSocket disconnected');
         isConnected = false;
+        isSynced = false;
         updateConnectionStatus(false);
+        
+        // A rejected upgrade or revoked token means we need to pair again
+        if (event.code === 4001 || !(await checkPairing())) {
+            return;
+        }
         scheduleReconnect();
     };
     
@@ -91,6 +251,34 @@ function connectWebSocket() {
     };
 }
 
+function requestSync() {
+    if (!activeSessionKey) return;
+    
+    isSynced = false;
+    syncPending = true;
+    sendSessionMessage({
+        type: 'resume',
+        epoch: syncEpoch,
+        lastSeq: lastSeq
+    });
+}
+
+// Send a message addressed to the active session
+function sendSessionMessage(payload) {
+    ws.send(JSON.stringify({ ...payload, sessionKey: activeSessionKey }));
+}
+
+function handleSyncState(data) {
+    syncEpoch = data.epoch;
+    lastSeq = data.seq;
+    isSynced = true;
+    syncPending = false;
+    
+    if (data.replayed > 0) {
+        console.log(`Replayed ${data.replayed} missed events`);
+    }
+}
+
 function scheduleReconnect() {
     clearReconnectTimeout();
     reconnectTimeout = setTimeout(() => {
@@ -122,6 +310,18 @@ function handleMessage(message) {
             console.log('Connected to server');
             break;
             
+        case 'clientRole':
+            updateClientRole(message.data);
+            break;
+            
+        case 'transcriptReset':
+            clearMessages();
+            break;
+            
+        case 'syncState':
+            handleSyncState(message.data);
+            break;
+            
         case 'sessionResumed':
             handleSessionResumed(message.data);
             break;
@@ -136,6 +336,25 @@ function handleMessage(message) {
                     <p>Start a conversation or load a previous session</p>
                 </div>
             `;
+            // The new project has its own sessions; the session list follows
+            activeSessionKey = null;
+            currentProject = message.data.projectRoot;
+            resetFileBrowser();
+            break;
+            
+        case 'sessionList':
+            updateSessionList(message.data);
+            break;
+            
+        case 'sessionCreated':
+            switchSession(message.data.sessionKey);
+            if (message.data.draft) {
+                // A fork: the prompt it was made from, to edit and send again
+                const input = document.getElementById('messageInput');
+                input.value = message.data.draft;
+                adjustInputHeight();
+                input.focus();
+            }
             break;
             
         case 'userInput':
@@ -143,11 +362,23 @@ function handleMessage(message) {
             break;
             
         case 'output':
-            addMessage(message.data, 'assistant');
+            if (!finishStreamingMessage(message.data, 'assistant')) {
+                addMessage(message.data, 'assistant');
+            }
             break;
             
         case 'thinking':
-            addMessage(message.data, 'thinking');
+            if (!finishStreamingMessage(message.data, 'thinking')) {
+                addMessage(message.data, 'thinking');
+            }
+            break;
+            
+        case 'outputDelta':
+            appendStreamingDelta(message.data, 'assistant');
+            break;
+            
+        case 'thinkingDelta':
+            appendStreamingDelta(message.data, 'thinking');
             break;
             
         case 'error':
@@ -166,6 +397,22 @@ function handleMessage(message) {
             addToolResultMessage(message.data);
             break;
             
+        case 'turnChanges':
+            addTurnChangesCard(message.data);
+            break;
+            
+        case 'checkpoint':
+            addCheckpointMarker(message.data);
+            break;
+            
+        case 'attachments':
+            addAttachmentsMessage(message.data);
+            break;
+            
+        case 'filesChanged':
+            onFilesChanged(message.data);
+            break;
+            
         case 'sessionInfo':
             updateSessionInfo(message.data);
             break;
@@ -179,6 +426,10 @@ function handleMessage(message) {
             setProcessing(message.data.isProcessing);
             break;
             
+        case 'queueUpdated':
+            renderPromptQueue(message.data);
+            break;
+            
         case 'sessionCleared':
             clearMessages();
             showToast('New session started');
@@ -188,6 +439,22 @@ function handleMessage(message) {
             showConversationList(message.data);
             break;
             
+        case 'trashList':
+            showTrashList(message.data);
+            break;
+            
+        case 'conversationDeleted':
+            if (message.data.success) {
+                showToast('Moved to trash');
+            } else {
+                showToast(message.data.error || 'That conversation could not be deleted', 'error');
+            }
+            break;
+            
+        case 'conversationSearchResults':
+            showConversationSearchResults(message.data);
+            break;
+            
         case 'workspaceFiles':
             updateFilesList(message.data);
             break;
@@ -200,6 +467,10 @@ function handleMessage(message) {
             showPermissionDialog(message.data);
             break;
             
+        case 'permissionDismissed':
+            dismissPermissionDialog(message.data.id);
+            break;
+            
         case 'permissions':
             updatePermissionsList(message.data);
             break;
@@ -246,12 +517,61 @@ function addMessage(content, type = 'assistant') {
                     <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
                 </svg>
             </button>
+            ${type === 'user' ? `
+            <button class="message-action-btn" onclick="forkFromMessage(this)" aria-label="Fork from here">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" width="16" height="16">
+                    <circle cx="6" cy="5" r="2"/>
+                    <circle cx="6" cy="19" r="2"/>
+                    <circle cx="18" cy="7" r="2"/>
+                    <path d="M6 7v10M18 9c0 5-6 4-11.5 8.5"/>
+                </svg>
+            </button>` : ''}
         `;
         messageDiv.appendChild(actions);
     }
     
     messagesInner.appendChild(messageDiv);
     messages.scrollTop = messages.scrollHeight;
+    return messageDiv;
+}
+
+// Streaming: bubbles that grow as deltas arrive, in arrival order
+// streamId -> { element, text, type }
+const streamingMessages = new Map();
+
+function appendStreamingDelta(data, type) {
+    let entry = streamingMessages.get(data.streamId);
+    if (!entry) {
+        const element = addMessage('', type);
+        element.classList.add('streaming');
+        entry = { element, text: '', type };
+        streamingMessages.set(data.streamId, entry);
+    }
+    
+    entry.text += data.text;
+    entry.element.querySelector('.message-content').innerHTML = parseMarkdown(entry.text);
+    
+    const messages = document.getElementById('messages');
+    messages.scrollTop = messages.scrollHeight;
+}
+
+// Replace the oldest open streaming bubble of this type with the final text.
+// Returns false if nothing was being streamed.
+function finishStreamingMessage(content, type) {
+    for (const [streamId, entry] of streamingMessages) {
+        if (entry.type === type) {
+            entry.element.querySelector('.message-content').innerHTML = parseMarkdown(content);
+            entry.element.classList.remove('streaming');
+            streamingMessages.delete(streamId);
+            return true;
+        }
+    }
+    return false;
+}
+
+function endStreamingMessages() {
+    streamingMessages.forEach(entry => entry.element.classList.remove('streaming'));
+    streamingMessages.clear();
 }
 
 function addToolMessage(data) {
@@ -277,7 +597,7 @@ function addToolMessage(data) {
         <svg class="tool-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" width="16" height="16">
             <path d="M14.7 6.3a1 1 0 000 1.4l1.6 1.6a1 1 0 001.4 0l3.77-3.77a6 6 0 01-7.94 7.94l-6.91 6.91a2.12 2.12 0 01-3-3l6.91-6.91a6 6 0 017.94-7.94l-3.76 3.76z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
         </svg>
-        <span class="tool-name">${data.toolInfo}</span>
+        <span class="tool-name">${escapeHtml(data.toolInfo)}</span>
     `;
     messageContent.appendChild(headerDiv);
     
@@ -288,15 +608,15 @@ function addToolMessage(data) {
         
         if (data.toolInput && data.toolName === 'TodoWrite') {
             // Special formatting for TodoWrite - already formatted
-            inputDiv.innerHTML = `<pre>${data.toolInput}</pre>`;
+            inputDiv.innerHTML = `<pre>${escapeHtml(data.toolInput)}</pre>`;
         } else if (data.rawInput) {
             // Show raw input for other tools
             const inputStr = JSON.stringify(data.rawInput, null, 2);
             if (inputStr.length > 500) {
                 // Truncate long inputs
-                inputDiv.innerHTML = `<pre>${inputStr.substring(0, 500)}...</pre>`;
+                inputDiv.innerHTML = `<pre>${escapeHtml(inputStr.substring(0, 500))}...</pre>`;
             } else {
-                inputDiv.innerHTML = `<pre>${inputStr}</pre>`;
+                inputDiv.innerHTML = `<pre>${escapeHtml(inputStr)}</pre>`;
             }
         }
         
@@ -331,7 +651,166 @@ function addToolResultMessage(data) {
     messages.scrollTop = messages.scrollHeight;
 }
 
+// Files changed by a turn, with a diff per file and revert buttons
+function addTurnChangesCard(data) {
+    const messageDiv = addMessage('', 'turn-changes');
+    messageDiv.dataset.turnId = data.turnId;
+    messageDiv.addEventListener('click', onTurnChangesClick);
+    renderTurnChanges(messageDiv, data);
+}
+
+function renderTurnChanges(messageDiv, data) {
+    const added = data.files.reduce((sum, file) => sum + file.added, 0);
+    const removed = data.files.reduce((sum, file) => sum + file.removed, 0);
+    const pending = data.files.filter(file => !file.reverted).length;
+    
+    const rows = data.files.map(file => `
+        <div class="turn-file${file.reverted ? ' reverted' : ''}" data-path="${escapeHtml(file.path)}">
+            <div class="turn-file-row">
+                <button class="turn-file-name" data-action="toggle-diff">
+                    <span class="git-file-path">${escapeHtml(file.path)}</span>
+                    ${file.status === 'modified' ? '' : `<span class="history-meta">${file.status}</span>`}
+                    <span class="turn-stat turn-add">+${file.added}</span>
+                    <span class="turn-stat turn-del">-${file.removed}</span>
+                </button>
+                ${file.reverted
+                    ? '<span class="history-meta">Reverted</span>'
+                    : '<button class="device-action-btn controller-only" data-action="revert-file">Revert</button>'}
+            </div>
+            <div class="turn-file-diff" hidden></div>
+        </div>
+    `).join('');
+    
+    messageDiv.querySelector('.message-content').innerHTML = `
+        <div class="turn-changes-header">
+            <span>${data.files.length} file${data.files.length === 1 ? '' : 's'} changed</span>
+            <span class="turn-stat turn-add">+${added}</span>
+            <span class="turn-stat turn-del">-${removed}</span>
+            ${pending > 0 ? '<button class="device-action-btn danger controller-only" data-action="revert-turn">Revert turn</button>' : ''}
+        </div>
+        ${rows}
+    `;
+}
+
+function onTurnChangesClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+    const messageDiv = event.currentTarget;
+    const fileRow = target.closest('.turn-file');
+    const filePath = fileRow ? fileRow.dataset.path : null;
+    
+    switch (target.dataset.action) {
+        case 'toggle-diff':
+            toggleTurnDiff(messageDiv.dataset.turnId, fileRow);
+            break;
+        case 'revert-file':
+            if (confirm(`Revert ${filePath} to how it was before this turn?`)) {
+                revertTurnChanges(messageDiv, [filePath]);
+            }
+            break;
+        case 'revert-turn':
+            if (confirm('Revert every file changed in this turn?')) {
+                revertTurnChanges(messageDiv, null);
+            }
+            break;
+    }
+}
+
+async function toggleTurnDiff(turnId, fileRow) {
+    const diffDiv = fileRow.querySelector('.turn-file-diff');
+    if (!diffDiv.hidden) {
+        diffDiv.hidden = true;
+        return;
+    }
+    
+    diffDiv.hidden = false;
+    diffDiv.innerHTML = '<div class="no-files">Loading...</div>';
+    try {
+        const response = await apiFetch(`/api/turns/${turnId}/diff?path=${encodeURIComponent(fileRow.dataset.path)}`);
+        const data = await response.json();
+        diffDiv.innerHTML = response.ok
+            ? renderUnifiedDiff(data.diff)
+            : `<div class="no-files">${escapeHtml(data.error || 'Could not load diff')}</div>`;
+    } catch (error) {
+        diffDiv.innerHTML = '<div class="no-files">Could not load diff</div>';
+    }
+}
+
+// Files edited again after the turn come back as conflicts; offer to
+// overwrite them
+async function revertTurnChanges(messageDiv, paths, force = false) {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
+    const response = await apiFetch(`/api/turns/${messageDiv.dataset.turnId}/revert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paths: paths || undefined, force })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        showToast(data.error || 'Revert failed', 'error');
+        return;
+    }
+    
+    renderTurnChanges(messageDiv, data.turn);
+    if (data.reverted.length > 0) {
+        showToast(`Reverted ${data.reverted.length} file${data.reverted.length === 1 ? '' : 's'}`, 'success');
+    }
+    if (data.conflicts.length > 0) {
+        const names = data.conflicts.map(conflict => conflict.path).join(', ');
+        if (confirm(`${names} changed since this turn. Revert anyway and lose those changes?`)) {
+            revertTurnChanges(messageDiv, data.conflicts.map(conflict => conflict.path), true);
+        }
+    }
+}
+
+// Checkpoints are taken before each prompt; restoring one puts the project
+// files back, and optionally cuts the conversation back to that point
+let rewindCheckpointId = null;
+
+function addCheckpointMarker(data) {
+    const messageDiv = addMessage('', 'checkpoint');
+    const time = new Date(data.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    messageDiv.querySelector('.message-content').innerHTML = `
+        <span class="checkpoint-label">Checkpoint · ${escapeHtml(time)} · ${data.fileCount} file${data.fileCount === 1 ? '' : 's'}</span>
+        <button class="checkpoint-restore" data-id="${escapeHtml(data.id)}" data-label="${escapeHtml(data.label)}"
+            onclick="showRewindDialog(this.dataset.id, this.dataset.label)">Restore</button>
+    `;
+}
+
+function showRewindDialog(checkpointId, label) {
+    if (!isController()) {
+        showToast('Take control to restore a checkpoint', 'error');
+        return;
+    }
+    
+    rewindCheckpointId = checkpointId;
+    document.getElementById('rewindDescription').textContent = label
+        ? `Put the project files back the way they were before "${label}". The current files are checkpointed first, so this can be undone.`
+        : 'Put the project files back the way they were at this checkpoint. The current files are checkpointed first, so this can be undone.';
+    document.getElementById('rewindTruncate').checked = false;
+    openModal('rewindModal');
+}
+
+function confirmRewind() {
+    if (!rewindCheckpointId) return;
+    
+    sendSessionMessage({
+        type: 'rewind',
+        checkpointId: rewindCheckpointId,
+        truncate: document.getElementById('rewindTruncate').checked
+    });
+    rewindCheckpointId = null;
+    closeModal('rewindModal');
+}
+
 function clearMessages() {
+    streamingMessages.clear();
+    // The conversation a search result pointed into is about to be shown
+    if (pendingMessageJump) pendingMessageJump.armed = true;
     const messages = document.getElementById('messages');
     messages.innerHTML = `
         <div class="messages-inner">
@@ -349,15 +828,15 @@ function setProcessing(processing) {
     const stopBtn = document.getElementById('stopBtn');
     const input = document.getElementById('messageInput');
     
+    // The input stays usable while Claude works - new prompts are queued
     if (processing) {
-        sendBtn.style.display = 'none';
         stopBtn.style.display = 'flex';
-        input.disabled = true;
+        input.placeholder = 'Queue a follow-up...';
     } else {
-        sendBtn.style.display = 'flex';
         stopBtn.style.display = 'none';
-        input.disabled = false;
-        input.focus();
+        input.placeholder = 'Message Claude...';
+        // Anything still streaming was cut short (e.g. stopped)
+        endStreamingMessages();
     }
 }
 
@@ -366,7 +845,17 @@ function sendMessage() {
     const input = document.getElementById('messageInput');
     const text = input.value.trim();
     
-    if (!text || !isConnected || isProcessing) return;
+    if ((!text && pendingAttachments.length === 0) || !isConnected) return;
+    
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
+    if (pendingAttachments.some(a => !a.id)) {
+        showToast('Wait for the attachments to finish uploading', 'error');
+        return;
+    }
     
     // Check for slash commands
     if (text.startsWith('/')) {
@@ -381,64 +870,260 @@ function sendMessage() {
         }
     }
     
-    ws.send(JSON.stringify({
+    sendSessionMessage({
         type: 'sendMessage',
         text: text,
         planMode: planMode,
-        thinkingMode: thinkingMode
-    }));
+        thinkingMode: thinkingMode,
+        attachments: pendingAttachments.map(a => a.id)
+    });
     
     input.value = '';
+    clearPendingAttachments();
+    adjustInputHeight();
+}
+
+// Prompt queue
+let promptQueue = [];
+
+function renderPromptQueue(queue) {
+    promptQueue = queue.items;
+    const container = document.getElementById('promptQueue');
+    
+    if (promptQueue.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        adjustInputHeight();
+        return;
+    }
+    
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="queue-header">
+            <span>${queue.paused ? 'Queue paused' : 'Queued'} · ${promptQueue.length}</span>
+            ${queue.paused ? '<button class="queue-resume-btn" onclick="resumePromptQueue()">Resume</button>' : ''}
+        </div>
+        ${promptQueue.map((item, index) => `
+            <div class="queue-item">
+                <span class="queue-text" onclick="editQueuedPrompt('${item.id}')">${escapeHtml(item.text)}${item.attachments && item.attachments.length ? ` <span class="queue-attachments">📎 ${item.attachments.length}</span>` : ''}</span>
+                <div class="queue-actions">
+                    <button class="queue-btn" onclick="moveQueuedPrompt('${item.id}', ${index - 1})" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                    <button class="queue-btn" onclick="moveQueuedPrompt('${item.id}', ${index + 1})" ${index === promptQueue.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                    <button class="queue-btn" onclick="removeQueuedPrompt('${item.id}')" aria-label="Cancel">×</button>
+                </div>
+            </div>
+        `).join('')}
+    `;
     adjustInputHeight();
 }
 
+function editQueuedPrompt(id) {
+    const item = promptQueue.find(q => q.id === id);
+    if (!item || !isController()) return;
+    
+    const text = prompt('Edit queued prompt:', item.text);
+    if (text === null || !text.trim()) return;
+    
+    sendSessionMessage({ type: 'queueUpdate', id, text: text.trim() });
+}
+
+function moveQueuedPrompt(id, toIndex) {
+    if (!isConnected || !isController()) return;
+    sendSessionMessage({ type: 'queueMove', id, toIndex });
+}
+
+function removeQueuedPrompt(id) {
+    if (!isConnected || !isController()) return;
+    sendSessionMessage({ type: 'queueRemove', id });
+}
+
+function resumePromptQueue() {
+    if (!isConnected || !isController()) return;
+    sendSessionMessage({ type: 'queueResume' });
+}
+
 // Stop Request
 function stopRequest() {
     if (!isConnected || !isProcessing) return;
     
-    ws.send(JSON.stringify({
+    sendSessionMessage({
         type: 'stopRequest'
-    }));
+    });
     
     showToast('Stopping request...', 'info');
 }
 
-// Session Management
-function newSession() {
+// Parallel sessions
+function updateSessionList(sessions) {
+    sessionList = sessions;
+    
+    if (!sessionList.some(session => session.sessionKey === activeSessionKey)) {
+        switchSession(sessionList[0].sessionKey);
+        return;
+    }
+    
+    if (!isSynced && !syncPending) {
+        requestSync();
+    }
+    renderSessionTabs();
+}
+
+function switchSession(sessionKey) {
+    activeSessionKey = sessionKey;
+    sessionStorage.setItem('activeSessionKey', sessionKey);
+    
+    // Start from scratch - the server sends this session's transcript
+    syncEpoch = null;
+    lastSeq = 0;
+    clearMessages();
+    setProcessing(false);
+    renderPromptQueue({ items: [], paused: false });
+    requestSync();
+    renderSessionTabs();
+}
+
+function createSession() {
     if (!isConnected) return;
     
-    if (confirm('Start a new session? Current conversation will be saved.')) {
-        ws.send(JSON.stringify({ type: 'newSession' }));
-        closeSidebar();
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
     }
+    ws.send(JSON.stringify({ type: 'createSession' }));
 }
 
-function handleSessionResumed(data) {
-    updateStats(data);
-    showToast('Session resumed');
+function closeSession(sessionKey, event) {
+    event.stopPropagation();
+    if (!isConnected) return;
+    
+    const session = sessionList.find(s => s.sessionKey === sessionKey);
+    const question = session && session.isProcessing ?
+        'This session is still working. Stop it and close the tab?' :
+        'Close this session? The conversation stays in History.';
+    if (!confirm(question)) return;
+    
+    ws.send(JSON.stringify({ type: 'closeSession', sessionKey }));
 }
 
-function updateSessionInfo(data) {
-    // Update session display if needed
+function renderSessionTabs() {
+    const tabs = document.getElementById('sessionTabs');
+    
+    tabs.innerHTML = sessionList.map(session => {
+        const title = session.sessionId || session.isProcessing ? session.title : 'New session';
+        return `
+            <div class="session-tab${session.sessionKey === activeSessionKey ? ' active' : ''}" 
+                 onclick="switchSession('${session.sessionKey}')">
+                ${session.isProcessing ? '<span class="session-busy" aria-label="Working"></span>' : ''}
+                <span class="session-tab-title">${escapeHtml(title)}</span>
+                ${session.queued ? `<span class="session-queued">+${session.queued}</span>` : ''}
+                <button class="session-tab-close" onclick="closeSession('${session.sessionKey}', event)" aria-label="Close session">×</button>
+            </div>
+        `;
+    }).join('') + `
+        <button class="session-tab-new" onclick="createSession()" aria-label="New parallel session">+</button>
+    `;
 }
 
-function updateStats(data) {
-    // Token and cost display removed from UI - just log for debugging
-    if (data.totalTokensInput !== undefined || data.totalTokensOutput !== undefined) {
-        console.log('Token usage:', {
-            input: data.totalTokensInput,
-            output: data.totalTokensOutput,
-            total: (data.totalTokensInput || 0) + (data.totalTokensOutput || 0)
-        });
+// Events from sessions that aren't on screen only matter if they need us
+function handleBackgroundEvent(message) {
+    if (message.type === 'permissionRequest' && message.seq !== undefined) {
+        const session = sessionList.find(s => s.sessionKey === message.sessionKey);
+        showToast(`"${session ? session.title : 'Another session'}" needs permission`);
     }
+}
+
+// Device control
+function isController() {
+    return clientRole === 'controller';
+}
+
+function updateClientRole(data) {
+    const wasController = isController();
+    clientId = data.clientId;
+    clientRole = data.role;
+    connectedClients = data.clients || [];
     
-    if (data.totalCost !== undefined) {
-        console.log('Total cost:', `$${data.totalCost.toFixed(4)}`);
+    const banner = document.getElementById('viewerBanner');
+    banner.style.display = isController() ? 'none' : 'flex';
+    document.body.classList.toggle('viewer', !isController());
+    
+    if (wasController && !isController()) {
+        showToast('Another device took control');
     }
     
-    // Show detailed token breakdown if available
-    if (data.currentInputTokens || data.currentOutputTokens) {
-        const currentTotal = (data.currentInputTokens || 0) + (data.currentOutputTokens || 0);
+    renderDeviceList();
+}
+
+function takeControl() {
+    if (!isConnected) return;
+    ws.send(JSON.stringify({ type: 'takeControl' }));
+}
+
+function transferControl(targetId) {
+    if (!isConnected) return;
+    ws.send(JSON.stringify({ type: 'transferControl', clientId: targetId }));
+}
+
+function renderDeviceList() {
+    const list = document.getElementById('deviceList');
+    if (!list) return;
+    
+    list.innerHTML = connectedClients.map(client => {
+        const isSelf = client.id === clientId;
+        const canHandOver = isController() && !isSelf;
+        return `
+            <div class="device-item">
+                <div class="device-info">
+                    <span class="device-name">${escapeHtml(client.label)}${isSelf ? ' (this device)' : ''}</span>
+                    <span class="device-role">${client.role === 'controller' ? 'In control' : 'Viewing'}</span>
+                </div>
+                ${canHandOver ? `<button class="device-action-btn" onclick="transferControl('${client.id}')">Hand over</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// Session Management
+function newSession() {
+    if (!isConnected) return;
+    
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
+    if (confirm('Start a new session? Current conversation will be saved.')) {
+        sendSessionMessage({ type: 'newSession' });
+        closeSidebar();
+    }
+}
+
+function handleSessionResumed(data) {
+    updateStats(data);
+    showToast('Session resumed');
+}
+
+function updateSessionInfo(data) {
+    // Update session display if needed
+}
+
+function updateStats(data) {
+    // Token and cost display removed from UI - just log for debugging
+    if (data.totalTokensInput !== undefined || data.totalTokensOutput !== undefined) {
+        console.log('Token usage:', {
+            input: data.totalTokensInput,
+            output: data.totalTokensOutput,
+            total: (data.totalTokensInput || 0) + (data.totalTokensOutput || 0)
+        });
+    }
+    
+    if (data.totalCost !== undefined) {
+        console.log('Total cost:', `$${data.totalCost.toFixed(4)}`);
+    }
+    
+    // Show detailed token breakdown if available
+    if (data.currentInputTokens || data.currentOutputTokens) {
+        const currentTotal = (data.currentInputTokens || 0) + (data.currentOutputTokens || 0);
         if (currentTotal > 0) {
             let tokenMessage = `Tokens: ${currentTotal.toLocaleString()}`;
             
@@ -479,203 +1164,855 @@ function showHistory() {
         return;
     }
     
-    ws.send(JSON.stringify({ type: 'getConversationList' }));
     openModal('historyModal');
+    runHistorySearch();
 }
 
+// History list: conversations filtered by view (all but archived, pinned,
+// archived, trash) and tag. Swiping an item left shows quick actions; ⋯ shows
+// all of them.
+const historyState = {
+    conversations: [],
+    trash: [],
+    retentionDays: 30,
+    view: 'all',
+    tag: null,
+    actionsFor: null
+};
+
 function showConversationList(conversations) {
-    const historyList = document.getElementById('historyList');
+    historyState.conversations = conversations || [];
+    renderHistoryFilters();
+    // Searching; the list comes back when the search box is cleared
+    if (historySearchState.query) return;
+    renderHistoryList();
+}
+
+function showTrashList(data) {
+    historyState.trash = data.items;
+    historyState.retentionDays = data.retentionDays;
+    if (historyState.view === 'trash' && !historySearchState.query) renderHistoryList();
+}
+
+const HISTORY_VIEWS = { all: 'All', pinned: 'Pinned', archived: 'Archived', trash: 'Trash' };
+
+function renderHistoryFilters() {
+    const tags = Array.from(new Set(historyState.conversations.flatMap(conv => conv.tags))).sort();
+    if (historyState.tag && !tags.includes(historyState.tag)) historyState.tag = null;
+    
+    document.getElementById('historyFilters').innerHTML = [
+        ...Object.entries(HISTORY_VIEWS).map(([view, label]) =>
+            `<button class="history-filter${historyState.view === view ? ' active' : ''}" data-view="${view}">${label}</button>`),
+        ...(historyState.view === 'trash' ? [] : tags.map(tag =>
+            `<button class="history-filter${historyState.tag === tag ? ' active' : ''}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`))
+    ].join('');
+}
+
+function onHistoryFilterClick(event) {
+    const button = event.target.closest('.history-filter');
+    if (!button) return;
     
-    console.log('Received conversations:', conversations);
+    if (button.dataset.view) {
+        historyState.view = button.dataset.view;
+        if (historyState.view === 'trash') {
+            ws.send(JSON.stringify({ type: 'getTrash' }));
+        }
+    } else {
+        historyState.tag = historyState.tag === button.dataset.tag ? null : button.dataset.tag;
+    }
+    historyState.actionsFor = null;
+    renderHistoryFilters();
+    renderHistoryList();
+}
+
+function visibleConversations() {
+    return historyState.conversations.filter(conv => {
+        if (historyState.tag && !conv.tags.includes(historyState.tag)) return false;
+        if (historyState.view === 'pinned') return conv.pinned;
+        if (historyState.view === 'archived') return conv.archived;
+        return !conv.archived;
+    });
+}
+
+function renderHistoryList() {
+    const historyList = document.getElementById('historyList');
+    if (historyState.view === 'trash') {
+        renderTrashList(historyList);
+        return;
+    }
     
-    if (!conversations || conversations.length === 0) {
-        historyList.innerHTML = '<p>No conversation history</p>';
+    const conversations = visibleConversations();
+    if (conversations.length === 0) {
+        historyList.innerHTML = historyState.conversations.length === 0
+            ? '<p>No conversation history</p>'
+            : '<p>No conversations here</p>';
         return;
     }
     
     historyList.innerHTML = conversations.map(conv => {
         const date = new Date(conv.endTime || conv.startTime);
         const timeStr = date.toLocaleString();
+        const id = escapeHtml(conv.sessionId);
         
-        console.log('Rendering conversation:', conv);
-        
         return `
-            <div class="history-item" onclick="loadConversation('${conv.sessionId}')">
-                <div class="history-title">${conv.title || 'Untitled Conversation'}</div>
+            <div class="history-row">
+                <div class="history-swipe">
+                    <div class="history-swipe-actions">
+                        <button data-action="pin" data-session-id="${id}">${conv.pinned ? 'Unpin' : 'Pin'}</button>
+                        <button data-action="archive" data-session-id="${id}">${conv.archived ? 'Unarchive' : 'Archive'}</button>
+                        ${conv.fromCli ? '' : `<button class="danger" data-action="delete" data-session-id="${id}">Delete</button>`}
+                    </div>
+                    <div class="history-item" data-action="open" data-session-id="${id}">
+                        <div class="history-item-header">
+                            <div class="history-title">${conv.pinned ? '<span class="history-pin" aria-label="Pinned">📌</span>' : ''}${escapeHtml(conv.title || 'Untitled Conversation')}</div>
+                            <button class="icon-btn history-more" data-action="more" data-session-id="${id}" aria-label="More actions">⋯</button>
+                        </div>
+                        <div class="history-meta">
+                            <span>${timeStr}</span>
+                            ${conv.messageCount !== null ? `<span>${conv.messageCount} messages</span>` : ''}
+                            ${conv.fromCli ? '<span class="history-source" title="Started in the Claude CLI">from CLI</span>' : ''}
+                            ${conv.forkCount ? `<span>${conv.forkCount} fork${conv.forkCount === 1 ? '' : 's'}</span>` : ''}
+                        </div>
+                        ${conv.tags.length > 0 ? `<div class="history-tags">${conv.tags.map(tag => `<span class="history-tag">#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                        ${conv.parentSessionId ? (conv.parentTitle
+                            ? `<div class="history-parent" data-action="open" data-session-id="${escapeHtml(conv.parentSessionId)}">Forked from “${escapeHtml(conv.parentTitle)}”</div>`
+                            : '<div class="history-parent">Forked from a deleted conversation</div>') : ''}
+                    </div>
+                </div>
+                ${historyState.actionsFor === conv.sessionId ? `
+                    <div class="history-actions">
+                        <button class="device-action-btn" data-action="rename" data-session-id="${id}">Rename</button>
+                        <button class="device-action-btn" data-action="tags" data-session-id="${id}">Tags</button>
+                        <button class="device-action-btn" data-action="pin" data-session-id="${id}">${conv.pinned ? 'Unpin' : 'Pin'}</button>
+                        <button class="device-action-btn" data-action="archive" data-session-id="${id}">${conv.archived ? 'Unarchive' : 'Archive'}</button>
+                        <button class="device-action-btn" data-action="export" data-session-id="${id}">Export</button>
+                        ${conv.fromCli ? '' : `<button class="device-action-btn danger" data-action="delete" data-session-id="${id}">Delete</button>`}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderTrashList(historyList) {
+    if (historyState.trash.length === 0) {
+        historyList.innerHTML = '<p>The trash is empty</p>';
+        return;
+    }
+    
+    const day = 24 * 60 * 60 * 1000;
+    historyList.innerHTML = `
+        <div class="history-trash-header">
+            <span>Deleted conversations are removed for good after ${historyState.retentionDays} days</span>
+            <button class="device-action-btn danger" data-action="empty-trash">Empty trash</button>
+        </div>
+    ` + historyState.trash.map(conv => {
+        const daysLeft = Math.max(0, Math.ceil((new Date(conv.trashedAt).getTime() + historyState.retentionDays * day - Date.now()) / day));
+        const id = escapeHtml(conv.sessionId);
+        return `
+            <div class="history-item trashed">
+                <div class="history-title">${escapeHtml(conv.title)}</div>
                 <div class="history-meta">
-                    <span>${timeStr}</span>
-                    <span>${conv.messageCount} messages</span>
+                    <span>Deleted ${new Date(conv.trashedAt).toLocaleString()}</span>
+                    <span>${daysLeft} day${daysLeft === 1 ? '' : 's'} left</span>
+                </div>
+                <div class="history-actions">
+                    <button class="device-action-btn" data-action="restore" data-session-id="${id}">Restore</button>
+                    <button class="device-action-btn danger" data-action="purge" data-session-id="${id}">Delete forever</button>
                 </div>
             </div>
         `;
     }).join('');
 }
 
-function loadConversation(sessionId) {
+// messageIndex - stored message to scroll to once the transcript is shown
+function loadConversation(sessionId, messageIndex = null) {
     if (!isConnected) return;
     
-    ws.send(JSON.stringify({
+    pendingMessageJump = messageIndex === null ? null : { index: messageIndex, armed: false, expires: Date.now() + 15000 };
+    sendSessionMessage({
         type: 'loadConversation',
         sessionId: sessionId
-    }));
+    });
     
     closeModal('historyModal');
 }
 
-// File list update
-function updateFilesList(files) {
-    currentFiles = files;
-    renderFileList(files);
-}
+// History search: conversations matching every word, with snippets of the
+// messages that matched. A snippet opens the conversation at that message.
+const historySearchState = {
+    query: '',
+    timer: null
+};
 
-function selectFile(index) {
-    const file = currentFiles[index];
-    const input = document.getElementById('messageInput');
-    
-    input.value += ` @${file.path} `;
-    closeModal('filesModal');
-    input.focus();
+let pendingMessageJump = null; // { index, armed, expires } after loading from a search result
+let messageJumpTimer = null;
+
+function scheduleHistorySearch() {
+    clearTimeout(historySearchState.timer);
+    historySearchState.timer = setTimeout(runHistorySearch, 300);
 }
 
-// Removed attachFile function - feature removed
+function runHistorySearch() {
+    clearTimeout(historySearchState.timer);
+    if (!isConnected) return;
 
-// Settings
-function showSettings() {
-    closeSidebar();
-    openModal('settingsModal');
+    historySearchState.query = document.getElementById('historySearchInput').value.trim();
+    // Search covers every conversation, whatever the filters say
+    document.getElementById('historyFilters').hidden = !!historySearchState.query;
+    if (historySearchState.query) {
+        ws.send(JSON.stringify({ type: 'searchConversations', query: historySearchState.query }));
+    } else {
+        ws.send(JSON.stringify({ type: 'getConversationList' }));
+        if (historyState.view === 'trash') {
+            ws.send(JSON.stringify({ type: 'getTrash' }));
+        }
+    }
 }
 
-function updateSettings(settings) {
-    if (settings.selectedModel) {
-        document.getElementById('modelSelect').value = settings.selectedModel;
+const SNIPPET_LABELS = { user: 'You', assistant: 'Claude', tool: 'Tool' };
+
+function showConversationSearchResults(data) {
+    // A reply to an older query
+    if (data.query !== historySearchState.query) return;
+
+    const historyList = document.getElementById('historyList');
+    if (data.results.length === 0) {
+        historyList.innerHTML = '<p>No matching conversations</p>';
+        return;
     }
+
+    historyList.innerHTML = data.results.map(result => `
+        <div class="history-item" data-action="open" data-session-id="${escapeHtml(result.sessionId)}">
+            <div class="history-title">${escapeHtml(result.title)}</div>
+            <div class="history-meta">
+                <span>${new Date(result.endTime).toLocaleString()}</span>
+                <span>${result.matchCount} matching message${result.matchCount === 1 ? '' : 's'}</span>
+            </div>
+            ${result.snippets.map(snippet => `
+                <div class="history-snippet" data-action="jump" data-session-id="${escapeHtml(result.sessionId)}" data-index="${snippet.messageIndex}">
+                    <span class="history-snippet-kind">${SNIPPET_LABELS[snippet.kind] || ''}</span>
+                    ${highlightRanges(snippet.text, snippet.ranges)}
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
 }
 
-function changeModel(model) {
-    if (!isConnected) return;
+function onHistoryClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
     
-    ws.send(JSON.stringify({
-        type: 'selectModel',
-        model: model
-    }));
+    // A tap on a swiped item puts it back
+    const swiped = target.closest('.history-row.swiped');
+    if (swiped && target.classList.contains('history-item')) {
+        closeHistorySwipe(swiped);
+        return;
+    }
     
-    showToast('Model changed');
+    const { sessionId, index } = target.dataset;
+    const conv = historyState.conversations.find(c => c.sessionId === sessionId);
+    switch (target.dataset.action) {
+        case 'open':
+        case 'jump':
+            loadConversation(sessionId, target.dataset.action === 'jump' ? Number(index) : null);
+            break;
+        case 'more':
+            historyState.actionsFor = historyState.actionsFor === sessionId ? null : sessionId;
+            renderHistoryList();
+            break;
+        case 'export':
+            showExportDialog(sessionId, conv ? conv.title : '');
+            break;
+        case 'rename': {
+            const title = prompt('Conversation title (empty for the first prompt):', conv.title);
+            if (title !== null) updateConversation(sessionId, { title });
+            break;
+        }
+        case 'tags': {
+            const tags = prompt('Tags, separated by commas:', conv.tags.join(', '));
+            if (tags !== null) updateConversation(sessionId, { tags: tags.split(',') });
+            break;
+        }
+        case 'pin':
+            updateConversation(sessionId, { pinned: !conv.pinned });
+            break;
+        case 'archive':
+            updateConversation(sessionId, { archived: !conv.archived });
+            break;
+        case 'delete':
+            sendHistoryMessage({ type: 'deleteConversation', sessionId });
+            break;
+        case 'restore':
+            sendHistoryMessage({ type: 'restoreConversation', sessionId });
+            break;
+        case 'purge':
+            if (confirm('Delete this conversation for good?')) {
+                sendHistoryMessage({ type: 'purgeConversation', sessionId });
+            }
+            break;
+        case 'empty-trash':
+            if (confirm('Delete every conversation in the trash for good?')) {
+                sendHistoryMessage({ type: 'emptyTrash' });
+            }
+            break;
+    }
 }
 
-function changeTheme(theme) {
-    localStorage.setItem('theme', theme);
-    applyTheme(theme);
+// Changing the history is up to the device in control; false if it is not us
+function sendHistoryMessage(message) {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return false;
+    }
+    ws.send(JSON.stringify(message));
+    return true;
 }
 
-function loadTheme() {
-    const theme = localStorage.getItem('theme') || 'auto';
-    document.getElementById('themeSelect').value = theme;
-    applyTheme(theme);
+function updateConversation(sessionId, changes) {
+    historyState.actionsFor = null;
+    sendHistoryMessage({ type: 'updateConversation', sessionId, changes });
 }
 
-function applyTheme(theme) {
-    const root = document.documentElement;
-    
-    // Let CSS handle theme switching based on prefers-color-scheme
-    // The new CSS already has proper dark mode support
-    localStorage.setItem('theme', theme);
+// Swipe an item left to show its quick actions
+const historySwipe = { row: null, startX: 0, startY: 0, dx: 0, horizontal: null };
+
+function onHistoryTouchStart(event) {
+    const item = event.target.closest('.history-swipe .history-item');
+    const row = item ? item.closest('.history-row') : null;
+    document.querySelectorAll('.history-row.swiped').forEach(swiped => {
+        if (swiped !== row) closeHistorySwipe(swiped);
+    });
+    if (!row) return;
     
-    if (theme === 'dark') {
-        root.setAttribute('data-theme', 'dark');
-    } else if (theme === 'light') {
-        root.setAttribute('data-theme', 'light');
-    } else {
-        root.removeAttribute('data-theme');
-    }
+    const touch = event.touches[0];
+    Object.assign(historySwipe, { row, startX: touch.clientX, startY: touch.clientY, dx: 0, horizontal: null });
 }
 
-// Quick Actions
-function togglePlanMode() {
-    planMode = !planMode;
-    const button = document.getElementById('planModeBtn');
+function onHistoryTouchMove(event) {
+    const { row } = historySwipe;
+    if (!row) return;
     
-    if (planMode) {
-        button.classList.add('active');
-    } else {
-        button.classList.remove('active');
+    const touch = event.touches[0];
+    const dx = touch.clientX - historySwipe.startX;
+    const dy = touch.clientY - historySwipe.startY;
+    if (historySwipe.horizontal === null && (Math.abs(dx) > 8 || Math.abs(dy) > 8)) {
+        historySwipe.horizontal = Math.abs(dx) > Math.abs(dy);
     }
+    if (!historySwipe.horizontal) return;
+    
+    event.preventDefault();
+    const width = row.querySelector('.history-swipe-actions').offsetWidth;
+    const offset = row.classList.contains('swiped') ? -width : 0;
+    historySwipe.dx = Math.min(0, Math.max(-width, offset + dx));
+    row.querySelector('.history-item').style.transform = `translateX(${historySwipe.dx}px)`;
 }
 
-function toggleThinkingMode() {
-    thinkingMode = !thinkingMode;
-    const button = document.getElementById('thinkingModeBtn');
+function onHistoryTouchEnd() {
+    const { row } = historySwipe;
+    historySwipe.row = null;
+    if (!row || !historySwipe.horizontal) return;
     
-    if (thinkingMode) {
-        button.classList.add('active');
+    const width = row.querySelector('.history-swipe-actions').offsetWidth;
+    if (historySwipe.dx < -width / 2) {
+        row.classList.add('swiped');
+        row.querySelector('.history-item').style.transform = `translateX(${-width}px)`;
     } else {
-        button.classList.remove('active');
+        closeHistorySwipe(row);
     }
 }
 
-// Removed voice input function - feature removed
-
-// Modal Functions
-function openModal(modalId) {
-    document.getElementById(modalId).classList.add('open');
+function closeHistorySwipe(row) {
+    row.classList.remove('swiped');
+    row.querySelector('.history-item').style.transform = '';
 }
 
-function closeModal(modalId) {
-    document.getElementById(modalId).classList.remove('open');
+// Export: a conversation as Markdown, an HTML page or JSON that can be
+// imported again, with tool calls, results and thinking left out unless asked
+let exportSessionId = null;
+
+function showExportDialog(sessionId, title) {
+    exportSessionId = sessionId;
+    document.getElementById('exportDescription').textContent = title;
+    updateExportOptions();
+    openModal('exportModal');
 }
 
-// Toast Notifications
-function showToast(message, type = 'info') {
-    const container = document.getElementById('toastContainer');
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
-    
-    container.appendChild(toast);
-    
-    setTimeout(() => {
-        toast.remove();
-    }, 3000);
+function updateExportOptions() {
+    // An HTML page is for reading, not pasting
+    document.getElementById('exportCopyBtn').hidden = document.getElementById('exportFormat').value === 'html';
 }
 
-// Utilities
-function parseMarkdown(text) {
-    // Simple markdown parsing
-    return text
-        .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
-        .replace(/`([^`]+)`/g, '<code>$1</code>')
-        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-        .replace(/\n/g, '<br>');
+function conversationExportUrl() {
+    const params = new URLSearchParams({ format: document.getElementById('exportFormat').value });
+    ['tools', 'results', 'thinking'].forEach(option => {
+        if (document.getElementById(`export-${option}`).checked) params.set(option, '1');
+    });
+    return `/api/conversations/${encodeURIComponent(exportSessionId)}/export?${params}`;
 }
 
-function adjustInputHeight() {
-    const input = document.getElementById('messageInput');
-    input.style.height = 'auto';
-    input.style.height = input.scrollHeight + 'px';
+async function downloadConversationExport() {
+    const url = conversationExportUrl();
+    try {
+        const response = await apiFetch(url, { method: 'HEAD' });
+        if (!response.ok) {
+            showToast(response.status === 404 ? 'Conversation not found' : 'Export failed', 'error');
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking export:', error);
+        showToast('Export failed', 'error');
+        return;
+    }
     
-    // Update input area height CSS variable
-    const inputArea = document.querySelector('.input-area');
-    document.documentElement.style.setProperty('--input-area-height', inputArea.offsetHeight + 'px');
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    closeModal('exportModal');
 }
 
-// Event Listeners
-function setupEventListeners() {
-    const input = document.getElementById('messageInput');
-    
-    input.addEventListener('input', adjustInputHeight);
+function copyConversationExport() {
+    const text = apiFetch(conversationExportUrl()).then(response => {
+        if (!response.ok) throw new Error(`Export failed (${response.status})`);
+        return response.text();
+    });
+    // Safari only lets a page write to the clipboard while handling the tap,
+    // so hand it the text still on its way
+    const written = window.ClipboardItem
+        ? navigator.clipboard.write([new ClipboardItem({ 'text/plain': text.then(value => new Blob([value], { type: 'text/plain' })) })])
+        : text.then(value => navigator.clipboard.writeText(value));
+    written.then(() => {
+        showToast('Copied to clipboard');
+        closeModal('exportModal');
+    }).catch(error => {
+        console.error('Error copying export:', error);
+        showToast('Failed to copy', 'error');
+    });
+}
+
+// Import: a JSON export, added to the history as a new conversation
+async function importConversationFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
     
-    input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMessage();
+    try {
+        const response = await apiFetch('/api/conversations/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: file
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const message = response.status === 413 ? 'Too large to import' : (data.error || 'Import failed');
+            showToast(message, 'error');
+            return;
         }
-        // Trigger file picker on @ key
-        if (e.key === '@') {
-            setTimeout(() => {
-                const cursorPos = input.selectionStart;
-                const textBefore = input.value.substring(0, cursorPos);
-                // Check if @ is at word boundary
-                if (textBefore.length === 1 || /\s$/.test(textBefore.slice(-2, -1))) {
+        showToast(`Imported "${data.title}"`);
+        runHistorySearch();
+    } catch (error) {
+        console.error('Error importing conversation:', error);
+        showToast('Import failed', 'error');
+    }
+}
+
+function lastTranscriptElement() {
+    const inner = document.querySelector('#messages .messages-inner');
+    return inner ? inner.lastElementChild : null;
+}
+
+// Messages of a stored conversation carry their position in it; the element
+// one of them added remembers it, so search results can scroll there
+function tagTranscriptElement(previousLast, index) {
+    const last = lastTranscriptElement();
+    if (last && last !== previousLast && last.dataset.messageIndex === undefined) {
+        last.dataset.messageIndex = index;
+    }
+}
+
+// The transcript arrives as a burst of messages; jump once it settles
+function scheduleMessageJump() {
+    clearTimeout(messageJumpTimer);
+    messageJumpTimer = setTimeout(jumpToPendingMessage, 250);
+}
+
+function jumpToPendingMessage() {
+    const jump = pendingMessageJump;
+    if (!jump || !jump.armed) return;
+    if (Date.now() > jump.expires) {
+        pendingMessageJump = null;
+        return;
+    }
+
+    // Messages that show nothing (totals, tokens) have no element; take the
+    // closest one before
+    let target = null;
+    document.querySelectorAll('#messages [data-message-index]').forEach(element => {
+        if (Number(element.dataset.messageIndex) <= jump.index) target = element;
+    });
+    if (!target) return;
+
+    pendingMessageJump = null;
+    target.scrollIntoView({ block: 'center' });
+    target.classList.add('search-hit');
+    setTimeout(() => target.classList.remove('search-hit'), 2000);
+}
+
+// File list update
+// One page of @ picker results; later pages are appended
+function updateFilesList(result) {
+    // A reply to an older search term
+    if (result.searchTerm !== fileSearchTerm) return;
+    
+    currentFiles = result.offset === 0 ? result.files : currentFiles.concat(result.files);
+    fileSearchTotal = result.total;
+    fileSearchLoading = false;
+    renderFileList(currentFiles);
+}
+
+function selectFile(index) {
+    const file = currentFiles[index];
+    const input = document.getElementById('messageInput');
+    
+    input.value += ` @${file.path} `;
+    closeModal('filesModal');
+    input.focus();
+}
+
+// Attachments: files are uploaded as soon as they are picked, shown as chips
+// above the input and sent by id with the next prompt
+let pendingAttachments = []; // { localId, name, previewUrl, id (once uploaded) }
+let attachmentCounter = 0;
+
+function attachmentUrl(id) {
+    return '/api/attachments/' + id.split('/').map(encodeURIComponent).join('/');
+}
+
+function showAttachPicker() {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    document.getElementById('attachInput').click();
+}
+
+function onAttachFilesChosen(input) {
+    Array.from(input.files).forEach(uploadAttachment);
+    input.value = '';
+}
+
+async function uploadAttachment(file) {
+    const attachment = {
+        localId: ++attachmentCounter,
+        name: file.name || 'photo',
+        previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null,
+        id: null
+    };
+    pendingAttachments.push(attachment);
+    renderAttachmentChips();
+    
+    try {
+        const params = new URLSearchParams({ sessionKey: activeSessionKey, name: attachment.name });
+        const response = await apiFetch(`/api/attachments?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Upload failed');
+        
+        attachment.id = data.id;
+        attachment.name = data.name;
+        // Removed while it was uploading
+        if (!pendingAttachments.includes(attachment)) {
+            apiFetch(attachmentUrl(data.id), { method: 'DELETE' }).catch(() => {});
+        }
+    } catch (error) {
+        showToast(`${attachment.name}: ${error.message}`, 'error');
+        dropPendingAttachment(attachment);
+    }
+    renderAttachmentChips();
+}
+
+function removePendingAttachment(localId) {
+    const attachment = pendingAttachments.find(a => a.localId === localId);
+    if (!attachment) return;
+    
+    // A file still uploading is deleted once its upload finishes
+    if (attachment.id) {
+        apiFetch(attachmentUrl(attachment.id), { method: 'DELETE' }).catch(() => {});
+    }
+    dropPendingAttachment(attachment);
+    renderAttachmentChips();
+}
+
+function dropPendingAttachment(attachment) {
+    if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+    pendingAttachments = pendingAttachments.filter(a => a !== attachment);
+}
+
+function clearPendingAttachments() {
+    pendingAttachments.forEach(a => a.previewUrl && URL.revokeObjectURL(a.previewUrl));
+    pendingAttachments = [];
+    renderAttachmentChips();
+}
+
+function renderAttachmentChips() {
+    const container = document.getElementById('attachmentChips');
+    container.hidden = pendingAttachments.length === 0;
+    container.innerHTML = pendingAttachments.map(a => `
+        <div class="attachment-chip${a.id ? '' : ' uploading'}">
+            ${a.previewUrl ? `<img class="attachment-thumb" src="${a.previewUrl}" alt="">` : '<span class="attachment-icon">📄</span>'}
+            <span class="attachment-name">${escapeHtml(a.name)}</span>
+            <button class="attachment-remove" onclick="removePendingAttachment(${a.localId})" aria-label="Remove">×</button>
+        </div>
+    `).join('');
+    adjustInputHeight();
+}
+
+// Files sent with a prompt, shown below it in the transcript
+function addAttachmentsMessage(data) {
+    const messageDiv = addMessage('', 'attachments');
+    messageDiv.querySelector('.message-content').innerHTML = data.files.map(file => {
+        const url = attachmentUrl(file.id);
+        return file.type.startsWith('image/') && file.type !== 'image/svg+xml'
+            ? `<a class="attachment-preview" href="${escapeHtml(url)}" target="_blank" rel="noopener"><img src="${escapeHtml(url)}" alt="${escapeHtml(file.name)}" loading="lazy"></a>`
+            : `<a class="attachment-chip" href="${escapeHtml(url)}" target="_blank" rel="noopener"><span class="attachment-icon">📄</span><span class="attachment-name">${escapeHtml(file.name)}</span></a>`;
+    }).join('');
+}
+
+// Settings
+function showSettings() {
+    closeSidebar();
+    openModal('settingsModal');
+    loadPairedDevices();
+    // The CA certificate only exists when the server runs with TLS
+    document.getElementById('certificateSetting').hidden = window.location.protocol !== 'https:';
+}
+
+async function loadPairedDevices() {
+    const list = document.getElementById('pairedDeviceList');
+    
+    try {
+        const response = await apiFetch('/api/auth/devices');
+        if (!response.ok) return;
+        const data = await response.json();
+        
+        list.innerHTML = data.devices.map(device => {
+            const isSelf = device.id === data.currentDeviceId;
+            const lastSeen = new Date(device.lastSeenAt).toLocaleString();
+            return `
+                <div class="device-item">
+                    <div class="device-info">
+                        <span class="device-name">${escapeHtml(device.name)}${isSelf ? ' (this device)' : ''}</span>
+                        <span class="device-role">Last seen ${lastSeen}</span>
+                    </div>
+                    <div class="device-actions">
+                        <button class="device-action-btn" onclick="renamePairedDevice('${device.id}')">Rename</button>
+                        <button class="device-action-btn danger" onclick="revokePairedDevice('${device.id}', ${isSelf})">Revoke</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading paired devices:', error);
+    }
+}
+
+async function renamePairedDevice(id) {
+    const name = prompt('Device name:');
+    if (!name || !name.trim()) return;
+    
+    try {
+        const response = await apiFetch(`/api/auth/devices/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        if (!response.ok) throw new Error('Failed to rename device');
+        loadPairedDevices();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function revokePairedDevice(id, isSelf) {
+    const question = isSelf ?
+        'Revoke this device? You will need the pairing code to reconnect.' :
+        'Revoke this device? It will be disconnected immediately.';
+    if (!confirm(question)) return;
+    
+    try {
+        const response = await apiFetch(`/api/auth/devices/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to revoke device');
+        
+        if (isSelf) {
+            closeModal('settingsModal');
+            showPairingDialog();
+        } else {
+            loadPairedDevices();
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function updateSettings(settings) {
+    if (settings.selectedModel) {
+        document.getElementById('modelSelect').value = settings.selectedModel;
+    }
+}
+
+function changeModel(model) {
+    if (!isConnected) return;
+    
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        // Put the select back to the model in use
+        ws.send(JSON.stringify({ type: 'getSettings' }));
+        return;
+    }
+    
+    ws.send(JSON.stringify({
+        type: 'selectModel',
+        model: model
+    }));
+    
+    showToast('Model changed');
+}
+
+function changeTheme(theme) {
+    localStorage.setItem('theme', theme);
+    applyTheme(theme);
+}
+
+function loadTheme() {
+    const theme = localStorage.getItem('theme') || 'auto';
+    document.getElementById('themeSelect').value = theme;
+    applyTheme(theme);
+}
+
+function applyTheme(theme) {
+    const root = document.documentElement;
+    
+    // Let CSS handle theme switching based on prefers-color-scheme
+    // The new CSS already has proper dark mode support
+    localStorage.setItem('theme', theme);
+    
+    if (theme === 'dark') {
+        root.setAttribute('data-theme', 'dark');
+    } else if (theme === 'light') {
+        root.setAttribute('data-theme', 'light');
+    } else {
+        root.removeAttribute('data-theme');
+    }
+}
+
+// Quick Actions
+function togglePlanMode() {
+    planMode = !planMode;
+    const button = document.getElementById('planModeBtn');
+    
+    if (planMode) {
+        button.classList.add('active');
+    } else {
+        button.classList.remove('active');
+    }
+}
+
+function toggleThinkingMode() {
+    thinkingMode = !thinkingMode;
+    const button = document.getElementById('thinkingModeBtn');
+    
+    if (thinkingMode) {
+        button.classList.add('active');
+    } else {
+        button.classList.remove('active');
+    }
+}
+
+// Removed voice input function - feature removed
+
+// Modal Functions
+function openModal(modalId) {
+    document.getElementById(modalId).classList.add('open');
+}
+
+function closeModal(modalId) {
+    document.getElementById(modalId).classList.remove('open');
+}
+
+// Toast Notifications
+function showToast(message, type = 'info') {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    
+    container.appendChild(toast);
+    
+    setTimeout(() => {
+        toast.remove();
+    }, 3000);
+}
+
+// Utilities
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function parseMarkdown(text) {
+    // Simple markdown parsing, over escaped text: transcripts can be imported
+    return escapeHtml(text)
+        .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>')
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\n/g, '<br>');
+}
+
+function adjustInputHeight() {
+    const input = document.getElementById('messageInput');
+    input.style.height = 'auto';
+    input.style.height = input.scrollHeight + 'px';
+    
+    // Update input area height CSS variable
+    const inputArea = document.querySelector('.input-area');
+    document.documentElement.style.setProperty('--input-area-height', inputArea.offsetHeight + 'px');
+}
+
+// Event Listeners
+function setupEventListeners() {
+    const input = document.getElementById('messageInput');
+    
+    input.addEventListener('input', adjustInputHeight);
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        }
+        // Trigger file picker on @ key
+        if (e.key === '@') {
+            setTimeout(() => {
+                const cursorPos = input.selectionStart;
+                const textBefore = input.value.substring(0, cursorPos);
+                // Check if @ is at word boundary
+                if (textBefore.length === 1 || /\s$/.test(textBefore.slice(-2, -1))) {
                     showFilePicker();
                 }
             }, 0);
@@ -740,12 +2077,37 @@ function setupEventListeners() {
     // Handle clicks outside modals
     document.querySelectorAll('.modal').forEach(modal => {
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
+            // Pairing can't be dismissed - nothing works until the device is paired
+            if (e.target !== modal || modal.id === 'pairingModal') return;
+            
+            if (modal.id === 'editorModal') {
+                closeEditor();
+            } else {
                 modal.classList.remove('open');
             }
         });
     });
     
+    // Editor: keep line numbers aligned, Ctrl/Cmd+S saves, Enter finds next
+    const editorTextarea = document.getElementById('editorTextarea');
+    editorTextarea.addEventListener('scroll', () => {
+        document.getElementById('editorGutter').scrollTop = editorTextarea.scrollTop;
+    });
+    editorTextarea.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+            e.preventDefault();
+            saveEditorFile();
+        }
+    });
+    document.getElementById('editorSearchInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            editorFind(e.shiftKey ? -1 : 1);
+        } else if (e.key === 'Escape') {
+            toggleEditorSearch();
+        }
+    });
+    
     // Handle swipe gestures
     let touchStartX = 0;
     let touchEndX = 0;
@@ -828,13 +2190,18 @@ function showPermissionDialog(data) {
 }
 
 function respondToPermission(id, approved, alwaysAllow) {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
     // Send response
-    ws.send(JSON.stringify({
+    sendSessionMessage({
         type: 'permissionResponse',
         id: id,
         approved: approved,
         alwaysAllow: alwaysAllow
-    }));
+    });
     
     // Update UI
     const permissionDiv = document.getElementById(`permission-${id}`);
@@ -849,18 +2216,49 @@ function respondToPermission(id, approved, alwaysAllow) {
     }
 }
 
-function updatePermissionsList(permissions) {
-    // This will be used in settings modal later
-    console.log('Current permissions:', permissions);
+// Claude stopped before the request was answered
+function dismissPermissionDialog(id) {
+    const permissionDiv = document.getElementById(`permission-${id}`);
+    if (!permissionDiv || permissionDiv.querySelector('.permission-result')) return;
+    
+    const resultDiv = document.createElement('div');
+    resultDiv.className = 'permission-result';
+    resultDiv.textContent = 'No longer needed';
+    permissionDiv.appendChild(resultDiv);
+    permissionDiv.querySelectorAll('button').forEach(btn => btn.disabled = true);
+}
+
+function updatePermissionsList(permissions) {
+    // This will be used in settings modal later
+    console.log('Current permissions:', permissions);
 }
 
 // File Picker Functions
-function showFilePicker() {
-    // Request workspace files from backend
+let fileSearchTerm = '';
+let fileSearchTotal = 0;
+let fileSearchLoading = false;
+
+function requestWorkspaceFiles(searchTerm, offset = 0) {
+    fileSearchTerm = searchTerm;
+    fileSearchLoading = true;
     ws.send(JSON.stringify({
         type: 'getWorkspaceFiles',
-        searchTerm: ''
+        searchTerm,
+        offset
     }));
+}
+
+// Next page once the list is scrolled near its end
+function onFilesListScroll(list) {
+    if (fileSearchLoading || currentFiles.length >= fileSearchTotal) return;
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - 200) {
+        requestWorkspaceFiles(fileSearchTerm, currentFiles.length);
+    }
+}
+
+function showFilePicker() {
+    // Request workspace files from backend; recently edited ones come first
+    requestWorkspaceFiles('');
     
     // Show modal
     const modal = document.getElementById('filesModal');
@@ -895,219 +2293,1520 @@ function insertFileReference(file) {
         insertText = '@' + file.path + ' ';
     }
     
-    input.value = textBefore + insertText + textAfter;
+    input.value = textBefore + insertText + textAfter;
+    
+    // Set cursor position after the inserted path
+    const newCursorPos = textBefore.length + insertText.length;
+    input.setSelectionRange(newCursorPos, newCursorPos);
+    
+    input.focus();
+    adjustInputHeight();
+}
+
+function searchFiles(searchTerm) {
+    requestWorkspaceFiles(searchTerm.trim());
+    document.getElementById('filesList').scrollTop = 0;
+    selectedFileIndex = -1;
+}
+
+function selectFileAtIndex(index) {
+    if (index >= 0 && index < currentFiles.length && filePickerCallback) {
+        filePickerCallback(currentFiles[index]);
+    }
+}
+
+function renderFileList(files) {
+    const filesList = document.getElementById('filesList');
+    const scrollTop = filesList.scrollTop;
+    filesList.innerHTML = '';
+    
+    currentFiles = files;
+    
+    if (files.length === 0) {
+        filesList.innerHTML = '<div class="no-files">No files found</div>';
+        return;
+    }
+    
+    files.forEach((file, index) => {
+        const fileItem = document.createElement('div');
+        fileItem.className = 'file-item';
+        if (index === selectedFileIndex) {
+            fileItem.classList.add('selected');
+        }
+        
+        fileItem.innerHTML = `
+            <span class="file-icon">${getFileIcon(file.name)}</span>
+            <div class="file-info">
+                <div class="file-name">${escapeHtml(file.path)}</div>
+            </div>
+            <button class="icon-btn file-edit-btn" aria-label="Edit file">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M12 20h9M16.5 3.5a2.12 2.12 0 013 3L7 19l-4 1 1-4 12.5-12.5z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                </svg>
+            </button>
+        `;
+        
+        fileItem.querySelector('.file-edit-btn').onclick = (e) => {
+            e.stopPropagation();
+            closeModal('filesModal');
+            openFileEditor(file.path);
+        };
+        
+        fileItem.onclick = () => {
+            selectedFileIndex = index;
+            selectFileAtIndex(index);
+        };
+        
+        filesList.appendChild(fileItem);
+    });
+    
+    if (files.length < fileSearchTotal) {
+        filesList.insertAdjacentHTML('beforeend',
+            `<div class="no-files">Showing ${files.length} of ${fileSearchTotal} files</div>`);
+    }
+    filesList.scrollTop = scrollTop;
+}
+
+function getFileIcon(filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    
+    // Return empty string - let CSS handle the icon
+    return '';
+}
+
+// Slash Commands
+const defaultSlashCommands = [
+    // Development
+    { command: '/plan', description: 'Create a plan before implementing', category: 'development' },
+    { command: '/think', description: 'Enable thinking mode', category: 'development' },
+    { command: '/review', description: 'Review code changes', category: 'development' },
+    { command: '/test', description: 'Write or run tests', category: 'development' },
+    { command: '/fix', description: 'Fix bugs or issues', category: 'development' },
+    { command: '/refactor', description: 'Refactor code', category: 'development' },
+    
+    // Analysis
+    { command: '/explain', description: 'Explain code or concepts', category: 'analysis' },
+    { command: '/analyze', description: 'Analyze code or performance', category: 'analysis' },
+    { command: '/search', description: 'Search codebase', category: 'analysis' },
+    { command: '/edit', description: 'Edit a project file', category: 'development' },
+    
+    // Session
+    { command: '/new', description: 'Start new session', category: 'session' },
+    { command: '/clear', description: 'Clear conversation', category: 'session' },
+    { command: '/model', description: 'Change model', category: 'session' },
+    { command: '/status', description: 'Show session status', category: 'session' },
+    { command: '/cost', description: 'Show cost breakdown', category: 'session' },
+    { command: '/exit', description: 'Exit Claude', category: 'session' }
+];
+
+function showSlashCommands() {
+    allSlashCommands = defaultSlashCommands;
+    filteredSlashCommands = allSlashCommands;
+    selectedCommandIndex = -1;
+    
+    renderSlashCommands();
+    
+    const modal = document.getElementById('slashCommandsModal');
+    modal.classList.add('open');
+    
+    const searchInput = document.getElementById('slashSearch');
+    searchInput.value = '';
+    searchInput.focus();
+}
+
+function filterSlashCommands(searchTerm) {
+    if (!searchTerm) {
+        filteredSlashCommands = allSlashCommands;
+    } else {
+        const term = searchTerm.toLowerCase();
+        filteredSlashCommands = allSlashCommands.filter(cmd => 
+            cmd.command.includes(term) || cmd.description.toLowerCase().includes(term)
+        );
+    }
+    selectedCommandIndex = -1;
+    renderSlashCommands();
+}
+
+function renderSlashCommands() {
+    const commandsList = document.getElementById('slashCommandsList');
+    commandsList.innerHTML = '';
+    
+    if (filteredSlashCommands.length === 0) {
+        commandsList.innerHTML = '<div class="no-commands">No commands found</div>';
+        return;
+    }
+    
+    // Group by category
+    const categories = {
+        'development': 'Development',
+        'analysis': 'Analysis',
+        'session': 'Session'
+    };
+    
+    Object.entries(categories).forEach(([category, title]) => {
+        const commands = filteredSlashCommands.filter(cmd => cmd.category === category);
+        if (commands.length === 0) return;
+        
+        const section = document.createElement('div');
+        section.className = 'slash-section';
+        section.innerHTML = `<h3>${title}</h3>`;
+        
+        commands.forEach((cmd, index) => {
+            const globalIndex = filteredSlashCommands.indexOf(cmd);
+            const item = document.createElement('div');
+            item.className = 'slash-item';
+            if (globalIndex === selectedCommandIndex) {
+                item.classList.add('selected');
+            }
+            
+            item.innerHTML = `
+                <div class="slash-info">
+                    <div class="slash-command">${cmd.command}</div>
+                    <div class="slash-description">${cmd.description}</div>
+                </div>
+            `;
+            
+            item.onclick = () => {
+                selectSlashCommand(cmd);
+            };
+            
+            section.appendChild(item);
+        });
+        
+        commandsList.appendChild(section);
+    });
+}
+
+function selectSlashCommand(cmd) {
+    const input = document.getElementById('messageInput');
+    
+    // Check if we should replace existing slash command
+    const currentValue = input.value;
+    const slashMatch = currentValue.match(/^\/\w*\s*/);
+    
+    if (slashMatch) {
+        // Replace existing slash command
+        input.value = cmd.command + ' ' + currentValue.substring(slashMatch[0].length);
+    } else {
+        // Add slash command at start
+        input.value = cmd.command + ' ' + currentValue;
+    }
+    
+    // Set cursor after command
+    const newPos = cmd.command.length + 1;
+    input.setSelectionRange(newPos, newPos);
+    
+    closeModal('slashCommandsModal');
+    input.focus();
+    adjustInputHeight();
+}
+
+function executeSlashCommand(command, args) {
+    // Handle local slash commands
+    switch (command) {
+        case '/new':
+            newSession();
+            return true;
+        case '/clear':
+            clearMessages();
+            return true;
+        case '/plan':
+            planMode = true;
+            togglePlanMode();
+            return true;
+        case '/think':
+            thinkingMode = true;
+            toggleThinkingMode();
+            return true;
+        case '/edit':
+            if (!args.trim()) {
+                showToast('Usage: /edit <path>', 'error');
+            } else {
+                openFileEditor(args.trim(), { create: true });
+            }
+            return true;
+        default:
+            // Send to backend
+            return false;
+    }
+}
+
+// File browser
+const fileBrowserState = {
+    root: '',              // folder the tree starts at (breadcrumbs)
+    sort: 'name',
+    expanded: new Set(),   // expanded folder paths
+    listings: new Map(),   // folder path -> items, loaded on first expand
+    actionsFor: null       // path whose Download/Share actions are shown
+};
+
+function resetFileBrowser() {
+    fileBrowserState.root = '';
+    fileBrowserState.expanded.clear();
+    fileBrowserState.listings.clear();
+    fileBrowserState.actionsFor = null;
+    preparedShares.clear();
+}
+
+function showFileBrowser() {
+    closeSidebar();
+    fileBrowserState.listings.clear();
+    openModal('fileBrowserModal');
+    openFileFolder(fileBrowserState.root);
+}
+
+function openFileFolder(folderPath) {
+    fileBrowserState.root = folderPath;
+    renderFileBreadcrumbs();
+    loadFileFolder(folderPath);
+}
+
+async function loadFileFolder(folderPath) {
+    if (!fileBrowserState.listings.has(folderPath)) {
+        try {
+            const response = await apiFetch(`/api/files?path=${encodeURIComponent(folderPath)}`);
+            const data = await response.json();
+            
+            if (!response.ok || data.type !== 'directory') {
+                showToast(data.error || 'Could not open folder', 'error');
+                fileBrowserState.expanded.delete(folderPath);
+                if (folderPath === fileBrowserState.root && folderPath) {
+                    openFileFolder('');
+                }
+                return;
+            }
+            fileBrowserState.listings.set(folderPath, data.items);
+        } catch (error) {
+            console.error('Error loading folder:', error);
+            showToast('Could not open folder', 'error');
+            return;
+        }
+    }
+    renderFileTree();
+}
+
+function setFileSort(sort) {
+    fileBrowserState.sort = sort;
+    renderFileTree();
+}
+
+function sortFileItems(items) {
+    const sort = fileBrowserState.sort;
+    return items.slice().sort((a, b) => {
+        // Folders first, then by the chosen key (newest/largest first)
+        if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+        if (sort === 'mtime') return new Date(b.mtime) - new Date(a.mtime);
+        if (sort === 'size' && a.type === 'file') return b.size - a.size;
+        return a.name.localeCompare(b.name, undefined, { numeric: true });
+    });
+}
+
+function renderFileBreadcrumbs() {
+    const parts = fileBrowserState.root ? fileBrowserState.root.split('/') : [];
+    const crumbs = [`<button class="file-crumb" data-action="root" data-path="">${escapeHtml(currentProject ? currentProject.split('/').pop() : 'Project')}</button>`];
+    
+    parts.forEach((part, index) => {
+        const crumbPath = parts.slice(0, index + 1).join('/');
+        crumbs.push(`<span class="file-crumb-sep">/</span><button class="file-crumb" data-action="root" data-path="${escapeHtml(crumbPath)}">${escapeHtml(part)}</button>`);
+    });
+    
+    document.getElementById('fileBreadcrumbs').innerHTML = crumbs.join('');
+}
+
+function renderFileTree() {
+    const tree = document.getElementById('fileTree');
+    const items = fileBrowserState.listings.get(fileBrowserState.root);
+    
+    if (!items) {
+        tree.innerHTML = '<div class="no-files">Loading...</div>';
+        return;
+    }
+    if (items.length === 0) {
+        tree.innerHTML = '<div class="no-files">Empty folder</div>';
+        return;
+    }
+    
+    tree.innerHTML = renderFileTreeRows(items, 0);
+}
+
+function renderFileTreeRows(items, depth) {
+    return sortFileItems(items).map(item => {
+        const isFolder = item.type === 'directory';
+        const isOpen = isFolder && fileBrowserState.expanded.has(item.path);
+        const meta = [isFolder ? '' : formatFileSize(item.size), formatRelativeTime(item.mtime)].filter(Boolean).join(' · ');
+        
+        let row = `
+            <div class="file-tree-row ${isFolder ? 'folder' : ''} ${isOpen ? 'open' : ''}" 
+                 data-action="${isFolder ? 'toggle' : 'view'}" data-path="${escapeHtml(item.path)}" 
+                 style="padding-left: calc(var(--space-3) + ${depth} * var(--space-4))">
+                <span class="file-tree-icon">${isFolder ? '▸' : ''}</span>
+                <span class="file-tree-name">${escapeHtml(item.name)}${item.symlink ? ' <span class="file-tree-link">↗</span>' : ''}</span>
+                <span class="file-tree-meta">${meta}</span>
+                <button class="icon-btn file-tree-more" data-action="actions" data-path="${escapeHtml(item.path)}" aria-label="More actions">⋯</button>
+                ${isFolder ? `<button class="icon-btn file-tree-enter" data-action="root" data-path="${escapeHtml(item.path)}" aria-label="Open folder">›</button>` : ''}
+            </div>
+        `;
+        
+        if (fileBrowserState.actionsFor === item.path) {
+            row += renderFileActions(item, depth);
+        }
+        
+        if (isOpen) {
+            const children = fileBrowserState.listings.get(item.path);
+            if (!children) {
+                row += `<div class="file-tree-row placeholder" style="padding-left: calc(var(--space-3) + ${depth + 1} * var(--space-4))">Loading...</div>`;
+            } else if (children.length === 0) {
+                row += `<div class="file-tree-row placeholder" style="padding-left: calc(var(--space-3) + ${depth + 1} * var(--space-4))">Empty</div>`;
+            } else {
+                row += renderFileTreeRows(children, depth + 1);
+            }
+        }
+        return row;
+    }).join('');
+}
+
+// One click handler for the tree and breadcrumbs; rows carry their action
+function onFileTreeClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+    
+    const itemPath = target.dataset.path;
+    switch (target.dataset.action) {
+        case 'root':
+            event.stopPropagation();
+            openFileFolder(itemPath);
+            break;
+        case 'toggle':
+            if (fileBrowserState.expanded.has(itemPath)) {
+                fileBrowserState.expanded.delete(itemPath);
+                renderFileTree();
+            } else {
+                fileBrowserState.expanded.add(itemPath);
+                renderFileTree();
+                loadFileFolder(itemPath);
+            }
+            break;
+        case 'view':
+            openFileViewer(itemPath);
+            break;
+        case 'actions':
+            event.stopPropagation();
+            fileBrowserState.actionsFor = fileBrowserState.actionsFor === itemPath ? null : itemPath;
+            renderFileTree();
+            break;
+        case 'download':
+            downloadProjectPath(itemPath);
+            break;
+        case 'share':
+            shareProjectPath(itemPath, target.dataset.folder === 'true', target);
+            break;
+    }
+}
+
+// Files shared from the phone need the Web Share API with file support
+// (Safari and Chrome on phones, over HTTPS)
+const canShareFiles = !!(navigator.share && navigator.canShare);
+
+// Files fetched for sharing whose first share was refused, by path
+const preparedShares = new Map();
+
+function renderFileActions(item, depth) {
+    const label = item.type === 'directory' ? 'Download .zip' : 'Download';
+    const shareLabel = preparedShares.has(item.path) ? 'Tap to share' : 'Share';
+    return `
+        <div class="file-tree-actions" style="padding-left: calc(var(--space-3) + ${depth + 1} * var(--space-4))">
+            <button class="device-action-btn" data-action="download" data-path="${escapeHtml(item.path)}">${label}</button>
+            ${canShareFiles ? `<button class="device-action-btn" data-action="share" data-path="${escapeHtml(item.path)}" data-folder="${item.type === 'directory'}">${shareLabel}</button>` : ''}
+        </div>
+    `;
+}
+
+// A file as-is, a folder as a zip; '' is the whole project
+function downloadUrl(itemPath) {
+    return '/api/download/' + itemPath.split('/').map(encodeURIComponent).join('/');
+}
+
+function downloadErrorMessage(status) {
+    if (status === 413) return 'Too large to download';
+    if (status === 403) return 'Access denied';
+    if (status === 404) return 'File not found';
+    return 'Download failed';
+}
+
+async function downloadProjectPath(itemPath) {
+    const url = downloadUrl(itemPath);
+    try {
+        // Check first, so a refusal shows as a message rather than a page of JSON
+        const response = await apiFetch(url, { method: 'HEAD' });
+        if (!response.ok) {
+            showToast(downloadErrorMessage(response.status), 'error');
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking download:', error);
+        showToast('Download failed', 'error');
+        return;
+    }
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+async function shareProjectPath(itemPath, isFolder, button) {
+    let file = preparedShares.get(itemPath);
+    preparedShares.delete(itemPath);
+    
+    if (!file) {
+        const baseName = itemPath ? itemPath.split('/').pop() : (currentProject ? currentProject.split('/').pop() : 'project');
+        button.disabled = true;
+        button.textContent = 'Preparing...';
+        try {
+            const response = await apiFetch(downloadUrl(itemPath));
+            if (!response.ok) {
+                showToast(downloadErrorMessage(response.status), 'error');
+                return;
+            }
+            const blob = await response.blob();
+            const name = isFolder ? `${baseName}.zip` : baseName;
+            file = new File([blob], name, { type: blob.type || 'application/octet-stream' });
+        } catch (error) {
+            console.error('Error preparing share:', error);
+            showToast('Could not share', 'error');
+            return;
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Share';
+        }
+    }
+    
+    if (!navigator.canShare({ files: [file] })) {
+        showToast('This file cannot be shared from here; downloading instead');
+        downloadProjectPath(itemPath);
+        return;
+    }
+    try {
+        await navigator.share({ files: [file], title: file.name });
+    } catch (error) {
+        if (error.name === 'NotAllowedError') {
+            // Fetching took too long for the browser to count the tap; the
+            // next tap shares straight away
+            preparedShares.set(itemPath, file);
+            button.textContent = 'Tap to share';
+        } else if (error.name !== 'AbortError') {
+            console.error('Error sharing:', error);
+            showToast('Could not share', 'error');
+        }
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatRelativeTime(iso) {
+    const seconds = Math.round((Date.now() - new Date(iso)) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)}d ago`;
+    return new Date(iso).toLocaleDateString();
+}
+
+// Files changed on disk (by Claude, a build, another machine): open views
+// reload what they show. A truncated report means too much changed to list.
+function onFilesChanged(report) {
+    const isOpen = (modalId) => document.getElementById(modalId).classList.contains('open');
+    const touches = (filePath) => report.truncated || report.changes.some(change =>
+        change.path === filePath || (change.directory && filePath.startsWith(change.path + '/')));
+    
+    if (isOpen('fileBrowserModal')) {
+        refreshFileBrowser(report);
+    }
+    if (isOpen('fileViewerModal') && viewedFilePath && touches(viewedFilePath)) {
+        refreshFileViewer();
+    }
+    if (isOpen('gitModal')) {
+        if (gitState.tab === 'changes') loadGitStatus();
+        else if (report.git && gitState.tab === 'history') loadGitLog(false);
+        else if (report.git) loadGitBranches();
+    }
+    if (isOpen('filesModal')) {
+        requestWorkspaceFiles(fileSearchTerm);
+    }
+}
+
+function refreshFileBrowser(report) {
+    const { listings, expanded } = fileBrowserState;
+    const stale = new Set();
+    
+    if (report.truncated) {
+        listings.forEach((items, folder) => stale.add(folder));
+    } else {
+        for (const change of report.changes) {
+            stale.add(change.path.includes('/') ? change.path.slice(0, change.path.lastIndexOf('/')) : '');
+            if (change.directory && change.kind === 'deleted') {
+                // Forget the folder and everything opened below it
+                const gone = (folder) => folder === change.path || folder.startsWith(change.path + '/');
+                Array.from(listings.keys()).filter(gone).forEach(folder => listings.delete(folder));
+                Array.from(expanded).filter(gone).forEach(folder => expanded.delete(folder));
+                if (gone(fileBrowserState.root)) openFileFolder('');
+            }
+        }
+    }
+    
+    // Reload the folders on screen; others are loaded again when opened
+    for (const folder of stale) {
+        if (!listings.has(folder)) continue;
+        listings.delete(folder);
+        if (folder === fileBrowserState.root || expanded.has(folder)) loadFileFolder(folder);
+    }
+}
+
+// Reload the viewed file in place, keeping the scroll position
+async function refreshFileViewer() {
+    const body = document.getElementById('fileViewerBody');
+    const scrollTop = body.scrollTop;
+    await openFileViewer(viewedFilePath);
+    body.scrollTop = scrollTop;
+}
+
+// File viewer
+let viewedFilePath = null;
+
+// Files above this size are shown without highlighting
+const HIGHLIGHT_MAX_BYTES = 200 * 1024;
+
+// line - scrolled to and highlighted once the file is shown
+async function openFileViewer(filePath, line = null) {
+    viewedFilePath = filePath;
+    const body = document.getElementById('fileViewerBody');
+    document.getElementById('fileViewerTitle').textContent = filePath;
+    document.getElementById('fileViewerMeta').textContent = '';
+    document.getElementById('fileViewerEditBtn').hidden = true;
+    body.innerHTML = '<div class="no-files">Loading...</div>';
+    openModal('fileViewerModal');
+    
+    try {
+        const response = await apiFetch(`/api/file/${encodeFilePath(filePath)}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            body.innerHTML = `<div class="no-files">${escapeHtml(data.error || 'Could not open file')}</div>`;
+            return;
+        }
+        
+        document.getElementById('fileViewerMeta').textContent = `${formatFileSize(data.size)} · ${formatRelativeTime(data.mtime)}`;
+        if (data.binary) {
+            body.innerHTML = '<div class="no-files">Binary file - no preview</div>';
+            return;
+        }
+        
+        document.getElementById('fileViewerEditBtn').hidden = false;
+        body.innerHTML = renderCodeLines(data.content, data.size <= HIGHLIGHT_MAX_BYTES ? languageForFile(filePath) : null);
+        
+        const target = line && body.querySelectorAll('.code-line')[line - 1];
+        if (target) {
+            target.classList.add('highlighted');
+            target.scrollIntoView({ block: 'center' });
+        }
+    } catch (error) {
+        console.error('Error opening file:', error);
+        body.innerHTML = '<div class="no-files">Could not open file</div>';
+    }
+}
+
+function editViewedFile() {
+    closeModal('fileViewerModal');
+    openFileEditor(viewedFilePath);
+}
+
+function renderCodeLines(content, language) {
+    const lines = language ? highlightCode(content, language) : content.split('\n').map(escapeHtml);
+    return `<div class="code-view">${lines.map((line, i) =>
+        `<div class="code-line"><span class="code-ln">${i + 1}</span><span class="code-text">${line || ' '}</span></div>`
+    ).join('')}</div>`;
+}
+
+// Minimal syntax highlighting: comments, strings, numbers and keywords for
+// a few language families. Good enough to read code on a phone.
+const CODE_LANGUAGES = {
+    c: {
+        extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'json', 'java', 'c', 'h', 'cpp', 'hpp', 'cc', 'cs', 'go', 'rs', 'swift', 'kt', 'css', 'scss', 'php'],
+        comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+        keywords: 'async await break case catch class const continue default delete do else enum export extends false finally fn for func function go if impl import in instanceof interface let match mod new null nil package private protected public return self static struct super switch this throw true try type typeof undefined use var void while yield'
+    },
+    hash: {
+        extensions: ['py', 'rb', 'sh', 'bash', 'zsh', 'yml', 'yaml', 'toml', 'conf', 'ini', 'dockerfile', 'makefile', 'r', 'pl'],
+        comment: /#[^\n]*/,
+        keywords: 'and as assert begin break case class def del do done elif else end esac except export false fi finally for from function if import in is lambda local module nil none not or pass raise require return self then true try unless until while with yield'
+    },
+    markup: {
+        extensions: ['html', 'htm', 'xml', 'svg', 'vue', 'md'],
+        comment: /<!--[\s\S]*?-->/,
+        keywords: ''
+    }
+};
+
+function languageForFile(filePath) {
+    const name = filePath.split('/').pop().toLowerCase();
+    const ext = name.includes('.') ? name.split('.').pop() : name;
+    return Object.keys(CODE_LANGUAGES).find(key => CODE_LANGUAGES[key].extensions.includes(ext)) || null;
+}
+
+// Returns one HTML string per line; tokens spanning lines are split so every
+// line stays balanced
+function highlightCode(content, language) {
+    const lang = CODE_LANGUAGES[language];
+    const keywords = new Set(lang.keywords.split(' '));
+    const pattern = new RegExp([
+        `(${lang.comment.source})`,
+        '("(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)',
+        '(\\b0x[\\da-f]+\\b|\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b)',
+        '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'gi');
+    
+    const lines = [''];
+    const push = (text, cls) => {
+        text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            const html = escapeHtml(part);
+            lines[lines.length - 1] += cls ? `<span class="tok-${cls}">${html}</span>` : html;
+        });
+    };
+    
+    let last = 0;
+    for (const match of content.matchAll(pattern)) {
+        push(content.slice(last, match.index));
+        if (match[1]) push(match[0], 'comment');
+        else if (match[2]) push(match[0], 'string');
+        else if (match[3]) push(match[0], 'number');
+        else push(match[0], keywords.has(match[0]) ? 'keyword' : null);
+        last = match.index + match[0].length;
+    }
+    push(content.slice(last));
+    return lines;
+}
+
+// Code search: results stream in as the server searches, grouped by file
+const codeSearchState = {
+    options: { case: false, word: false, regex: false },
+    controller: null,
+    timer: null,
+    groups: new Map() // path -> { element, lines: [] }
+};
+
+function showCodeSearch() {
+    closeSidebar();
+    openModal('codeSearchModal');
+    document.getElementById('codeSearchQuery').focus();
+}
+
+function toggleCodeSearchOption(button) {
+    const option = button.dataset.option;
+    codeSearchState.options[option] = !codeSearchState.options[option];
+    button.setAttribute('aria-pressed', String(codeSearchState.options[option]));
+    runCodeSearch();
+}
+
+// Search once typing pauses
+function scheduleCodeSearch() {
+    clearTimeout(codeSearchState.timer);
+    codeSearchState.timer = setTimeout(runCodeSearch, 300);
+}
+
+async function runCodeSearch() {
+    clearTimeout(codeSearchState.timer);
+    if (codeSearchState.controller) codeSearchState.controller.abort();
+    codeSearchState.controller = null;
+    codeSearchState.groups.clear();
+    
+    const query = document.getElementById('codeSearchQuery').value;
+    const results = document.getElementById('codeSearchResults');
+    const status = document.getElementById('codeSearchStatus');
+    results.innerHTML = '';
+    status.textContent = '';
+    if (!query) return;
+    
+    const { options } = codeSearchState;
+    const params = new URLSearchParams({ q: query });
+    if (options.case) params.set('case', '1');
+    if (options.word) params.set('word', '1');
+    if (options.regex) params.set('regex', '1');
+    const include = document.getElementById('codeSearchInclude').value.trim();
+    const exclude = document.getElementById('codeSearchExclude').value.trim();
+    if (include) params.set('include', include);
+    if (exclude) params.set('exclude', exclude);
+    
+    const controller = codeSearchState.controller = new AbortController();
+    status.textContent = 'Searching...';
+    
+    try {
+        const response = await apiFetch(`/api/search?${params}`, { signal: controller.signal });
+        if (!response.ok) {
+            const data = await response.json();
+            status.textContent = '';
+            results.innerHTML = `<div class="no-files">${escapeHtml(data.error || 'Search failed')}</div>`;
+            return;
+        }
+        
+        // Newline-delimited JSON; a chunk may end part-way through a line
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.filter(Boolean).forEach(line => onCodeSearchEvent(JSON.parse(line)));
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Search failed:', error);
+        status.textContent = 'Search failed';
+    }
+}
+
+function onCodeSearchEvent(event) {
+    const status = document.getElementById('codeSearchStatus');
+    if (event.type === 'match') {
+        addCodeSearchMatch(event);
+        return;
+    }
+    if (event.type === 'error') {
+        status.textContent = event.error;
+        return;
+    }
+    
+    const summary = `${event.matches} match${event.matches === 1 ? '' : 'es'} in ${event.files} file${event.files === 1 ? '' : 's'}`;
+    status.textContent = event.timedOut ? `${summary} · timed out` : event.truncated ? `${summary} · stopped at the limit` : summary;
+    if (event.matches === 0) {
+        document.getElementById('codeSearchResults').innerHTML = '<div class="no-files">No matches</div>';
+    }
+}
+
+function addCodeSearchMatch(match) {
+    let group = codeSearchState.groups.get(match.path);
+    if (!group) {
+        const element = document.createElement('div');
+        element.className = 'code-search-file';
+        element.innerHTML = `
+            <div class="code-search-file-header">
+                <span class="git-file-path">${escapeHtml(match.path)}</span>
+                <span class="code-search-count"></span>
+                <button class="device-action-btn" data-action="reference" data-path="${escapeHtml(match.path)}" title="Reference the matched lines">@</button>
+            </div>
+        `;
+        document.getElementById('codeSearchResults').appendChild(element);
+        group = { element, lines: [] };
+        codeSearchState.groups.set(match.path, group);
+    }
+    
+    group.lines.push(match.line);
+    group.element.querySelector('.code-search-count').textContent = group.lines.length;
+    group.element.insertAdjacentHTML('beforeend', `
+        <div class="code-search-hit" data-action="open" data-path="${escapeHtml(match.path)}" data-line="${match.line}">
+            <span class="code-ln">${match.line}</span>
+            <span class="code-search-preview">${highlightRanges(match.preview, match.ranges)}</span>
+            <button class="device-action-btn" data-action="reference" data-path="${escapeHtml(match.path)}" data-line="${match.line}" title="Reference this line">@</button>
+        </div>
+    `);
+}
+
+function highlightRanges(text, ranges) {
+    let html = '';
+    let last = 0;
+    for (const [start, end] of ranges) {
+        if (start < last) continue;
+        html += escapeHtml(text.slice(last, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        last = end;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+function onCodeSearchClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target) return;
+    event.stopPropagation();
+    
+    const { action, path: filePath } = target.dataset;
+    if (action === 'open') {
+        openFileViewer(filePath, Number(target.dataset.line));
+        return;
+    }
+    
+    // "@path#L12" for one hit, "@path#L12-40" spanning a file's hits
+    let start = Number(target.dataset.line);
+    let end = start;
+    if (!target.dataset.line) {
+        const lines = codeSearchState.groups.get(filePath).lines;
+        start = Math.min(...lines);
+        end = Math.max(...lines);
+    }
+    closeModal('codeSearchModal');
+    insertFileReference({ path: `${filePath}#L${start}${end !== start ? `-${end}` : ''}` });
+}
+
+// Git panel
+const gitState = {
+    tab: 'changes',
+    status: null,
+    commits: [],
+    hasMore: false,
+    branches: []
+};
+
+// Diffs longer than this are cut off - a phone can't scroll through more
+const DIFF_MAX_LINES = 5000;
+
+function showGitPanel() {
+    closeSidebar();
+    openModal('gitModal');
+    showGitTab(gitState.tab);
+}
+
+function showGitTab(tab) {
+    gitState.tab = tab;
+    document.querySelectorAll('.git-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+        button.setAttribute('aria-selected', button.dataset.tab === tab);
+    });
+    document.getElementById('gitCommitBox').hidden = tab !== 'changes';
+    document.getElementById('gitBody').innerHTML = '<div class="no-files">Loading...</div>';
+    
+    if (tab === 'changes') loadGitStatus();
+    else if (tab === 'history') loadGitLog(false);
+    else loadGitBranches();
+}
+
+// GET, or POST when a body is given. Returns the parsed response, or null
+// after reporting the error.
+async function gitRequest(url, body) {
+    if (body !== undefined && !isController()) {
+        showToast('Another device is in control', 'error');
+        return null;
+    }
+    
+    try {
+        const options = body === undefined ? {} : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        };
+        const response = await apiFetch(url, options);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            if (data.code === 'NOT_A_REPO') {
+                document.getElementById('gitBody').innerHTML = '<div class="no-files">This project is not a git repository</div>';
+                document.getElementById('gitCommitBox').hidden = true;
+            } else {
+                showToast(data.error || 'Git command failed', 'error');
+            }
+            return null;
+        }
+        return data;
+    } catch (error) {
+        console.error('Git request failed:', error);
+        showToast('Git command failed', 'error');
+        return null;
+    }
+}
+
+async function loadGitStatus() {
+    const status = await gitRequest('/api/git/status');
+    if (status) renderGitStatus(status);
+}
+
+function renderGitStatus(status) {
+    gitState.status = status;
+    
+    const tracking = [
+        status.upstream ? `→ ${status.upstream}` : '',
+        status.ahead ? `↑${status.ahead}` : '',
+        status.behind ? `↓${status.behind}` : ''
+    ].filter(Boolean).join(' ');
+    document.getElementById('gitBranchInfo').textContent = `${status.branch || 'detached HEAD'} ${tracking}`.trim();
+    
+    if (gitState.tab !== 'changes') return;
+    
+    const staged = status.files.filter(f => f.staged);
+    const changed = status.files.filter(f => f.unstaged && !f.untracked);
+    const untracked = status.files.filter(f => f.untracked);
+    document.getElementById('gitCommitBtn').disabled = staged.length === 0;
+    
+    if (status.files.length === 0) {
+        document.getElementById('gitBody').innerHTML = '<div class="no-files">Working tree clean</div>';
+        return;
+    }
+    
+    document.getElementById('gitBody').innerHTML = [
+        renderGitSection('Staged', staged, true, 'unstage-all', 'Unstage all'),
+        renderGitSection('Changes', changed, false, 'stage-all', 'Stage all'),
+        renderGitSection('Untracked', untracked, false, 'stage-all', 'Stage all')
+    ].join('');
+}
+
+function renderGitSection(title, files, staged, bulkAction, bulkLabel) {
+    if (files.length === 0) return '';
+    
+    const paths = escapeHtml(JSON.stringify(files.map(f => f.path)));
+    const rows = files.map(file => {
+        const code = staged ? file.index : file.worktree;
+        const slash = file.path.lastIndexOf('/');
+        const dir = slash >= 0 ? file.path.slice(0, slash + 1) : '';
+        const name = file.path.slice(slash + 1);
+        const filePath = escapeHtml(file.path);
+        
+        return `
+            <div class="git-file" data-action="diff" data-path="${filePath}" data-staged="${staged ? 1 : 0}">
+                <span class="git-code git-code-${code === '?' ? 'U' : code}">${code === '?' ? 'U' : escapeHtml(code)}</span>
+                <span class="git-file-path"><span class="git-file-dir">${escapeHtml(dir)}</span>${escapeHtml(name)}${file.origPath ? ` <span class="git-file-dir">← ${escapeHtml(file.origPath)}</span>` : ''}</span>
+                ${staged
+                    ? `<button class="icon-btn controller-only" data-action="unstage" data-path="${filePath}" aria-label="Unstage">−</button>`
+                    : `<button class="icon-btn controller-only" data-action="discard" data-path="${filePath}" aria-label="Discard changes">↺</button>
+                       <button class="icon-btn controller-only" data-action="stage" data-path="${filePath}" aria-label="Stage">+</button>`}
+            </div>
+        `;
+    }).join('');
+    
+    return `
+        <div class="git-section">
+            <div class="git-section-header">
+                <span>${title} · ${files.length}</span>
+                <button class="device-action-btn controller-only" data-action="${bulkAction}" data-paths="${paths}">${bulkLabel}</button>
+            </div>
+            ${rows}
+        </div>
+    `;
+}
+
+async function loadGitLog(more) {
+    const skip = more ? gitState.commits.length : 0;
+    const data = await gitRequest(`/api/git/log?skip=${skip}`);
+    if (!data) return;
+    
+    gitState.commits = more ? gitState.commits.concat(data.commits) : data.commits;
+    gitState.hasMore = data.hasMore;
+    if (gitState.tab !== 'history') return;
+    
+    const body = document.getElementById('gitBody');
+    if (gitState.commits.length === 0) {
+        body.innerHTML = '<div class="no-files">No commits yet</div>';
+        return;
+    }
+    
+    body.innerHTML = gitState.commits.map(commit => `
+        <div class="git-commit-item" data-action="show-commit" data-hash="${escapeHtml(commit.hash)}">
+            <div class="git-commit-subject">${escapeHtml(commit.subject)}</div>
+            <div class="history-meta">
+                <span class="git-hash">${escapeHtml(commit.shortHash)}</span>
+                <span>${escapeHtml(commit.author)}</span>
+                <span>${formatRelativeTime(commit.date)}</span>
+            </div>
+        </div>
+    `).join('') + (gitState.hasMore ? '<button class="device-action-btn git-more" data-action="log-more">Load more</button>' : '');
+}
+
+async function loadGitBranches() {
+    const data = await gitRequest('/api/git/branches');
+    if (!data) return;
+    
+    gitState.branches = data.branches;
+    if (gitState.tab !== 'branches') return;
+    
+    document.getElementById('gitBody').innerHTML = `
+        <div class="git-branch-create">
+            <input type="text" id="gitNewBranch" class="search-input" placeholder="New branch name" autocomplete="off" autocapitalize="off" aria-label="New branch name">
+            <button class="device-action-btn controller-only" data-action="create-branch">Create</button>
+        </div>
+    ` + data.branches.map(branch => `
+        <div class="git-branch ${branch.current ? 'current' : 'controller-only'}" data-action="${branch.current ? '' : 'switch-branch'}" data-branch="${escapeHtml(branch.name)}">
+            <span class="git-file-path">${escapeHtml(branch.name)}</span>
+            ${branch.current ? '<span class="current-badge">Current</span>' : ''}
+            <span class="git-hash">${escapeHtml(branch.commit)}</span>
+        </div>
+    `).join('');
+}
+
+// One click handler for the panel; elements carry their action
+async function onGitClick(event) {
+    const target = event.target.closest('[data-action]');
+    if (!target || !target.dataset.action) return;
+    event.stopPropagation();
+    
+    const { action, path: filePath } = target.dataset;
+    let status = null;
+    
+    switch (action) {
+        case 'diff':
+            showGitDiff(filePath, target.dataset.staged === '1');
+            return;
+        case 'stage':
+            status = await gitRequest('/api/git/stage', { paths: [filePath] });
+            break;
+        case 'unstage':
+            status = await gitRequest('/api/git/unstage', { paths: [filePath] });
+            break;
+        case 'stage-all':
+            status = await gitRequest('/api/git/stage', { paths: JSON.parse(target.dataset.paths) });
+            break;
+        case 'unstage-all':
+            status = await gitRequest('/api/git/unstage', { paths: JSON.parse(target.dataset.paths) });
+            break;
+        case 'discard':
+            if (!confirm(`Discard changes to ${filePath}? This cannot be undone.`)) return;
+            status = await gitRequest('/api/git/discard', { paths: [filePath] });
+            break;
+        case 'show-commit':
+            showGitCommit(target.dataset.hash);
+            return;
+        case 'log-more':
+            loadGitLog(true);
+            return;
+        case 'switch-branch':
+            if (!confirm(`Switch to ${target.dataset.branch}?`)) return;
+            if (await gitRequest('/api/git/switch', { branch: target.dataset.branch })) {
+                showToast(`Switched to ${target.dataset.branch}`, 'success');
+                loadGitBranches();
+                loadGitStatus();
+            }
+            return;
+        case 'create-branch': {
+            const name = document.getElementById('gitNewBranch').value.trim();
+            if (!name) return;
+            if (await gitRequest('/api/git/branches', { name, checkout: true })) {
+                showToast(`Created ${name}`, 'success');
+                loadGitBranches();
+                loadGitStatus();
+            }
+            return;
+        }
+    }
+    
+    if (status) renderGitStatus(status);
+}
+
+async function commitGitChanges() {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
+    const input = document.getElementById('gitCommitMessage');
+    const message = input.value.trim();
+    if (!message) {
+        showToast('Enter a commit message', 'error');
+        return;
+    }
+    
+    const data = await gitRequest('/api/git/commit', { message });
+    if (!data) return;
+    
+    input.value = '';
+    showToast(`Committed ${data.commit.shortHash}`, 'success');
+    loadGitStatus();
+}
+
+async function showGitDiff(filePath, staged) {
+    document.getElementById('gitDiffTitle').textContent = filePath;
+    document.getElementById('gitDiffMeta').textContent = staged ? 'Staged' : 'Working tree';
+    document.getElementById('gitDiffBody').innerHTML = '<div class="no-files">Loading...</div>';
+    openModal('gitDiffModal');
+    
+    const data = await gitRequest(`/api/git/diff?path=${encodeURIComponent(filePath)}&staged=${staged ? 1 : 0}`);
+    if (data) {
+        document.getElementById('gitDiffBody').innerHTML = renderUnifiedDiff(data.diff);
+    }
+}
+
+async function showGitCommit(hash) {
+    document.getElementById('gitDiffTitle').textContent = hash.slice(0, 7);
+    document.getElementById('gitDiffMeta').textContent = '';
+    document.getElementById('gitDiffBody').innerHTML = '<div class="no-files">Loading...</div>';
+    openModal('gitDiffModal');
+    
+    const commit = await gitRequest(`/api/git/commits/${hash}`);
+    if (!commit) return;
     
-    // Set cursor position after the inserted path
-    const newCursorPos = textBefore.length + insertText.length;
-    input.setSelectionRange(newCursorPos, newCursorPos);
+    document.getElementById('gitDiffMeta').textContent = `${commit.author} · ${formatRelativeTime(commit.date)}`;
+    document.getElementById('gitDiffBody').innerHTML =
+        `<div class="git-commit-message">${escapeHtml(commit.message)}</div>` + renderUnifiedDiff(commit.diff);
+}
+
+// Render a unified diff as one row per line with old/new line numbers.
+// Long lines wrap instead of scrolling sideways, which reads better on a phone.
+function renderUnifiedDiff(diff) {
+    if (!diff || !diff.trim()) {
+        return '<div class="no-files">No changes</div>';
+    }
     
-    input.focus();
-    adjustInputHeight();
+    const lines = diff.replace(/\n$/, '').split('\n');
+    const parts = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let inHunk = false;
+    let fileOpen = false;
+    
+    const row = (type, oldNo, newNo, text) => parts.push(
+        `<div class="diff-line diff-${type}"><span class="diff-ln">${oldNo}</span><span class="diff-ln">${newNo}</span><span class="diff-code">${escapeHtml(text) || ' '}</span></div>`
+    );
+    
+    for (const line of lines.slice(0, DIFF_MAX_LINES)) {
+        if (line.startsWith('diff --git ')) {
+            if (fileOpen) parts.push('</div>');
+            const match = line.match(/ b\/(.+)$/);
+            parts.push(`<div class="diff-file"><div class="diff-file-header">${escapeHtml(match ? match[1] : line)}</div>`);
+            fileOpen = true;
+            inHunk = false;
+        } else if (line.startsWith('@@')) {
+            const match = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)/);
+            oldLine = match ? Number(match[1]) : 0;
+            newLine = match ? Number(match[2]) : 0;
+            parts.push(`<div class="diff-hunk">${escapeHtml(line)}</div>`);
+            inHunk = true;
+        } else if (!inHunk) {
+            // File-level metadata; the index/---/+++ lines add nothing here
+            if (!/^(index |--- |\+\+\+ )/.test(line)) {
+                parts.push(`<div class="diff-meta">${escapeHtml(line)}</div>`);
+            }
+        } else if (line.startsWith('+')) {
+            row('add', '', newLine++, line.slice(1));
+        } else if (line.startsWith('-')) {
+            row('del', oldLine++, '', line.slice(1));
+        } else if (line.startsWith('\\')) {
+            parts.push(`<div class="diff-meta">${escapeHtml(line)}</div>`);
+        } else {
+            row('ctx', oldLine++, newLine++, line.slice(1));
+        }
+    }
+    
+    if (fileOpen) parts.push('</div>');
+    if (lines.length > DIFF_MAX_LINES) {
+        parts.push(`<div class="no-files">Diff truncated (${lines.length - DIFF_MAX_LINES} more lines)</div>`);
+    }
+    return `<div class="diff-view">${parts.join('')}</div>`;
 }
 
-function searchFiles(searchTerm) {
-    // Request filtered files from backend
-    ws.send(JSON.stringify({
-        type: 'getWorkspaceFiles',
-        searchTerm: searchTerm
-    }));
-    selectedFileIndex = -1;
+// File editor
+let editorState = null; // { path, etag, original, isNew, conflict, matchIndex }
+
+function encodeFilePath(filePath) {
+    return filePath.split('/').map(encodeURIComponent).join('/');
 }
 
-function selectFileAtIndex(index) {
-    if (index >= 0 && index < currentFiles.length && filePickerCallback) {
-        filePickerCallback(currentFiles[index]);
+// Open a project file in the editor. With create, a missing file opens empty
+// and is created on the first save.
+async function openFileEditor(filePath, { create = false } = {}) {
+    filePath = filePath.replace(/^@/, '').replace(/^\/+/, '');
+    
+    try {
+        const response = await apiFetch(`/api/file/${encodeFilePath(filePath)}`);
+        const data = await response.json();
+        
+        if (response.status === 404 && create) {
+            showEditor({ path: filePath, etag: null, original: '', isNew: true });
+            return;
+        }
+        if (!response.ok) {
+            showToast(data.error || 'Could not open file', 'error');
+            return;
+        }
+        if (data.binary) {
+            showToast('Binary files cannot be edited', 'error');
+            return;
+        }
+        
+        showEditor({ path: data.path, etag: data.etag, original: data.content, isNew: false });
+    } catch (error) {
+        console.error('Error opening file:', error);
+        showToast('Could not open file', 'error');
     }
 }
 
-function renderFileList(files) {
-    const filesList = document.getElementById('filesList');
-    filesList.innerHTML = '';
+function showEditor(state) {
+    editorState = { ...state, conflict: null, matchIndex: -1 };
     
-    currentFiles = files;
+    const textarea = document.getElementById('editorTextarea');
+    textarea.value = state.original;
+    textarea.scrollTop = 0;
     
-    if (files.length === 0) {
-        filesList.innerHTML = '<div class="no-files">No files found</div>';
+    document.getElementById('editorTitle').textContent = state.path;
+    document.getElementById('editorConflict').hidden = true;
+    renderEditorGutter();
+    updateEditorStatus();
+    openModal('editorModal');
+}
+
+function isEditorDirty() {
+    return !!editorState && (editorState.isNew || document.getElementById('editorTextarea').value !== editorState.original);
+}
+
+function closeEditor() {
+    if (isEditorDirty() && !confirm('Discard unsaved changes?')) return;
+    editorState = null;
+    closeModal('editorModal');
+}
+
+function onEditorInput() {
+    renderEditorGutter();
+    updateEditorStatus();
+}
+
+function renderEditorGutter() {
+    const textarea = document.getElementById('editorTextarea');
+    const gutter = document.getElementById('editorGutter');
+    const lineCount = textarea.value.split('\n').length;
+    
+    if (Number(gutter.dataset.lines) !== lineCount) {
+        gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n');
+        gutter.dataset.lines = lineCount;
+    }
+    gutter.scrollTop = textarea.scrollTop;
+}
+
+function updateEditorStatus() {
+    const status = document.getElementById('editorStatus');
+    if (editorState.conflict) {
+        status.textContent = 'Conflict';
+    } else if (editorState.isNew) {
+        status.textContent = 'New file';
+    } else {
+        status.textContent = isEditorDirty() ? 'Modified' : '';
+    }
+}
+
+async function saveEditorFile() {
+    if (!editorState) return;
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
         return;
     }
     
-    files.forEach((file, index) => {
-        const fileItem = document.createElement('div');
-        fileItem.className = 'file-item';
-        if (index === selectedFileIndex) {
-            fileItem.classList.add('selected');
-        }
-        
-        fileItem.innerHTML = `
-            <span class="file-icon">${getFileIcon(file.name)}</span>
-            <div class="file-info">
-                <div class="file-name">${file.path}</div>
-            </div>
-        `;
+    const content = document.getElementById('editorTextarea').value;
+    const headers = { 'Content-Type': 'application/json' };
+    if (editorState.isNew) {
+        headers['If-None-Match'] = '*';
+    } else {
+        headers['If-Match'] = editorState.etag;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/file/${encodeFilePath(editorState.path)}`, {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify({ content })
+        });
+        const data = await response.json();
         
-        fileItem.onclick = () => {
-            selectedFileIndex = index;
-            selectFileAtIndex(index);
-        };
+        if (response.status === 409) {
+            showEditorConflict(data.error, data.current);
+            return;
+        }
+        if (!response.ok) {
+            showToast(data.error || 'Save failed', 'error');
+            return;
+        }
         
-        filesList.appendChild(fileItem);
-    });
+        editorState.etag = data.etag;
+        editorState.original = content;
+        editorState.isNew = false;
+        editorState.conflict = null;
+        document.getElementById('editorConflict').hidden = true;
+        updateEditorStatus();
+        showToast('Saved', 'success');
+    } catch (error) {
+        console.error('Error saving file:', error);
+        showToast('Save failed', 'error');
+    }
 }
 
-function getFileIcon(filename) {
-    const ext = filename.split('.').pop()?.toLowerCase();
-    
-    // Return empty string - let CSS handle the icon
-    return '';
+// Someone (usually Claude) changed the file since it was opened. current is
+// the file as it is on disk now, or null if it was deleted.
+function showEditorConflict(message, current) {
+    editorState.conflict = { current };
+    
+    const canMerge = !!current && typeof current.content === 'string';
+    document.getElementById('editorConflictMessage').textContent = current
+        ? `${message}. Discard your changes, merge them with the file on disk, or overwrite it.`
+        : `${message}. Discard your changes or save them as a new file.`;
+    document.getElementById('editorMergeBtn').hidden = !canMerge;
+    document.getElementById('editorConflict').hidden = false;
+    updateEditorStatus();
 }
 
-// Slash Commands
-const defaultSlashCommands = [
-    // Development
-    { command: '/plan', description: 'Create a plan before implementing', category: 'development' },
-    { command: '/think', description: 'Enable thinking mode', category: 'development' },
-    { command: '/review', description: 'Review code changes', category: 'development' },
-    { command: '/test', description: 'Write or run tests', category: 'development' },
-    { command: '/fix', description: 'Fix bugs or issues', category: 'development' },
-    { command: '/refactor', description: 'Refactor code', category: 'development' },
-    
-    // Analysis
-    { command: '/explain', description: 'Explain code or concepts', category: 'analysis' },
-    { command: '/analyze', description: 'Analyze code or performance', category: 'analysis' },
-    { command: '/search', description: 'Search codebase', category: 'analysis' },
+function resolveEditorConflict(action) {
+    const current = editorState.conflict.current;
+    const textarea = document.getElementById('editorTextarea');
     
-    // Session
-    { command: '/new', description: 'Start new session', category: 'session' },
-    { command: '/clear', description: 'Clear conversation', category: 'session' },
-    { command: '/model', description: 'Change model', category: 'session' },
-    { command: '/status', description: 'Show session status', category: 'session' },
-    { command: '/cost', description: 'Show cost breakdown', category: 'session' },
-    { command: '/exit', description: 'Exit Claude', category: 'session' }
-];
-
-function showSlashCommands() {
-    allSlashCommands = defaultSlashCommands;
-    filteredSlashCommands = allSlashCommands;
-    selectedCommandIndex = -1;
+    if (action === 'reload') {
+        if (!current) {
+            editorState = null;
+            closeModal('editorModal');
+            return;
+        }
+        textarea.value = current.content || '';
+        editorState.original = textarea.value;
+    } else if (action === 'merge') {
+        textarea.value = mergeWithConflictMarkers(textarea.value, current.content);
+        editorState.original = current.content;
+        showToast('Resolve the marked section, then save', 'info');
+    }
     
-    renderSlashCommands();
+    // The next save is checked against the file as it is now
+    editorState.etag = current ? current.etag : null;
+    editorState.isNew = !current;
+    editorState.conflict = null;
+    document.getElementById('editorConflict').hidden = true;
+    renderEditorGutter();
+    updateEditorStatus();
     
-    const modal = document.getElementById('slashCommandsModal');
-    modal.classList.add('open');
+    if (action === 'overwrite') {
+        saveEditorFile();
+    }
+}
+
+// Wrap the region where the two versions differ in git-style conflict
+// markers; lines both versions share at the start and end stay untouched
+function mergeWithConflictMarkers(mine, theirs) {
+    const a = mine.split('\n');
+    const b = theirs.split('\n');
+    
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
     
-    const searchInput = document.getElementById('slashSearch');
-    searchInput.value = '';
-    searchInput.focus();
+    if (start === endA && start === endB) return mine;
+    
+    return [
+        ...a.slice(0, start),
+        '<<<<<<< yours',
+        ...a.slice(start, endA),
+        '=======',
+        ...b.slice(start, endB),
+        '>>>>>>> on disk',
+        ...a.slice(endA)
+    ].join('\n');
 }
 
-function filterSlashCommands(searchTerm) {
-    if (!searchTerm) {
-        filteredSlashCommands = allSlashCommands;
-    } else {
-        const term = searchTerm.toLowerCase();
-        filteredSlashCommands = allSlashCommands.filter(cmd => 
-            cmd.command.includes(term) || cmd.description.toLowerCase().includes(term)
-        );
+function toggleEditorSearch() {
+    const bar = document.getElementById('editorSearch');
+    bar.hidden = !bar.hidden;
+    if (!bar.hidden) {
+        const input = document.getElementById('editorSearchInput');
+        input.select();
+        input.focus();
     }
-    selectedCommandIndex = -1;
-    renderSlashCommands();
 }
 
-function renderSlashCommands() {
-    const commandsList = document.getElementById('slashCommandsList');
-    commandsList.innerHTML = '';
+// Jump to the next (1), previous (-1) or first (0) match of the search text
+function editorFind(direction) {
+    const query = document.getElementById('editorSearchInput').value.toLowerCase();
+    const textarea = document.getElementById('editorTextarea');
+    const countEl = document.getElementById('editorSearchCount');
     
-    if (filteredSlashCommands.length === 0) {
-        commandsList.innerHTML = '<div class="no-commands">No commands found</div>';
+    if (!query) {
+        countEl.textContent = '';
         return;
     }
     
-    // Group by category
-    const categories = {
-        'development': 'Development',
-        'analysis': 'Analysis',
-        'session': 'Session'
-    };
+    const text = textarea.value.toLowerCase();
+    const matches = [];
+    for (let i = text.indexOf(query); i !== -1; i = text.indexOf(query, i + query.length)) {
+        matches.push(i);
+    }
     
-    Object.entries(categories).forEach(([category, title]) => {
-        const commands = filteredSlashCommands.filter(cmd => cmd.category === category);
-        if (commands.length === 0) return;
-        
-        const section = document.createElement('div');
-        section.className = 'slash-section';
-        section.innerHTML = `<h3>${title}</h3>`;
-        
-        commands.forEach((cmd, index) => {
-            const globalIndex = filteredSlashCommands.indexOf(cmd);
-            const item = document.createElement('div');
-            item.className = 'slash-item';
-            if (globalIndex === selectedCommandIndex) {
-                item.classList.add('selected');
-            }
-            
-            item.innerHTML = `
-                <div class="slash-info">
-                    <div class="slash-command">${cmd.command}</div>
-                    <div class="slash-description">${cmd.description}</div>
-                </div>
-            `;
-            
-            item.onclick = () => {
-                selectSlashCommand(cmd);
-            };
-            
-            section.appendChild(item);
-        });
-        
-        commandsList.appendChild(section);
-    });
+    if (matches.length === 0) {
+        countEl.textContent = '0/0';
+        return;
+    }
+    
+    const index = direction === 0
+        ? 0
+        : (editorState.matchIndex + direction + matches.length) % matches.length;
+    editorState.matchIndex = index;
+    countEl.textContent = `${index + 1}/${matches.length}`;
+    
+    // Select the match and scroll its line into view
+    const position = matches[index];
+    textarea.setSelectionRange(position, position + query.length);
+    const line = textarea.value.slice(0, position).split('\n').length - 1;
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
 }
 
-function selectSlashCommand(cmd) {
-    const input = document.getElementById('messageInput');
+async function renameEditorFile() {
+    if (!editorState || editorState.isNew) return;
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
     
-    // Check if we should replace existing slash command
-    const currentValue = input.value;
-    const slashMatch = currentValue.match(/^\/\w*\s*/);
+    const newPath = prompt('Rename to', editorState.path);
+    if (!newPath || newPath === editorState.path) return;
     
-    if (slashMatch) {
-        // Replace existing slash command
-        input.value = cmd.command + ' ' + currentValue.substring(slashMatch[0].length);
-    } else {
-        // Add slash command at start
-        input.value = cmd.command + ' ' + currentValue;
-    }
+    const response = await apiFetch('/api/files/rename', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from: editorState.path, to: newPath })
+    });
+    const data = await response.json();
     
-    // Set cursor after command
-    const newPos = cmd.command.length + 1;
-    input.setSelectionRange(newPos, newPos);
+    if (!response.ok) {
+        showToast(data.error || 'Rename failed', 'error');
+        return;
+    }
     
-    closeModal('slashCommandsModal');
-    input.focus();
-    adjustInputHeight();
+    editorState.path = data.to;
+    document.getElementById('editorTitle').textContent = data.to;
+    showToast(`Renamed to ${data.to}`, 'success');
 }
 
-function executeSlashCommand(command, args) {
-    // Handle local slash commands
-    switch (command) {
-        case '/new':
-            newSession();
-            return true;
-        case '/clear':
-            clearMessages();
-            return true;
-        case '/plan':
-            planMode = true;
-            togglePlanMode();
-            return true;
-        case '/think':
-            thinkingMode = true;
-            toggleThinkingMode();
-            return true;
-        default:
-            // Send to backend
-            return false;
+async function deleteEditorFile() {
+    if (!editorState) return;
+    if (editorState.isNew) {
+        editorState = null;
+        closeModal('editorModal');
+        return;
+    }
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
     }
+    if (!confirm(`Delete ${editorState.path}?`)) return;
+    
+    const response = await apiFetch(`/api/file/${encodeFilePath(editorState.path)}`, {
+        method: 'DELETE',
+        headers: { 'If-Match': editorState.etag }
+    });
+    const data = await response.json();
+    
+    if (response.status === 409) {
+        showEditorConflict(data.error, data.current);
+        return;
+    }
+    if (!response.ok) {
+        showToast(data.error || 'Delete failed', 'error');
+        return;
+    }
+    
+    showToast(`Deleted ${data.path}`, 'success');
+    editorState = null;
+    closeModal('editorModal');
 }
 
 // Project management functions
@@ -1121,20 +3820,20 @@ async function showProjects() {
 
 async function loadProjects() {
     try {
-        const response = await fetch('/api/projects');
+        const response = await apiFetch('/api/projects');
         const data = await response.json();
         
         const projectsList = document.getElementById('projectsList');
         projectsList.innerHTML = '';
         
         if (data.projects.length === 0) {
-            projectsList.innerHTML = '<p class="empty-message">No projects found in ~/projects</p>';
+            projectsList.innerHTML = `<p class="empty-message">No projects found in ${escapeHtml((data.projectsRoots || []).join(', '))}</p>`;
             return;
         }
         
         data.projects.forEach(project => {
             const projectItem = document.createElement('div');
-            projectItem.className = 'project-item' + (project.isCurrent ? ' current' : '');
+            projectItem.className = 'project-item' + (project.isCurrent ? ' current' : ' controller-only');
             projectItem.innerHTML = `
                 <div class="project-info">
                     <svg class="project-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" width="20" height="20">
@@ -1160,8 +3859,13 @@ async function loadProjects() {
 }
 
 async function switchProject(projectPath) {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
     try {
-        const response = await fetch('/api/projects/switch', {
+        const response = await apiFetch('/api/projects/switch', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -1169,11 +3873,11 @@ async function switchProject(projectPath) {
             body: JSON.stringify({ projectPath })
         });
         
+        const data = await response.json();
         if (!response.ok) {
-            throw new Error('Failed to switch project');
+            throw new Error(data.error || 'Failed to switch project');
         }
         
-        const data = await response.json();
         showToast(`Switched to project: ${data.projectName}`, 'success');
         closeModal('projectsModal');
         
@@ -1183,11 +3887,16 @@ async function switchProject(projectPath) {
         }, 500);
     } catch (error) {
         console.error('Error switching project:', error);
-        showToast('Failed to switch project', 'error');
+        showToast(error.message || 'Failed to switch project', 'error');
     }
 }
 
 async function createNewProject() {
+    if (!isController()) {
+        showToast('Another device is in control', 'error');
+        return;
+    }
+    
     const projectName = prompt('Enter new project name:');
     
     if (!projectName || projectName.trim() === '') {
@@ -1195,7 +3904,7 @@ async function createNewProject() {
     }
     
     try {
-        const response = await fetch('/api/projects/create', {
+        const response = await apiFetch('/api/projects/create', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -3,257 +3,1195 @@ const { WebSocketServer } = require('ws');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
-const os = require('os');
+const https = require('https');
 
-// Get project root from command line or use current directory
-let PROJECT_ROOT = process.argv[2] || process.cwd();
-console.log(`Project root: ${PROJECT_ROOT}`);
+const { loadConfig, ConfigError } = require('./config');
+const log = require('./logger');
+
+// Effective configuration: defaults < config file < environment < flags
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(error.message);
+  process.exit(1);
+}
+log.setLevel(config.logLevel);
+
+let PROJECT_ROOT = config.projectRoot;
+log.info(`Project root: ${PROJECT_ROOT}`);
+if (config.configFile) {
+  log.info(`Config file: ${config.configFile}`);
+}
+
+// Session manager wraps the adapted Claude chat provider
+const SessionManager = require('./sessionManager');
+const ClientRegistry = require('./clientRegistry');
+const DeviceAuth = require('./auth');
+const { ensureCertificates } = require('./tls');
+const FileAccess = require('./fileAccess');
+const TurnChanges = require('./turnChanges');
+const Checkpoints = require('./checkpoints');
+const Attachments = require('./attachments');
+const WorkspaceWatcher = require('./workspaceWatcher');
+const FileIndex = require('./fileIndex');
+const CodeSearch = require('./codeSearch');
+const ConversationIndex = require('./conversationIndex');
+const TranscriptStore = require('./transcriptStore');
+const ConversationMeta = require('./conversationMeta');
+const ZipWriter = require('./zipWriter');
+const conversationExport = require('./conversationExport');
+const { FileAccessError } = FileAccess;
+const GitService = require('./gitService');
+const { GitError } = GitService;
+
+// Paired devices are server-wide, not per project
+const auth = new DeviceAuth(path.join(config.dataDir, 'devices.json'));
+
+// With TLS on, the app is served over HTTPS/WSS using a locally generated CA
+let certificates = null;
+if (config.tls.enabled) {
+  try {
+    certificates = ensureCertificates(path.join(config.dataDir, 'tls'), config.tls.hostnames);
+  } catch (error) {
+    console.error(`Could not set up TLS: ${error.message}`);
+    process.exit(1);
+  }
+}
 
 const app = express();
-const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const server = certificates
+  ? https.createServer({ key: certificates.key, cert: certificates.cert }, app)
+  : http.createServer(app);
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }) => isSameOrigin(req) && !!auth.verify(auth.tokenFromRequest(req))
+});
+
+// Reject cross-site requests carrying an Origin header for another host
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
 
-// Import the adapted Claude chat provider
-const ClaudeChatProvider = require('./claudeChat');
+// The CA certificate, so phones can be told to trust this server. Public on
+// purpose: it has to be reachable before the device trusts anything.
+function sendCACertificate(res) {
+  res.writeHead(200, {
+    'Content-Type': 'application/x-x509-ca-cert',
+    'Content-Disposition': 'attachment; filename="claude-code-chat-ca.crt"'
+  });
+  res.end(certificates.caCert);
+}
+
+// Plain HTTP only hands out the CA certificate and redirects everything else
+function createRedirectServer() {
+  return http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/ca.crt') {
+      return sendCACertificate(res);
+    }
+    
+    let hostname = 'localhost';
+    try {
+      hostname = new URL(`http://${req.headers.host}`).hostname;
+    } catch {
+      // Missing or malformed Host header - fall back to localhost
+    }
+    res.writeHead(308, { Location: `https://${hostname}:${config.tls.port}${req.url}` });
+    res.end();
+  });
+}
 
 // Middleware
-app.use(express.json());
+if (certificates) {
+  app.get('/ca.crt', (req, res) => sendCACertificate(res));
+}
+// Routes that read their own body: uploads stream the file to disk as it
+// arrives, whatever its Content-Type, and imports take larger JSON
+const OWN_BODY_ROUTES = new Set(['/api/attachments', '/api/conversations/import']);
+const jsonBody = express.json({ limit: config.limits.maxRequestBody });
+app.use((req, res, next) => (OWN_BODY_ROUTES.has(req.path) ? next() : jsonBody(req, res, next)));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Single active WebSocket connection (last one wins)
-let activeWs = null;
-let chatProvider = null;
+// Authentication: every /api route except pairing needs a device token,
+// and state-changing requests also need the matching CSRF token
+const PUBLIC_API_ROUTES = new Set(['/auth/status', '/auth/pair']);
 
-// Initialize chat provider
-function initializeChatProvider() {
-  chatProvider = new ClaudeChatProvider(PROJECT_ROOT);
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_ROUTES.has(req.path)) {
+    return next();
+  }
   
-  // Override postMessage to use WebSocket
-  chatProvider._postMessage = (message) => {
-    if (activeWs && activeWs.readyState === 1) {
-      activeWs.send(JSON.stringify(message));
+  const token = auth.tokenFromRequest(req);
+  const device = auth.verify(token);
+  if (!device) {
+    return res.status(401).json({ error: 'Not paired' });
+  }
+  
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    if (!isSameOrigin(req) || !auth.verifyCsrf(token, req.get('X-CSRF-Token'))) {
+      return res.status(403).json({ error: 'Invalid CSRF token' });
     }
-  };
+  }
   
-  return chatProvider;
+  req.device = device;
+  req.deviceToken = token;
+  next();
+});
+
+// Every connected device receives the same event stream; one of them controls
+const clients = new ClientRegistry();
+
+// Routes that change the project are for the controlling device only. The
+// page names its WebSocket connection in X-Client-Id.
+function requireController(req, res, next) {
+  if (!clients.isControllerId(req.get('X-Client-Id'), req.device.id)) {
+    return res.status(403).json({ error: 'Another device is in control' });
+  }
+  next();
 }
+let sessions = null;
+let fileAccess = createFileAccess();
+let git = new GitService(PROJECT_ROOT, fileAccess);
+let turnChanges = createTurnChanges();
+let checkpoints = createCheckpoints();
+let attachments = createAttachments();
+let workspace = createWorkspaceWatcher();
+let fileIndex = new FileIndex(workspace);
+let codeSearch = createCodeSearch();
+let transcripts = createTranscriptStore();
+let conversationIndex = createConversationIndex();
+let conversationMeta = createConversationMeta();
 
-// WebSocket connection handling
-wss.on('connection', (ws) => {
-  console.log('New WebSocket connection');
+// File access for the current project
+function createFileAccess() {
+  return new FileAccess(PROJECT_ROOT, {
+    symlinks: config.files.symlinks,
+    deny: config.files.deny,
+    maxFileSize: config.limits.maxFileSize
+  });
+}
+
+function createTurnChanges() {
+  return new TurnChanges(path.resolve(PROJECT_ROOT, config.projectStorageDir, 'turns'), fileAccess);
+}
+
+function createCheckpoints() {
+  if (!config.checkpoints.enabled) return null;
+  const storageDir = path.resolve(PROJECT_ROOT, config.projectStorageDir);
+  return new Checkpoints(PROJECT_ROOT, path.join(storageDir, 'checkpoints'), {
+    appDataDir: storageDir,
+    ignore: config.checkpoints.ignore,
+    maxStorage: config.checkpoints.maxStorage,
+    maxFileSize: config.checkpoints.maxFileSize
+  });
+}
+
+// Tracks the project's files; every device is told what changed on disk so
+// open views can refresh
+function createWorkspaceWatcher() {
+  const watcher = new WorkspaceWatcher(PROJECT_ROOT, {
+    fileAccess,
+    appDataDir: path.resolve(PROJECT_ROOT, config.projectStorageDir)
+  });
+  watcher.subscribe(report => clients.broadcast({ type: 'filesChanged', data: report }));
+  return watcher;
+}
+
+function createCodeSearch() {
+  return new CodeSearch(PROJECT_ROOT, fileIndex, {
+    maxFileSize: config.limits.maxFileSize,
+    maxResults: config.limits.maxSearchResults,
+    timeout: config.limits.searchTimeout
+  });
+}
+
+// The project's stored conversations; converts those saved by earlier versions
+function createTranscriptStore() {
+  const storageDir = path.resolve(PROJECT_ROOT, config.projectStorageDir);
+  return new TranscriptStore(path.join(storageDir, 'conversations'), path.join(storageDir, 'trash'));
+}
+
+// Searchable text of the project's stored conversations
+function createConversationIndex() {
+  return new ConversationIndex(transcripts);
+}
+
+// Titles, pins, tags and archived flags the user set on conversations
+function createConversationMeta() {
+  return new ConversationMeta(path.resolve(PROJECT_ROOT, config.projectStorageDir, 'conversation-meta.json'));
+}
+
+function createAttachments() {
+  return new Attachments(path.resolve(PROJECT_ROOT, config.projectStorageDir, 'attachments'), {
+    maxSize: config.attachments.maxSize,
+    types: config.attachments.types
+  });
+}
+
+// Messages that drive a session or change settings everyone shares, only
+// accepted from the controller
+const CONTROLLER_MESSAGES = new Set([
+  'sendMessage',
+  'stopRequest',
+  'newSession',
+  'createSession',
+  'closeSession',
+  'permissionResponse',
+  'loadConversation',
+  'deleteConversation',
+  'updateConversation',
+  'restoreConversation',
+  'purgeConversation',
+  'emptyTrash',
+  'forkConversation',
+  'queueUpdate',
+  'queueMove',
+  'queueRemove',
+  'queueResume',
+  'rewind',
+  'selectModel',
+  'updateSettings',
+  'removePermission'
+]);
+
+// Messages that act on one session and must carry its sessionKey
+const SESSION_MESSAGES = new Set([
+  'resume',
+  'sendMessage',
+  'stopRequest',
+  'newSession',
+  'closeSession',
+  'permissionResponse',
+  'loadConversation',
+  'forkConversation',
+  'queueUpdate',
+  'queueMove',
+  'queueRemove',
+  'queueResume',
+  'rewind'
+]);
+
+// Initialize the session manager for the current project
+function initializeSessions() {
+  sessions = new SessionManager(PROJECT_ROOT, {
+    turnChanges,
+    checkpoints,
+    attachments,
+    transcripts,
+    conversationIndex,
+    conversationMeta,
+    maxSessions: config.limits.maxSessions,
+    eventBufferSize: config.limits.eventBufferSize,
+    storageDir: config.projectStorageDir,
+    defaultModel: config.defaultModel,
+    // Fan out every numbered event to every connected device
+    onEvent: (session, event) => clients.broadcast(event),
+    onChange: () => broadcastSessionList()
+  });
+  purgeOldTrash();
   
-  // Close previous connection if exists
-  if (activeWs) {
-    console.log('Closing previous connection');
-    activeWs.close();
+  return sessions;
+}
+
+// Deleted conversations stay in the trash for limits.trashRetentionDays
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+function purgeOldTrash() {
+  if (!sessions) return;
+  const purged = sessions.primary().provider.purgeTrash({ olderThan: config.limits.trashRetentionDays * 24 * 60 * 60 * 1000 });
+  if (purged > 0) {
+    log.info(`Deleted ${purged} conversation${purged === 1 ? '' : 's'} from the trash`);
   }
-  activeWs = ws;
+}
+
+setInterval(purgeOldTrash, TRASH_PURGE_INTERVAL).unref();
+
+// History (and the trash) changed; every device's list follows
+function broadcastConversations() {
+  const { provider } = sessions.primary();
+  clients.broadcast({ type: 'conversationList', data: provider.getConversationList() });
+  clients.broadcast({ type: 'trashList', data: trashList() });
+}
+
+function trashList() {
+  return { items: sessions.primary().provider.getTrash(), retentionDays: config.limits.trashRetentionDays };
+}
+
+function broadcastSessionList() {
+  if (!sessions) return;
+  clients.broadcast({ type: 'sessionList', data: sessions.list() });
+}
+
+// Bring a (re)connecting device up to date on one session: replay the events
+// it missed if they are still buffered, otherwise send the whole transcript
+function syncClient(ws, session, epoch, lastSeq) {
+  const { provider, eventLog } = session;
+  const send = (message) => clients.send(ws, { ...message, sessionKey: session.key });
+  const missed = epoch === eventLog.epoch ? eventLog.since(lastSeq) : null;
   
-  // Initialize or get existing chat provider
-  if (!chatProvider) {
-    initializeChatProvider();
+  if (missed) {
+    missed.forEach(event => clients.send(ws, event));
+    send({
+      type: 'syncState',
+      data: { epoch: eventLog.epoch, seq: eventLog.seq, replayed: missed.length }
+    });
+    return;
   }
   
-  // Send initial state
-  ws.send(JSON.stringify({ type: 'connected' }));
+  send({ type: 'transcriptReset' });
   
-  // Restore session if exists
-  const sessionInfo = chatProvider.getSessionInfo();
+  const sessionInfo = provider.getSessionInfo();
   if (sessionInfo) {
-    ws.send(JSON.stringify({ 
+    send({
       type: 'sessionResumed', 
       data: sessionInfo 
-    }));
-    
-    // Load conversation history
-    chatProvider.loadLatestConversation();
+    });
+    provider.loadLatestConversation(send);
+  }
+  
+  send({
+    type: 'setProcessing',
+    data: { isProcessing: provider.isProcessing() }
+  });
+  send({ type: 'queueUpdated', data: provider.getQueue() });
+  provider.getStreamingBlocks().forEach(block => {
+    send({
+      type: block.kind === 'output' ? 'outputDelta' : 'thinkingDelta',
+      data: { streamId: block.streamId, text: block.text }
+    });
+  });
+  provider.getPendingPermissionRequests().forEach(request => {
+    send({ type: 'permissionRequest', data: request });
+  });
+  send({
+    type: 'syncState',
+    data: { epoch: eventLog.epoch, seq: eventLog.seq, replayed: 0 }
+  });
+}
+
+// WebSocket connection handling
+wss.on('connection', (ws, req) => {
+  const device = auth.verify(auth.tokenFromRequest(req));
+  const client = clients.add(ws, req, device);
+  log.info(`New WebSocket connection: ${client.id} (${client.label}), ${clients.size} connected`);
+  
+  // Initialize sessions on first connection
+  if (!sessions) {
+    initializeSessions();
   }
   
+  // Send initial state; the client picks a session and answers with 'resume'
+  clients.send(ws, { type: 'connected', data: { clientId: client.id } });
+  clients.send(ws, { type: 'sessionList', data: sessions.list() });
+  
   // Handle incoming messages
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message.toString());
-      console.log('Received message:', data.type);
+      log.debug('Received message:', data.type, data.sessionKey || '');
+      
+      if (CONTROLLER_MESSAGES.has(data.type) && !clients.isController(ws)) {
+        clients.send(ws, {
+          type: 'error',
+          sessionKey: data.sessionKey,
+          data: 'Another device is in control. Take control to do that from here.'
+        });
+        return;
+      }
       
-      // Route messages to chat provider
+      let session = null;
+      if (SESSION_MESSAGES.has(data.type)) {
+        session = sessions.get(data.sessionKey);
+        if (!session) {
+          // Stale key (e.g. the server restarted) - let the client pick again
+          clients.send(ws, { type: 'sessionList', data: sessions.list() });
+          return;
+        }
+      }
+      
+      // Route messages to the addressed session's chat provider
       switch (data.type) {
+        case 'resume':
+          syncClient(ws, session, data.epoch, data.lastSeq);
+          break;
+          
         case 'sendMessage':
-          chatProvider.sendMessage(data.text, data.planMode, data.thinkingMode);
+          session.provider.sendMessage(data.text, data.planMode, data.thinkingMode, data.attachments);
           break;
           
         case 'newSession':
-          chatProvider.newSession();
+          session.provider.newSession();
           break;
           
         case 'stopRequest':
-          chatProvider.stopCurrentRequest();
+          session.provider.stopCurrentRequest();
+          break;
+          
+        case 'queueUpdate':
+          session.provider.updateQueuedPrompt(data.id, data.text);
+          break;
+          
+        case 'queueMove':
+          session.provider.moveQueuedPrompt(data.id, data.toIndex);
+          break;
+          
+        case 'queueRemove':
+          session.provider.removeQueuedPrompt(data.id);
+          break;
+          
+        case 'queueResume':
+          session.provider.resumeQueue();
+          break;
+          
+        case 'rewind':
+          // Restoring files under a running Claude would mix both results
+          if (sessions.list().some(s => s.isProcessing)) {
+            clients.send(ws, {
+              type: 'error',
+              sessionKey: data.sessionKey,
+              data: 'Wait for Claude to finish before restoring a checkpoint.'
+            });
+            break;
+          }
+          session.provider.rewindToCheckpoint(data.checkpointId, data.truncate === true)
+            .catch(error => log.error('Error rewinding:', error));
+          break;
+          
+        case 'createSession':
+          const created = sessions.create();
+          clients.send(ws, { type: 'sessionCreated', data: { sessionKey: created.key } });
+          break;
+          
+        case 'closeSession':
+          sessions.close(session.key);
+          break;
+          
+        case 'listSessions':
+          clients.send(ws, { type: 'sessionList', data: sessions.list() });
+          break;
+          
+        case 'takeControl':
+          clients.setController(client.id);
+          break;
+          
+        case 'transferControl':
+          if (!clients.isController(ws)) {
+            clients.send(ws, { type: 'error', data: 'Only the controlling device can hand over control' });
+          } else if (!clients.setController(data.clientId)) {
+            clients.send(ws, { type: 'error', data: 'That device is no longer connected' });
+          }
           break;
           
         case 'getWorkspaceFiles':
-          chatProvider.getWorkspaceFiles(data.searchTerm);
+          // Replies carry the search term so the picker can drop stale ones
+          fileIndex.search(data.searchTerm || '', { offset: Math.max(0, Number(data.offset) || 0) })
+            .then(result => clients.send(ws, {
+              type: 'workspaceFiles',
+              data: { searchTerm: data.searchTerm || '', ...result }
+            }))
+            .catch(error => log.error('Error searching files:', error));
           break;
           
         case 'selectModel':
-          chatProvider.selectModel(data.model);
+          // The model is a project setting shared by every session
+          sessions.forEach(s => s.provider.selectModel(data.model));
           break;
           
         case 'getSettings':
-          chatProvider.getSettings();
+          clients.send(ws, { type: 'settings', data: sessions.primary().provider.getSettings() });
           break;
           
         case 'updateSettings':
-          chatProvider.updateSettings(data.settings);
+          sessions.forEach(s => s.provider.updateSettings(data.settings));
           break;
           
         case 'permissionResponse':
-          chatProvider.handlePermissionResponse(data.id, data.approved, data.alwaysAllow);
+          session.provider.handlePermissionResponse(data.id, data.approved, data.alwaysAllow);
           break;
           
         case 'getPermissions':
-          chatProvider.getPermissions();
+          clients.send(ws, { type: 'permissions', data: sessions.primary().provider.getPermissions() });
           break;
           
         case 'removePermission':
-          chatProvider.removePermission(data.tool, data.command);
+          sessions.forEach(s => s.provider.removePermission(data.tool, data.command));
+          clients.send(ws, { type: 'permissions', data: sessions.primary().provider.getPermissions() });
           break;
           
         case 'getConversationList':
-          const conversations = chatProvider.getConversationList();
-          ws.send(JSON.stringify({
+          const conversations = sessions.primary().provider.getConversationList();
+          clients.send(ws, {
             type: 'conversationList',
             data: conversations
-          }));
+          });
+          break;
+          
+        case 'searchConversations':
+          clients.send(ws, {
+            type: 'conversationSearchResults',
+            data: { query: data.query, results: conversationIndex.search(data.query) }
+          });
           break;
           
         case 'loadConversation':
-          const conversation = chatProvider.loadConversation(data.sessionId);
+          // Already open in another session - just switch to it
+          const openSession = sessions.findByConversation(data.sessionId);
+          if (openSession) {
+            clients.send(ws, { type: 'sessionCreated', data: { sessionKey: openSession.key } });
+            break;
+          }
+          
+          if (session.provider.isProcessing()) {
+            clients.send(ws, {
+              type: 'error',
+              sessionKey: session.key,
+              data: 'This session is busy. Open the conversation in a new session or stop it first.'
+            });
+            break;
+          }
+          
+          const { provider } = session;
+          const conversation = provider.loadConversation(data.sessionId);
           if (conversation) {
-            // Send all messages to UI
-            conversation.messages.forEach(msg => {
-              ws.send(JSON.stringify(msg));
+            // Every device viewing this session switches to the loaded conversation
+            provider._postMessage({ type: 'transcriptReset' });
+            provider.loadLatestConversation();
+            provider._postMessage({
+              type: 'sessionInfo',
+              data: provider.getSessionInfo()
             });
-            // Send session info
-            ws.send(JSON.stringify({
+          }
+          break;
+          
+        case 'forkConversation':
+          // The fork opens in a new session, with the prompt it was made from
+          // ready to be edited and sent again
+          if (sessions.size >= sessions.maxSessions) {
+            clients.send(ws, {
+              type: 'error',
+              sessionKey: data.sessionKey,
+              data: `At most ${sessions.maxSessions} sessions can run at once. Close one to fork.`
+            });
+            break;
+          }
+          
+          const fork = session.provider.prepareFork(Number(data.messageIndex));
+          if (!fork) {
+            clients.send(ws, { type: 'error', sessionKey: data.sessionKey, data: 'Only a prompt can be forked from' });
+            break;
+          }
+          const forked = sessions.create();
+          forked.provider.startFork(fork);
+          if (forked.provider.getSessionInfo()) {
+            forked.provider._postMessage({
               type: 'sessionInfo',
-              data: chatProvider.getSessionInfo()
-            }));
+              data: forked.provider.getSessionInfo()
+            });
           }
+          clients.send(ws, { type: 'sessionCreated', data: { sessionKey: forked.key, draft: fork.prompt } });
           break;
           
         case 'deleteConversation':
-          const success = chatProvider.deleteConversation(data.sessionId);
-          ws.send(JSON.stringify({
+          // A session with it open would save it back on its next turn
+          const stored = transcripts.find(data.sessionId);
+          const ids = stored ? [stored.sessionId, ...stored.previousSessionIds] : [data.sessionId];
+          if (ids.some(id => sessions.findByConversation(id))) {
+            clients.send(ws, {
+              type: 'conversationDeleted',
+              data: { sessionId: data.sessionId, success: false, error: 'Close the session that has this conversation open first' }
+            });
+            break;
+          }
+          
+          const success = sessions.primary().provider.deleteConversation(data.sessionId);
+          clients.send(ws, {
             type: 'conversationDeleted',
             data: { sessionId: data.sessionId, success }
-          }));
+          });
+          if (success) broadcastConversations();
+          break;
+          
+        case 'updateConversation':
+          try {
+            sessions.primary().provider.updateConversation(data.sessionId, data.changes || {});
+          } catch (error) {
+            if (!(error instanceof ConversationMeta.ConversationMetaError)) throw error;
+            clients.send(ws, { type: 'error', data: error.message });
+            break;
+          }
+          broadcastConversations();
+          // Open sessions are named after their conversation
+          broadcastSessionList();
+          break;
+          
+        case 'getTrash':
+          clients.send(ws, { type: 'trashList', data: trashList() });
+          break;
+          
+        case 'restoreConversation':
+          if (!sessions.primary().provider.restoreConversation(data.sessionId)) {
+            clients.send(ws, { type: 'error', data: 'That conversation could not be restored' });
+          }
+          broadcastConversations();
+          break;
+          
+        case 'purgeConversation':
+          sessions.primary().provider.purgeTrash({ sessionId: data.sessionId });
+          broadcastConversations();
+          break;
+          
+        case 'emptyTrash':
+          sessions.primary().provider.purgeTrash();
+          broadcastConversations();
           break;
           
         default:
-          console.log('Unknown message type:', data.type);
+          log.warn('Unknown message type:', data.type);
       }
     } catch (error) {
-      console.error('Error handling message:', error);
-      ws.send(JSON.stringify({ 
+      log.error('Error handling message:', error);
+      clients.send(ws, {
         type: 'error', 
         data: `Error: ${error.message}` 
-      }));
+      });
     }
   });
   
   ws.on('close', () => {
-    console.log('WebSocket connection closed');
-    if (activeWs === ws) {
-      activeWs = null;
-    }
+    clients.remove(ws);
+    log.info(`WebSocket connection closed: ${client.id}, ${clients.size} connected`);
   });
   
   ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
+    log.error('WebSocket error:', error);
   });
 });
 
-// File system API endpoints (scoped to project root)
-app.get('/api/files', (req, res) => {
-  const relativePath = req.query.path || '';
-  const fullPath = path.join(PROJECT_ROOT, relativePath);
+// Pairing and device management endpoints
+app.get('/api/auth/status', (req, res) => {
+  const token = auth.tokenFromRequest(req);
+  const device = auth.verify(token);
   
-  // Security: Ensure path doesn't escape project root
-  if (!fullPath.startsWith(PROJECT_ROOT)) {
-    return res.status(403).json({ error: 'Access denied' });
+  if (!device) {
+    return res.json({ paired: false });
+  }
+  
+  res.json({
+    paired: true,
+    device: { id: device.id, name: device.name },
+    csrfToken: auth.csrfTokenFor(token)
+  });
+});
+
+app.post('/api/auth/pair', (req, res) => {
+  const { code, name } = req.body || {};
+  
+  if (!isSameOrigin(req)) {
+    return res.status(403).json({ error: 'Cross-origin pairing is not allowed' });
   }
   
   try {
-    const stats = fs.statSync(fullPath);
+    const { token, device } = auth.pair(code, name, req.ip);
+    
+    res.cookie(DeviceAuth.TOKEN_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: 365 * 24 * 60 * 60 * 1000
+    });
+    
+    res.json({ success: true, device, csrfToken: auth.csrfTokenFor(token) });
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/devices', (req, res) => {
+  res.json({
+    devices: auth.listDevices(),
+    currentDeviceId: req.device.id
+  });
+});
+
+app.patch('/api/auth/devices/:id', (req, res) => {
+  const device = auth.renameDevice(req.params.id, req.body && req.body.name);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  clients.renameDevice(device.id, device.name);
+  res.json({ success: true, device });
+});
+
+app.delete('/api/auth/devices/:id', (req, res) => {
+  if (!auth.revokeDevice(req.params.id)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  // Drop any live connections using the revoked token
+  clients.disconnectDevice(req.params.id);
+  
+  if (req.params.id === req.device.id) {
+    res.clearCookie(DeviceAuth.TOKEN_COOKIE);
+  }
+  res.json({ success: true });
+});
+
+// File system API endpoints. All access goes through FileAccess, which keeps
+// paths inside the project and applies the symlink policy and deny list.
+function sendFileError(res, error) {
+  if (error instanceof FileAccessError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  log.error('File access error:', error);
+  res.status(500).json({ error: 'File access failed' });
+}
+
+app.get('/api/files', (req, res) => {
+  const relativePath = req.query.path || '';
+  
+  try {
+    const { stats } = fileAccess.resolve(relativePath);
     
     if (stats.isDirectory()) {
-      const items = fs.readdirSync(fullPath).map(name => {
-        const itemPath = path.join(fullPath, name);
-        const itemStats = fs.statSync(itemPath);
-        return {
-          name,
-          type: itemStats.isDirectory() ? 'directory' : 'file',
-          path: path.relative(PROJECT_ROOT, itemPath)
-        };
-      });
-      
-      res.json({ type: 'directory', items });
+      res.json({ type: 'directory', ...fileAccess.list(relativePath) });
     } else {
-      const content = fs.readFileSync(fullPath, 'utf8');
-      res.json({ type: 'file', content });
+      res.json({ type: 'file', ...fileAccess.read(relativePath) });
     }
   } catch (error) {
-    res.status(404).json({ error: 'Path not found' });
+    sendFileError(res, error);
   }
 });
 
-// Read file endpoint
+// Read file endpoint; ?start=&end= select a byte range
 app.get('/api/file/:path(*)', (req, res) => {
-  const relativePath = req.params.path;
-  const fullPath = path.join(PROJECT_ROOT, relativePath);
+  try {
+    const file = fileAccess.read(req.params.path, { start: req.query.start, end: req.query.end });
+    if (file.etag) {
+      res.set('ETag', file.etag);
+    }
+    res.json(file);
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+// Write (If-Match: <etag>) or create (If-None-Match: *) a file. A stale ETag
+// gets 409 with the current content.
+app.put('/api/file/:path(*)', requireController, (req, res) => {
+  try {
+    const file = fileAccess.write(req.params.path, (req.body || {}).content, {
+      ifMatch: req.get('If-Match'),
+      ifNoneMatch: req.get('If-None-Match')
+    });
+    res.set('ETag', file.etag);
+    res.status(file.created ? 201 : 200).json(file);
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+app.delete('/api/file/:path(*)', requireController, (req, res) => {
+  try {
+    res.json(fileAccess.remove(req.params.path, { ifMatch: req.get('If-Match') }));
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+app.post('/api/files/rename', requireController, (req, res) => {
+  const { from, to } = req.body || {};
   
-  if (!fullPath.startsWith(PROJECT_ROOT)) {
-    return res.status(403).json({ error: 'Access denied' });
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both from and to are required' });
   }
   
   try {
-    const content = fs.readFileSync(fullPath, 'utf8');
-    res.json({ content });
+    res.json(fileAccess.rename(from, to));
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+// Download a file as-is, or a folder (the whole project without a path) as a
+// zip built while it is sent. Folders leave out what .gitignore ignores
+// unless the folder itself is ignored, e.g. a dist/ build asked for by name.
+// Either way the deny list applies and limits.maxDownloadSize caps the
+// total. HEAD answers the same checks without sending anything.
+app.get('/api/download/:path(*)?', async (req, res) => {
+  const maxSize = config.limits.maxDownloadSize;
+  try {
+    const target = fileAccess.resolve(req.params.path || '');
+    const name = target.relativePath ? path.basename(target.relativePath) : path.basename(PROJECT_ROOT);
+    // Project files are handed over, never shown as a page of the app
+    res.set({ 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': 'sandbox' });
+
+    if (target.stats.isFile()) {
+      if (target.stats.size > maxSize) {
+        throw new FileAccessError(413, `File too large to download (at most ${maxSize} bytes)`);
+      }
+      res.attachment(name);
+      return res.sendFile(target.realPath, { dotfiles: 'allow' });
+    }
+    if (!target.stats.isDirectory()) {
+      throw new FileAccessError(400, 'Not a file or folder');
+    }
+
+    await workspace.ready;
+    const skip = workspace.isIgnored(target.relativePath, true)
+      ? null
+      : (itemPath, isDirectory) => workspace.isIgnored(itemPath, isDirectory);
+    const files = [];
+    let total = 0;
+    for (const file of fileAccess.walk(target.relativePath, skip)) {
+      total += file.size;
+      files.push(file);
+      if (total > maxSize) {
+        throw new FileAccessError(413, `Folder too large to download (at most ${maxSize} bytes)`);
+      }
+      if (files.length > ZipWriter.MAX_ENTRIES) {
+        throw new FileAccessError(413, `Folder has too many files to download (at most ${ZipWriter.MAX_ENTRIES})`);
+      }
+    }
+
+    res.type('application/zip');
+    res.attachment(`${name}.zip`);
+    if (req.method === 'HEAD') return res.end();
+
+    // Entries keep the folder's name as their top level
+    const zip = new ZipWriter(res);
+    const base = target.relativePath ? `${target.relativePath}/` : '';
+    for (const file of files) {
+      let fullPath;
+      try {
+        fullPath = fileAccess.resolve(file.path).realPath;
+      } catch {
+        continue; // gone or swapped for a link since the walk
+      }
+      await zip.addFile(`${name}/${file.path.slice(base.length)}`, fullPath);
+    }
+    await zip.finish();
+  } catch (error) {
+    if (res.headersSent) {
+      // Mid-archive; all that can be done is cut it short. A closed
+      // response just means the phone went away.
+      if (!res.destroyed) log.error('Download failed:', error);
+      return res.destroy();
+    }
+    sendFileError(res, error);
+  }
+});
+
+// Git endpoints for the repository the project lives in (local only)
+function gitRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req));
+    } catch (error) {
+      if (error instanceof GitError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      log.error('Git error:', error);
+      res.status(500).json({ error: 'Git command failed' });
+    }
+  };
+}
+
+app.get('/api/git/status', gitRoute(() => git.status()));
+
+app.get('/api/git/diff', gitRoute(async (req) => ({
+  diff: await git.diff(req.query.path || '', { staged: req.query.staged === '1' })
+})));
+
+app.get('/api/git/log', gitRoute((req) => git.log({
+  skip: req.query.skip,
+  limit: req.query.limit,
+  filePath: req.query.path || ''
+})));
+
+app.get('/api/git/commits/:hash', gitRoute((req) => git.show(req.params.hash)));
+
+app.get('/api/git/branches', gitRoute(async () => ({ branches: await git.branches() })));
+
+app.post('/api/git/branches', requireController, gitRoute(async (req) => {
+  const { name, checkout = true } = req.body || {};
+  await git.createBranch(name, { checkout });
+  return { success: true };
+}));
+
+app.post('/api/git/switch', requireController, gitRoute(async (req) => {
+  await git.switchBranch((req.body || {}).branch);
+  return { success: true };
+}));
+
+app.post('/api/git/stage', requireController, gitRoute(async (req) => {
+  await git.stage((req.body || {}).paths);
+  return git.status();
+}));
+
+app.post('/api/git/unstage', requireController, gitRoute(async (req) => {
+  await git.unstage((req.body || {}).paths);
+  return git.status();
+}));
+
+app.post('/api/git/discard', requireController, gitRoute(async (req) => {
+  await git.discard((req.body || {}).paths);
+  return git.status();
+}));
+
+app.post('/api/git/commit', requireController, gitRoute(async (req) => ({
+  commit: await git.commit((req.body || {}).message)
+})));
+
+// Full-text search. Streams newline-delimited JSON: one { type: 'match', ... }
+// line per hit as files are searched, then { type: 'done', matches, files,
+// truncated, timedOut }.
+// ?q= text, &regex=1 &case=1 &word=1, &include= &exclude= comma-separated
+// .gitignore-style patterns, &max= cap on matches
+app.get('/api/search', (req, res) => {
+  const list = (value) => String(value || '').split(',').map(p => p.trim()).filter(Boolean);
+  let search;
+  try {
+    search = codeSearch.search({
+      query: req.query.q,
+      regex: req.query.regex === '1',
+      caseSensitive: req.query.case === '1',
+      wholeWord: req.query.word === '1',
+      include: list(req.query.include),
+      exclude: list(req.query.exclude),
+      maxResults: Number(req.query.max) || undefined
+    }, (matches) => {
+      res.write(matches.map(match => JSON.stringify({ type: 'match', ...match })).join('\n') + '\n');
+    });
+  } catch (error) {
+    if (error instanceof CodeSearch.SearchError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  res.type('application/x-ndjson');
+  res.set('Cache-Control', 'no-store');
+  // Stop searching when the phone gives up on the results
+  res.on('close', () => search.cancel());
+
+  search.done
+    .then(summary => res.end(JSON.stringify({ type: 'done', ...summary }) + '\n'))
+    .catch(error => {
+      log.error('Search failed:', error);
+      res.end(JSON.stringify({ type: 'error', error: 'Search failed' }) + '\n');
+    });
+});
+
+app.get('/api/checkpoints', (req, res) => {
+  if (!checkpoints) {
+    return res.json({ enabled: false, checkpoints: [] });
+  }
+  res.json({ enabled: true, checkpoints: checkpoints.list() });
+});
+
+// Files changed by one turn of a session, as recorded by TurnChanges
+app.get('/api/turns/:turnId', (req, res) => {
+  try {
+    res.json(turnChanges.get(req.params.turnId));
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+app.get('/api/turns/:turnId/diff', (req, res) => {
+  try {
+    res.json({ diff: turnChanges.diff(req.params.turnId, req.query.path) });
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+// Revert the whole turn, or only { paths }. Files edited again since the turn
+// are reported under conflicts unless { force: true }.
+app.post('/api/turns/:turnId/revert', requireController, (req, res) => {
+  const { paths, force } = req.body || {};
+
+  if (paths !== undefined && (!Array.isArray(paths) || paths.some(p => typeof p !== 'string'))) {
+    return res.status(400).json({ error: 'paths must be a list of files' });
+  }
+
+  try {
+    res.json(turnChanges.revert(req.params.turnId, paths || null, { force: force === true }));
+  } catch (error) {
+    sendFileError(res, error);
+  }
+});
+
+// Attachments. The file is the raw request body, with its own Content-Type;
+// it is stored with the conversation open in ?sessionKey= and sent along
+// with the next prompt by id.
+function sendAttachmentError(res, error) {
+  if (error instanceof Attachments.AttachmentError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  log.error('Attachment error:', error);
+  res.status(500).json({ error: 'Attachment failed' });
+}
+
+app.post('/api/attachments', requireController, async (req, res) => {
+  const session = sessions && sessions.get(req.query.sessionKey);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    const key = session.provider.getAttachmentsKey();
+    const length = Number(req.get('Content-Length')) || 0;
+    const { id, name, size, type } = await attachments.save(key, req.query.name, req.get('Content-Type'), req, length);
+    res.status(201).json({ id, name, size, type });
+  } catch (error) {
+    // Stop reading an upload that was refused part way
+    if (!req.complete) {
+      res.set('Connection', 'close');
+    }
+    sendAttachmentError(res, error);
+  }
+});
+
+app.get('/api/attachments/:key/:name', (req, res) => {
+  try {
+    const attachment = attachments.describe(`${req.params.key}/${req.params.name}`);
+    // Uploaded content is shown as-is, never run as a page of the app
+    res.set({
+      'Content-Type': attachment.type,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox'
+    });
+    if (!attachment.type.startsWith('image/') || attachment.type === 'image/svg+xml') {
+      res.attachment(attachment.name);
+    }
+    res.sendFile(attachment.path, { dotfiles: 'allow' });
+  } catch (error) {
+    sendAttachmentError(res, error);
+  }
+});
+
+app.delete('/api/attachments/:key/:name', requireController, (req, res) => {
+  try {
+    attachments.remove(`${req.params.key}/${req.params.name}`);
+    res.json({ success: true });
   } catch (error) {
-    res.status(404).json({ error: 'File not found' });
+    sendAttachmentError(res, error);
   }
 });
 
+// Conversations as a file to share: ?format=md|html|json, and &tools=1
+// &results=1 &thinking=1 to include tool calls, their results and thinking
+app.get('/api/conversations/:sessionId/export', (req, res) => {
+  const format = conversationExport.FORMATS[req.query.format || 'md'];
+  if (!format) {
+    return res.status(400).json({ error: 'format must be md, html or json' });
+  }
+
+  // Sessions start with the first WebSocket connection, not from here
+  if (!sessions) {
+    return res.status(503).json({ error: 'The app is not open on any device yet' });
+  }
+
+  const conversation = sessions.primary().provider.readConversation(req.params.sessionId);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const body = format.render(conversation, {
+    tools: req.query.tools === '1',
+    results: req.query.results === '1',
+    thinking: req.query.thinking === '1'
+  });
+  const name = (conversation.title || 'conversation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'conversation';
+
+  res.attachment(`${name}.${format.extension}`);
+  res.set({
+    'Content-Type': format.type,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox'
+  });
+  res.send(body);
+});
+
+// Add a JSON export (the request body) to the history as a new conversation
+app.post('/api/conversations/import', requireController, express.json({ limit: conversationExport.MAX_IMPORT_SIZE }), (req, res) => {
+  if (!sessions) {
+    return res.status(503).json({ error: 'The app is not open on any device yet' });
+  }
+
+  let conversation;
+  try {
+    conversation = conversationExport.fromJson(req.body);
+  } catch (error) {
+    if (error instanceof conversationExport.ConversationFormatError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  const sessionId = sessions.primary().provider.importConversation(conversation);
+  res.status(201).json({ sessionId, title: conversation.title });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     projectRoot: PROJECT_ROOT,
-    connected: activeWs !== null 
+    connected: clients.size > 0,
+    clients: clients.list(),
+    sessions: sessions ? sessions.list() : []
   });
 });
 
+// Effective server configuration (read-only)
+app.get('/api/config', (req, res) => {
+  res.json(config);
+});
+
 // Project management endpoints
 app.get('/api/projects', (req, res) => {
-  const projectsDir = path.join(os.homedir(), 'projects');
+  const projects = [];
   
-  try {
-    const items = fs.readdirSync(projectsDir, { withFileTypes: true });
-    const projects = items
-      .filter(item => item.isDirectory())
-      .map(dir => ({
-        name: dir.name,
-        path: path.join(projectsDir, dir.name),
-        isCurrent: path.join(projectsDir, dir.name) === PROJECT_ROOT
-      }));
-    
-    res.json({ 
-      projects,
-      currentProject: PROJECT_ROOT
-    });
-  } catch (error) {
-    console.error('Error reading projects directory:', error);
-    res.status(500).json({ error: 'Failed to read projects directory' });
+  // Every configured projects root contributes its subdirectories; a missing
+  // root is skipped rather than failing the whole listing
+  for (const root of config.projectsRoots) {
+    try {
+      const items = fs.readdirSync(root, { withFileTypes: true });
+      items
+        .filter(item => item.isDirectory())
+        .forEach(dir => projects.push({
+          name: dir.name,
+          root,
+          path: path.join(root, dir.name),
+          isCurrent: path.join(root, dir.name) === PROJECT_ROOT
+        }));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Error reading projects directory ${root}:`, error);
+      }
+    }
   }
+  
+  res.json({ 
+    projects,
+    projectsRoots: config.projectsRoots,
+    currentProject: PROJECT_ROOT
+  });
 });
 
 app.get('/api/projects/current', (req, res) => {
@@ -263,7 +1201,26 @@ app.get('/api/projects/current', (req, res) => {
   });
 });
 
-app.post('/api/projects/switch', express.json(), (req, res) => {
+// Whether a folder is inside one of config.projectsRoots once symlinks are
+// followed; anything else is off limits to switch to
+function isInProjectsRoot(projectPath) {
+  let realPath;
+  try {
+    realPath = fs.realpathSync(projectPath);
+  } catch {
+    return false;
+  }
+  return config.projectsRoots.some(root => {
+    try {
+      const relative = path.relative(fs.realpathSync(root), realPath);
+      return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    } catch {
+      return false;
+    }
+  });
+}
+
+app.post('/api/projects/switch', requireController, (req, res) => {
   const { projectPath } = req.body;
   
   if (!projectPath) {
@@ -271,39 +1228,48 @@ app.post('/api/projects/switch', express.json(), (req, res) => {
   }
   
   // Validate the project path exists
-  if (!fs.existsSync(projectPath)) {
+  if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
     return res.status(400).json({ error: 'Project path does not exist' });
   }
   
+  if (!isInProjectsRoot(projectPath)) {
+    return res.status(403).json({ error: 'Not a project in a configured projects root' });
+  }
+  
   // Update the project root
   const oldRoot = PROJECT_ROOT;
-  PROJECT_ROOT = projectPath;
-  console.log(`Switching project from ${oldRoot} to ${PROJECT_ROOT}`);
+  PROJECT_ROOT = path.resolve(projectPath);
+  log.info(`Switching project from ${oldRoot} to ${PROJECT_ROOT}`);
   
-  // Reinitialize the chat provider with new project root
-  if (chatProvider) {
-    chatProvider.cleanup();
+  // Reinitialize the sessions with new project root
+  if (sessions) {
+    sessions.cleanup();
   }
   
-  chatProvider = new ClaudeChatProvider(PROJECT_ROOT);
+  fileAccess = createFileAccess();
+  git = new GitService(PROJECT_ROOT, fileAccess);
+  turnChanges = createTurnChanges();
+  checkpoints = createCheckpoints();
+  attachments = createAttachments();
+  fileIndex.close();
+  workspace.close();
+  workspace = createWorkspaceWatcher();
+  fileIndex = new FileIndex(workspace);
+  codeSearch = createCodeSearch();
+  transcripts = createTranscriptStore();
+  conversationIndex = createConversationIndex();
+  conversationMeta = createConversationMeta();
+  initializeSessions();
   
-  // Reconfigure the postMessage override
-  chatProvider._postMessage = (message) => {
-    if (activeWs && activeWs.readyState === 1) {
-      activeWs.send(JSON.stringify(message));
+  // Notify connected clients about project switch
+  clients.broadcast({
+    type: 'projectSwitched',
+    data: {
+      projectRoot: PROJECT_ROOT,
+      projectName: path.basename(PROJECT_ROOT)
     }
-  };
-  
-  // Notify connected client about project switch
-  if (activeWs && activeWs.readyState === 1) {
-    activeWs.send(JSON.stringify({ 
-      type: 'projectSwitched',
-      data: {
-        projectRoot: PROJECT_ROOT,
-        projectName: path.basename(PROJECT_ROOT)
-      }
-    }));
-  }
+  });
+  broadcastSessionList();
   
   res.json({ 
     success: true,
@@ -312,7 +1278,7 @@ app.post('/api/projects/switch', express.json(), (req, res) => {
   });
 });
 
-app.post('/api/projects/create', express.json(), (req, res) => {
+app.post('/api/projects/create', requireController, (req, res) => {
   const { projectName } = req.body;
   
   if (!projectName) {
@@ -321,7 +1287,10 @@ app.post('/api/projects/create', express.json(), (req, res) => {
   
   // Sanitize project name
   const sanitizedName = projectName.replace(/[^a-zA-Z0-9-_]/g, '-');
-  const projectsDir = path.join(os.homedir(), 'projects');
+  const projectsDir = req.body.root || config.projectsRoots[0];
+  if (!config.projectsRoots.includes(projectsDir)) {
+    return res.status(400).json({ error: 'Not a configured projects root' });
+  }
   const newProjectPath = path.join(projectsDir, sanitizedName);
   
   // Check if project already exists
@@ -343,25 +1312,38 @@ app.post('/api/projects/create', express.json(), (req, res) => {
       projectPath: newProjectPath
     });
   } catch (error) {
-    console.error('Error creating project:', error);
+    log.error('Error creating project:', error);
     res.status(500).json({ error: 'Failed to create project' });
   }
 });
 
 // Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Claude Code Chat server running on http://localhost:${PORT}`);
-  console.log(`Project root: ${PROJECT_ROOT}`);
+let redirectServer = null;
+if (certificates) {
+  redirectServer = createRedirectServer();
+  redirectServer.listen(config.port, config.host, () => {
+    log.info(`Redirecting http://${config.host}:${config.port} to HTTPS`);
+    log.info(`CA certificate: http://${config.host}:${config.port}/ca.crt (${certificates.caCertPath})`);
+  });
+}
+
+const listenPort = certificates ? config.tls.port : config.port;
+server.listen(listenPort, config.host, () => {
+  log.info(`Claude Code Chat server running on ${certificates ? 'https' : 'http'}://${config.host}:${listenPort}`);
+  log.info(`Project root: ${PROJECT_ROOT}`);
+  log.info(`Pairing code: ${auth.pairingCode}`);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  log.info('SIGTERM received, shutting down gracefully');
+  if (redirectServer) {
+    redirectServer.close();
+  }
   server.close(() => {
-    console.log('Server closed');
-    if (chatProvider) {
-      chatProvider.cleanup();
+    log.info('Server closed');
+    if (sessions) {
+      sessions.cleanup();
     }
     process.exit(0);
   });
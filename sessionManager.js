@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const ClaudeChatProvider = require('./claudeChat');
+const EventLog = require('./eventLog');
+
+// Keeps several ClaudeChatProvider runs alive side by side. Each session has
+// its own provider (child process, transcript, permission queue) and its own
+// numbered event stream, and is addressed by a short session key.
+class SessionManager {
+  // onEvent(session, event) is called for every event a session emits
+  // onChange() is called when the list of sessions or their busy state changes
+  // The remaining options come from the server config and are passed through
+  // to each provider and event log.
+  constructor(projectRoot, { onEvent, onChange, maxSessions = 5, eventBufferSize = 2000, storageDir, defaultModel, turnChanges, checkpoints, attachments, transcripts, conversationIndex, conversationMeta }) {
+    this.projectRoot = projectRoot;
+    this.maxSessions = maxSessions;
+    this._eventBufferSize = eventBufferSize;
+    this._providerOptions = { storageDir, defaultModel, turnChanges, checkpoints, attachments, transcripts, conversationIndex, conversationMeta };
+    this._onEvent = onEvent;
+    this._onChange = onChange;
+    this._sessions = new Map();
+
+    // The first session picks up where the last run left off
+    this.create({ resume: true });
+  }
+
+  get size() {
+    return this._sessions.size;
+  }
+
+  create({ resume = false } = {}) {
+    if (this._sessions.size >= this.maxSessions) {
+      throw new Error(`At most ${this.maxSessions} sessions can run at once`);
+    }
+
+    const key = crypto.randomBytes(4).toString('hex');
+    const provider = new ClaudeChatProvider(this.projectRoot, { ...this._providerOptions, sessionKey: key, resume });
+    const session = { key, provider, eventLog: new EventLog(this._eventBufferSize) };
+
+    // Tag, number and forward everything this session emits
+    provider._postMessage = (message) => {
+      const event = session.eventLog.append({ ...message, sessionKey: key });
+      this._onEvent(session, event);
+
+      if (['setProcessing', 'sessionInfo', 'userInput', 'queueUpdated'].includes(message.type)) {
+        this._onChange();
+      }
+    };
+
+    this._sessions.set(key, session);
+    this._onChange();
+    return session;
+  }
+
+  get(key) {
+    return this._sessions.get(key) || null;
+  }
+
+  // Any session - for project-wide operations like listing stored conversations
+  primary() {
+    return this._sessions.values().next().value;
+  }
+
+  // The live session currently holding a stored conversation, if any
+  findByConversation(sessionId) {
+    for (const session of this._sessions.values()) {
+      const info = session.provider.getSessionInfo();
+      if (info && info.sessionId === sessionId) return session;
+    }
+    return null;
+  }
+
+  close(key) {
+    const session = this._sessions.get(key);
+    if (!session) return false;
+
+    session.provider.cleanup();
+    this._sessions.delete(key);
+
+    // Always keep one session around
+    if (this._sessions.size === 0) {
+      this.create();
+    } else {
+      this._onChange();
+    }
+    return true;
+  }
+
+  forEach(callback) {
+    this._sessions.forEach(callback);
+  }
+
+  list() {
+    return Array.from(this._sessions.values()).map(session => {
+      const info = session.provider.getSessionInfo();
+      return {
+        sessionKey: session.key,
+        sessionId: info ? info.sessionId : null,
+        title: session.provider.getTitle(),
+        isProcessing: session.provider.isProcessing(),
+        queued: session.provider.getQueue().items.length
+      };
+    });
+  }
+
+  cleanup() {
+    this._sessions.forEach(session => session.provider.cleanup());
+    this._sessions.clear();
+  }
+}
+
+module.exports = SessionManager;
@@ -10,8 +10,8 @@ PROJECT_DIR=$(cd "$PROJECT_DIR" && pwd)
 
 echo "Starting Claude Code Chat Web Server..."
 echo "Project directory: $PROJECT_DIR"
-echo "Server will be available at: http://localhost:3000"
+echo "Server will be available at: http://localhost:${PORT:-3000}"
 echo ""
 
 # Start the server
-node server.js "$PROJECT_DIR"
\ No newline at end of file
+node server.js "$PROJECT_DIR" "${@:2}"
\ No newline at end of file
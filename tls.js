@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const log = require('./logger');
+
+const CA_DAYS = 3650;
+// Longest server certificate lifetime iOS still accepts
+const SERVER_DAYS = 825;
+// Reissue the server certificate this long before it expires
+const RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function openssl(args, cwd) {
+  try {
+    execFileSync('openssl', args, { cwd, stdio: 'pipe' });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('openssl is required to generate TLS certificates but was not found on PATH');
+    }
+    throw new Error(`openssl ${args[0]} failed: ${(error.stderr || error.message).toString().trim()}`);
+  }
+}
+
+// Every name a phone on the LAN might use to reach this machine
+function detectNames(extraNames = []) {
+  const hostname = os.hostname();
+  const names = new Set(['localhost', '127.0.0.1', '::1', hostname]);
+  if (!hostname.includes('.')) {
+    names.add(`${hostname}.local`);
+  }
+
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses || []) {
+      // Link-local IPv6 needs a zone id, which certificates cannot carry
+      if (address.internal || address.address.startsWith('fe80:')) continue;
+      names.add(address.address);
+    }
+  }
+
+  extraNames.forEach(name => names.add(name));
+  return Array.from(names);
+}
+
+function subjectAltName(names) {
+  return names.map(name => (net.isIP(name) ? `IP:${name}` : `DNS:${name}`)).join(',');
+}
+
+// True if the certificate is still valid for a while and covers every name
+function isUsable(certPath, caPath, names) {
+  try {
+    const cert = new crypto.X509Certificate(fs.readFileSync(certPath));
+    const ca = new crypto.X509Certificate(fs.readFileSync(caPath));
+    if (!cert.checkIssued(ca)) return false;
+    if (new Date(cert.validTo).getTime() - Date.now() < RENEW_BEFORE_MS) return false;
+
+    return names.every(name => (net.isIP(name) ? cert.checkIP(name) : cert.checkHost(name)));
+  } catch {
+    return false;
+  }
+}
+
+function createCA(dir) {
+  openssl([
+    'req', '-x509', '-new', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+    '-days', String(CA_DAYS),
+    '-keyout', 'ca.key', '-out', 'ca.crt',
+    '-subj', `/CN=Claude Code Chat Local CA (${os.hostname()})`,
+    '-addext', 'basicConstraints=critical,CA:TRUE',
+    '-addext', 'keyUsage=critical,keyCertSign,cRLSign'
+  ], dir);
+  fs.chmodSync(path.join(dir, 'ca.key'), 0o600);
+  log.info(`Created local certificate authority in ${dir}`);
+}
+
+function createServerCertificate(dir, names) {
+  const extFile = path.join(dir, 'server.ext');
+  fs.writeFileSync(extFile, [
+    'basicConstraints=CA:FALSE',
+    'keyUsage=critical,digitalSignature,keyEncipherment',
+    'extendedKeyUsage=serverAuth',
+    `subjectAltName=${subjectAltName(names)}`
+  ].join('\n') + '\n');
+
+  try {
+    openssl([
+      'req', '-new', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+      '-keyout', 'server.key', '-out', 'server.csr',
+      '-subj', `/CN=${os.hostname()}`
+    ], dir);
+    openssl([
+      'x509', '-req', '-sha256', '-in', 'server.csr',
+      '-CA', 'ca.crt', '-CAkey', 'ca.key',
+      '-set_serial', `0x${crypto.randomBytes(16).toString('hex')}`,
+      '-days', String(SERVER_DAYS),
+      '-extfile', 'server.ext', '-out', 'server.crt'
+    ], dir);
+  } finally {
+    fs.rmSync(extFile, { force: true });
+    fs.rmSync(path.join(dir, 'server.csr'), { force: true });
+  }
+  fs.chmodSync(path.join(dir, 'server.key'), 0o600);
+  log.info(`Issued server certificate for ${names.join(', ')}`);
+}
+
+// Load the local CA and server certificate from dir, creating them on first
+// run and reissuing the server certificate when it is about to expire or the
+// machine picked up a name or address it does not cover yet.
+function ensureCertificates(dir, extraNames = []) {
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const caPath = path.join(dir, 'ca.crt');
+  const certPath = path.join(dir, 'server.crt');
+  const keyPath = path.join(dir, 'server.key');
+  const names = detectNames(extraNames);
+
+  if (!fs.existsSync(caPath) || !fs.existsSync(path.join(dir, 'ca.key'))) {
+    createCA(dir);
+  }
+  if (!fs.existsSync(keyPath) || !isUsable(certPath, caPath, names)) {
+    createServerCertificate(dir, names);
+  }
+
+  return {
+    key: fs.readFileSync(keyPath),
+    cert: fs.readFileSync(certPath),
+    caCert: fs.readFileSync(caPath),
+    caCertPath: caPath,
+    names
+  };
+}
+
+module.exports = { ensureCertificates };
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+// Fields of a conversation kept in the index, enough to list it
+const LISTED_FIELDS = ['sessionId', 'title', 'startTime', 'endTime', 'totalCost', 'parentSessionId', 'previousSessionIds', 'forkBase'];
+
+// A transcript is JSONL: one line per message, appended as it arrives, and a
+// { "conversation": {...} } line whenever the details that are not messages
+// (title, totals, end time) change. Later details replace earlier ones.
+// Lines that do not parse, such as one cut short by a crash, are skipped.
+function parseTranscript(content) {
+  const conversation = {};
+  const messages = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (record && record.conversation) Object.assign(conversation, record.conversation);
+    else if (record) messages.push(record);
+  }
+  return { ...conversation, messageCount: messages.length, messages };
+}
+
+function detailsLine(conversation) {
+  const { messages, messageCount, ...details } = conversation;
+  return JSON.stringify({ conversation: details });
+}
+
+// Stored conversations, one transcript file per session id, with an index
+// of what the history list shows so that listing and finding a conversation
+// reads one small file. Deleted conversations move to the trash folder and
+// stay in the index until restored or purged.
+//
+// Conversations saved by earlier versions as a single JSON file each are
+// turned into transcripts when the store opens.
+class TranscriptStore {
+  constructor(conversationsPath, trashPath) {
+    this.conversationsPath = conversationsPath;
+    this.trashPath = trashPath;
+    this.indexPath = path.join(conversationsPath, INDEX_FILE);
+    this._conversations = new Map(); // session id -> index entry
+    this._trash = new Map(); // session id -> index entry with trashedAt
+    this._purged = new Set(); // Claude session ids of conversations deleted for good
+    this._load();
+  }
+
+  pathFor(fileName) {
+    return path.join(this.conversationsPath, fileName);
+  }
+
+  // Index entries, in no particular order:
+  // [{ sessionId, title, startTime, endTime, messageCount, totalCost,
+  //    parentSessionId, previousSessionIds, fileName }]
+  list() {
+    return Array.from(this._conversations.values(), entry => this._listed(entry));
+  }
+
+  has(sessionId) {
+    return this._conversations.has(sessionId);
+  }
+
+  // Every Claude session id a conversation stored here has, or had, used,
+  // including those in the trash or deleted from it
+  knownSessionIds() {
+    const ids = new Set(this._purged);
+    for (const entry of [...this._conversations.values(), ...this._trash.values()]) {
+      [entry.sessionId, entry.forkBase, ...(entry.previousSessionIds || [])].forEach(id => id && ids.add(id));
+    }
+    return ids;
+  }
+
+  // Index entry of the conversation that has, or had, sessionId
+  find(sessionId) {
+    if (!sessionId) return null;
+    const entry = this._conversations.get(sessionId) ||
+      Array.from(this._conversations.values()).find(e => (e.previousSessionIds || []).includes(sessionId));
+    return entry ? this._listed(entry) : null;
+  }
+
+  // The whole conversation, messages included; null if there is none
+  read(sessionId) {
+    const entry = this.find(sessionId);
+    if (!entry) return null;
+    return parseTranscript(fs.readFileSync(this.pathFor(entry.fileName), 'utf8'));
+  }
+
+  // Add messages to the end of a conversation's transcript, and its details
+  // if they changed. The index is saved with the details; until then a
+  // crash leaves it behind the transcript, which _load notices.
+  append(sessionId, messages, details = null) {
+    const entry = this._conversations.get(sessionId);
+    if (!entry) {
+      throw new Error(`No stored conversation ${sessionId}`);
+    }
+    const lines = messages.map(message => JSON.stringify(message));
+    if (details) lines.push(detailsLine(details));
+    if (lines.length === 0) return;
+
+    const filePath = this.pathFor(entry.fileName);
+    fs.appendFileSync(filePath, `${lines.join('\n')}\n`);
+    entry.messageCount += messages.length;
+    if (details) Object.assign(entry, this._pick(details));
+    entry.size = fs.statSync(filePath).size;
+    if (details) this._saveIndex();
+  }
+
+  // Store a conversation (details and messages) in place of any transcript
+  // it had, e.g. after a rewind cut it short
+  write(conversation) {
+    const fileName = `${path.basename(conversation.sessionId)}.jsonl`;
+    const filePath = this.pathFor(fileName);
+    const messages = conversation.messages || [];
+    const lines = [...messages.map(message => JSON.stringify(message)), detailsLine(conversation)];
+
+    fs.mkdirSync(this.conversationsPath, { recursive: true });
+    const temp = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(temp, `${lines.join('\n')}\n`);
+    fs.renameSync(temp, filePath);
+
+    this._conversations.set(conversation.sessionId, {
+      ...this._pick(conversation),
+      messageCount: messages.length,
+      fileName,
+      size: fs.statSync(filePath).size
+    });
+    this._saveIndex();
+  }
+
+  // Change some details of a stored conversation, e.g. its title
+  update(sessionId, details) {
+    const entry = this._conversations.get(sessionId);
+    if (!entry) return false;
+    this.append(sessionId, [], { ...this._pick(entry), ...details });
+    return true;
+  }
+
+  remove(sessionId) {
+    const entry = this._conversations.get(sessionId);
+    if (!entry) return;
+    fs.rmSync(this.pathFor(entry.fileName), { force: true });
+    this._conversations.delete(sessionId);
+    this._saveIndex();
+  }
+
+  // Move a conversation to the trash; false if there is no such conversation
+  trash(sessionId) {
+    const entry = this._conversations.get(sessionId);
+    if (!entry) return false;
+    fs.mkdirSync(this.trashPath, { recursive: true });
+    fs.renameSync(this.pathFor(entry.fileName), path.join(this.trashPath, entry.fileName));
+    this._conversations.delete(sessionId);
+    this._trash.set(sessionId, { ...entry, trashedAt: new Date().toISOString() });
+    this._saveIndex();
+    return true;
+  }
+
+  // Index entries of the conversations in the trash, with trashedAt
+  trashed() {
+    return Array.from(this._trash.values(), entry => ({ ...this._listed(entry), trashedAt: entry.trashedAt }));
+  }
+
+  // Put a conversation back from the trash; false if it is not there or a
+  // conversation with its id has been stored since
+  restore(sessionId) {
+    const entry = this._trash.get(sessionId);
+    if (!entry || this._conversations.has(sessionId)) return false;
+    fs.renameSync(path.join(this.trashPath, entry.fileName), this.pathFor(entry.fileName));
+    const { trashedAt, ...restored } = entry;
+    this._trash.delete(sessionId);
+    this._conversations.set(sessionId, restored);
+    this._saveIndex();
+    return true;
+  }
+
+  // Delete a conversation in the trash for good
+  purge(sessionId) {
+    const entry = this._trash.get(sessionId);
+    if (!entry) return false;
+    fs.rmSync(path.join(this.trashPath, entry.fileName), { force: true });
+    this._trash.delete(sessionId);
+    [entry.sessionId, ...(entry.previousSessionIds || [])].forEach(id => this._purged.add(id));
+    this._saveIndex();
+    return true;
+  }
+
+  _pick(conversation) {
+    const picked = {};
+    for (const field of LISTED_FIELDS) {
+      if (conversation[field] !== undefined) picked[field] = conversation[field];
+    }
+    return picked;
+  }
+
+  _listed(entry) {
+    const { size, trashedAt, ...listed } = entry;
+    return { ...listed, previousSessionIds: [...(entry.previousSessionIds || [])] };
+  }
+
+  _load() {
+    fs.mkdirSync(this.conversationsPath, { recursive: true });
+    let index = {};
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8')) || {};
+      }
+    } catch (error) {
+      log.error('Error loading conversation index, rebuilding it:', error);
+    }
+    if (index.version === INDEX_VERSION) {
+      for (const entry of index.conversations || []) this._conversations.set(entry.sessionId, entry);
+      for (const entry of index.trash || []) this._trash.set(entry.sessionId, entry);
+      for (const id of index.purged || []) this._purged.add(id);
+    }
+
+    const migrated = this._migrate(this.conversationsPath, this._conversations) +
+      this._migrate(this.trashPath, this._trash);
+    if (migrated > 0) {
+      log.info(`Converted ${migrated} stored conversation${migrated === 1 ? '' : 's'} to transcripts`);
+    }
+    const reconciled = this._reconcile(this.conversationsPath, this._conversations) +
+      this._reconcile(this.trashPath, this._trash);
+    if (migrated > 0 || reconciled > 0 || index.version !== INDEX_VERSION) this._saveIndex();
+  }
+
+  // Turn the JSON files of earlier versions in dir into transcripts
+  _migrate(dir, entries) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.json') && file !== INDEX_FILE);
+    } catch {
+      return 0;
+    }
+
+    let migrated = 0;
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        const stats = fs.statSync(filePath);
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const conversation = {
+          ...data,
+          sessionId: data.sessionId || path.basename(file, '.json'),
+          endTime: data.endTime || stats.mtime.toISOString()
+        };
+        const fileName = `${path.basename(conversation.sessionId)}.jsonl`;
+        const messages = conversation.messages || [];
+        const lines = [...messages.map(message => JSON.stringify(message)), detailsLine(conversation)];
+        const transcriptPath = path.join(dir, fileName);
+        fs.writeFileSync(transcriptPath, `${lines.join('\n')}\n`);
+        fs.rmSync(filePath);
+
+        const entry = {
+          ...this._pick(conversation),
+          messageCount: messages.length,
+          fileName,
+          size: fs.statSync(transcriptPath).size
+        };
+        // Time in the trash counted from when the file was moved there
+        if (entries === this._trash) entry.trashedAt = stats.mtime.toISOString();
+        entries.set(conversation.sessionId, entry);
+        migrated++;
+      } catch (error) {
+        log.error('Error converting stored conversation:', file, error);
+      }
+    }
+    return migrated;
+  }
+
+  // Bring index entries in line with the transcripts in dir: read the ones
+  // that are new or changed size since the index was saved, and drop the
+  // ones whose file is gone. Returns how many entries changed.
+  _reconcile(dir, entries) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.jsonl'));
+    } catch {
+      files = [];
+    }
+
+    let changed = 0;
+    const present = new Set(files);
+    for (const [sessionId, entry] of Array.from(entries)) {
+      if (!present.has(entry.fileName)) {
+        entries.delete(sessionId);
+        changed++;
+      }
+    }
+
+    const byFile = new Map(Array.from(entries.values(), entry => [entry.fileName, entry]));
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        let stats = fs.statSync(filePath);
+        const known = byFile.get(file);
+        if (known && known.size === stats.size) continue;
+
+        let content = fs.readFileSync(filePath, 'utf8');
+        // A line cut short by a crash must not swallow the next one appended
+        if (content && !content.endsWith('\n')) {
+          fs.appendFileSync(filePath, '\n');
+          content += '\n';
+          stats = fs.statSync(filePath);
+        }
+        const conversation = parseTranscript(content);
+        const sessionId = conversation.sessionId || path.basename(file, '.jsonl');
+        const entry = {
+          ...this._pick(conversation),
+          sessionId,
+          endTime: conversation.endTime || stats.mtime.toISOString(),
+          messageCount: conversation.messageCount,
+          fileName: file,
+          size: stats.size
+        };
+        if (entries === this._trash) entry.trashedAt = (known && known.trashedAt) || stats.mtime.toISOString();
+        entries.set(sessionId, entry);
+        changed++;
+      } catch (error) {
+        log.error('Error reading transcript:', file, error);
+      }
+    }
+    return changed;
+  }
+
+  _saveIndex() {
+    const index = {
+      version: INDEX_VERSION,
+      conversations: Array.from(this._conversations.values()),
+      trash: Array.from(this._trash.values()),
+      purged: Array.from(this._purged)
+    };
+    try {
+      const temp = `${this.indexPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(index));
+      fs.renameSync(temp, this.indexPath);
+    } catch (error) {
+      log.error('Error saving conversation index:', error);
+    }
+  }
+}
+
+TranscriptStore.parseTranscript = parseTranscript;
+
+module.exports = TranscriptStore;
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FileAccess = require('./fileAccess');
+const { diffLines, countChanges, unifiedDiff } = require('./lineDiff');
+const log = require('./logger');
+
+const { FileAccessError } = FileAccess;
+
+// Tools whose input names a file they are about to change
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write']);
+
+// Turns kept on disk; older ones can no longer be diffed or reverted
+const MAX_TURNS = 100;
+
+// What each turn changed in the project. Before an edit tool runs, the file
+// it targets is snapshotted (once per turn); when the turn ends the snapshots
+// are compared with the files on disk and kept, so the changes can be shown
+// and reverted later - with or without git.
+class TurnChanges {
+  // storeDir - where finished turns are kept, one JSON file each
+  constructor(storeDir, fileAccess) {
+    this.storeDir = storeDir;
+    this._fileAccess = fileAccess;
+  }
+
+  start() {
+    return {
+      id: `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      startedAt: new Date().toISOString(),
+      before: new Map() // project-relative path -> content, null if missing
+    };
+  }
+
+  // Called with every tool_use block; ignores tools that do not edit files
+  // and files the app cannot read (outside the project, denied, binary or
+  // too large)
+  snapshotTool(turn, toolName, input) {
+    if (!turn || !EDIT_TOOLS.has(toolName) || !input || typeof input.file_path !== 'string') return;
+
+    const relativePath = this._projectPath(input.file_path);
+    if (relativePath === null || turn.before.has(relativePath)) return;
+
+    const content = this._readText(relativePath);
+    if (content !== undefined) {
+      turn.before.set(relativePath, content);
+    }
+  }
+
+  // Compare the snapshots with the files now and store the turn. Returns the
+  // summary shown to the user, or null if nothing changed.
+  finish(turn, sessionId = null) {
+    if (!turn || turn.before.size === 0) return null;
+
+    const files = [];
+    for (const [filePath, before] of turn.before) {
+      const after = this._readText(filePath);
+      if (after === undefined || after === before) continue;
+
+      const { added, removed } = countChanges(diffLines(before || '', after || ''));
+      files.push({
+        path: filePath,
+        status: before === null ? 'created' : after === null ? 'deleted' : 'modified',
+        added,
+        removed,
+        before,
+        after
+      });
+    }
+    if (files.length === 0) return null;
+
+    const record = {
+      id: turn.id,
+      sessionId,
+      startedAt: turn.startedAt,
+      finishedAt: new Date().toISOString(),
+      files
+    };
+    try {
+      fs.mkdirSync(this.storeDir, { recursive: true });
+      fs.writeFileSync(this._recordPath(turn.id), JSON.stringify(record));
+      this._prune();
+    } catch (error) {
+      log.error('Error saving turn changes:', error);
+      return null;
+    }
+    return this._summary(record);
+  }
+
+  get(turnId) {
+    return this._summary(this._load(turnId));
+  }
+
+  diff(turnId, filePath) {
+    const file = this._file(this._load(turnId), filePath);
+    if (this._fileAccess.isDenied(file.path)) {
+      throw new FileAccessError(403, 'Access denied');
+    }
+    return unifiedDiff(file.path, file.before, file.after);
+  }
+
+  // Put files back the way they were before the turn: all of them, or those
+  // in paths. A file that changed again since the turn ended is left alone
+  // and reported as a conflict, unless force is set.
+  revert(turnId, paths = null, { force = false } = {}) {
+    const record = this._load(turnId);
+    const targets = (paths ? paths.map(p => this._file(record, p)) : record.files).filter(f => !f.reverted);
+
+    const reverted = [];
+    const conflicts = [];
+    for (const file of targets) {
+      try {
+        this._restore(file, force);
+        file.reverted = true;
+        reverted.push(file.path);
+      } catch (error) {
+        if (error.status !== 409) throw error;
+        conflicts.push({ path: file.path, error: error.message });
+      }
+    }
+
+    fs.writeFileSync(this._recordPath(record.id), JSON.stringify(record));
+    return { reverted, conflicts, turn: this._summary(record) };
+  }
+
+  _restore(file, force) {
+    const current = this._readText(file.path);
+    if (current === undefined) {
+      throw new FileAccessError(400, `${file.path} cannot be reverted`);
+    }
+    if (!force && current !== file.after) {
+      throw new FileAccessError(409, current === null ? 'File was deleted' : 'File changed since this turn');
+    }
+    if (current === file.before) return;
+
+    if (file.before === null) {
+      this._fileAccess.remove(file.path, { ifMatch: FileAccess.etagFor(Buffer.from(current, 'utf8')) });
+    } else if (current === null) {
+      this._fileAccess.write(file.path, file.before, { ifNoneMatch: '*' });
+    } else {
+      this._fileAccess.write(file.path, file.before, { ifMatch: FileAccess.etagFor(Buffer.from(current, 'utf8')) });
+    }
+  }
+
+  // Text content, null for a missing file, undefined if it cannot be tracked
+  _readText(relativePath) {
+    try {
+      const file = this._fileAccess.read(relativePath);
+      return file.binary ? undefined : file.content;
+    } catch (error) {
+      return error.status === 404 ? null : undefined;
+    }
+  }
+
+  // Tools are given absolute paths; null if one is outside the project
+  _projectPath(filePath) {
+    const fullPath = path.resolve(this._fileAccess.root, filePath);
+    for (const root of [this._fileAccess.root, this._fileAccess.realRoot]) {
+      const relative = path.relative(root, fullPath);
+      if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return relative.split(path.sep).join('/');
+      }
+    }
+    return null;
+  }
+
+  _summary(record) {
+    return {
+      turnId: record.id,
+      sessionId: record.sessionId,
+      finishedAt: record.finishedAt,
+      files: record.files.map(({ path: filePath, status, added, removed, reverted }) => ({
+        path: filePath, status, added, removed, reverted: !!reverted
+      }))
+    };
+  }
+
+  _load(turnId) {
+    if (typeof turnId !== 'string' || !/^\d+-[0-9a-f]+$/.test(turnId)) {
+      throw new FileAccessError(400, 'Invalid turn');
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this._recordPath(turnId), 'utf8'));
+    } catch {
+      throw new FileAccessError(404, 'Turn changes are no longer available');
+    }
+  }
+
+  _file(record, filePath) {
+    const file = record.files.find(f => f.path === filePath);
+    if (!file) {
+      throw new FileAccessError(404, 'File was not changed in this turn');
+    }
+    return file;
+  }
+
+  _recordPath(turnId) {
+    return path.join(this.storeDir, `${turnId}.json`);
+  }
+
+  _prune() {
+    const records = fs.readdirSync(this.storeDir).filter(f => f.endsWith('.json'));
+    if (records.length <= MAX_TURNS) return;
+
+    // Ids start with a timestamp, so sorting by number is oldest first
+    records.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+    records.slice(0, records.length - MAX_TURNS).forEach(f => fs.rmSync(path.join(this.storeDir, f), { force: true }));
+  }
+}
+
+TurnChanges.EDIT_TOOLS = EDIT_TOOLS;
+
+module.exports = TurnChanges;
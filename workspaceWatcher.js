@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const IgnoreRules = require('./ignoreRules');
+const log = require('./logger');
+
+// Never watched, whatever .gitignore says
+const ALWAYS_IGNORE = ['.git', 'node_modules'];
+
+// Stop tracking beyond this many files rather than exhaust memory
+const MAX_FILES = 200000;
+
+// Changes are gathered for this long before they are reported, so a build
+// writing hundreds of files is one notification
+const DEFAULT_DELAY = 200;
+
+// A report lists at most this many changes; listeners told it was truncated
+// should reload everything instead
+const MAX_CHANGES = 500;
+
+// Where commits, checkouts and staging show up inside .git
+const GIT_DIRS = ['.git', '.git/refs/heads'];
+
+// Keeps track of the project's files and reports what changes on disk,
+// whoever changes it: Claude, a dev server, or a push from another machine.
+// Each directory is watched on its own, so ignored folders (.gitignore at any
+// level, .git/info/exclude, .git, node_modules, the FileAccess deny list and
+// the app's own data folder) cost nothing. Symlinks are not followed.
+//
+// Listeners get { changes: [{ path, kind, directory }], truncated, git }.
+// kind is 'created', 'modified' or 'deleted'; a created or deleted directory
+// is reported once, not file by file. git is true when the repository state
+// (HEAD, the index, branches) changed.
+//
+// options.fileAccess - FileAccess whose deny list applies
+// options.appDataDir - the app's own data folder, never watched
+// options.delay - milliseconds changes are gathered for
+class WorkspaceWatcher {
+  constructor(projectRoot, options = {}) {
+    this.root = path.resolve(projectRoot);
+    this._fileAccess = options.fileAccess || null;
+    this._appData = options.appDataDir ? path.relative(this.root, path.resolve(options.appDataDir)).split(path.sep).join('/') : null;
+    this._alwaysIgnore = new IgnoreRules(ALWAYS_IGNORE);
+    this._delay = options.delay || DEFAULT_DELAY;
+
+    this._files = new Map(); // path -> { name, path, mtimeMs, size }
+    this._dirs = new Map(); // path ('' for the root) -> { watcher, rules, files: Set, dirs: Set }
+    this._gitWatchers = [];
+    this._listeners = new Set();
+    this._dirty = new Set();
+    this._gitChanged = false;
+    this._timer = null;
+    this._closed = false;
+    this.truncated = false;
+
+    // Resolves once the first scan is done; rescans are chained onto it
+    this.ready = this._build();
+  }
+
+  // Tracked files by project-relative path: { name, path, mtimeMs, size }.
+  // Complete once ready has resolved.
+  get files() {
+    return this._files;
+  }
+
+  // Returns a function that removes the listener
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  close() {
+    this._closed = true;
+    clearTimeout(this._timer);
+    for (const dir of this._dirs.values()) {
+      if (dir.watcher) dir.watcher.close();
+    }
+    this._gitWatchers.forEach(watcher => watcher.close());
+    this._dirs.clear();
+    this._files.clear();
+    this._listeners.clear();
+  }
+
+  async _build() {
+    try {
+      const started = Date.now();
+      await this._indexDir('');
+      this._watchGit();
+      log.debug(`Watching ${this._files.size} files in ${this._dirs.size} folders (${Date.now() - started}ms)`);
+    } catch (error) {
+      log.error('Error scanning project files:', error);
+    }
+  }
+
+  // Read a directory into the map and watch it. Subdirectories are read too;
+  // with shallow, only those not known yet. Differences from what was known
+  // are added to changes when given.
+  async _indexDir(dirPath, shallow = false, changes = null) {
+    if (this._closed) return;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(this.root, dirPath), { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.warn(`Not watching ${dirPath || '.'}: ${error.message}`);
+      return;
+    }
+
+    const dir = this._dirs.get(dirPath) || { watcher: null, rules: null, files: new Set(), dirs: new Set() };
+    this._dirs.set(dirPath, dir);
+    dir.rules = this._loadRules(dirPath);
+    if (!dir.watcher) dir.watcher = this._watch(dirPath);
+
+    const subdirs = [];
+    const stats = [];
+    for (const entry of entries) {
+      const relativePath = dirPath ? `${dirPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!this.isIgnored(relativePath, true)) {
+          dir.dirs.add(entry.name);
+          subdirs.push(relativePath);
+        }
+      } else if (entry.isFile() && !this.isIgnored(relativePath, false)) {
+        stats.push(this._addFile(dir, relativePath, entry.name, changes));
+      }
+    }
+    await Promise.all(stats);
+
+    for (const subdir of subdirs) {
+      if (shallow && this._dirs.has(subdir)) continue;
+      // The files of a new directory are reported with it
+      if (changes) changes.push({ path: subdir, kind: 'created', directory: true });
+      await this._indexDir(subdir);
+    }
+  }
+
+  async _addFile(dir, relativePath, name, changes) {
+    const known = this._files.get(relativePath);
+    if (this._files.size >= MAX_FILES && !known) {
+      if (!this.truncated) log.warn(`Project has more than ${MAX_FILES} files; changes beyond them are not tracked`);
+      this.truncated = true;
+      return;
+    }
+    try {
+      const stats = await fs.promises.stat(path.join(this.root, relativePath));
+      dir.files.add(name);
+      this._files.set(relativePath, { name, path: relativePath, mtimeMs: stats.mtimeMs, size: stats.size });
+      if (changes && !known) {
+        changes.push({ path: relativePath, kind: 'created', directory: false });
+      } else if (changes && (known.mtimeMs !== stats.mtimeMs || known.size !== stats.size)) {
+        changes.push({ path: relativePath, kind: 'modified', directory: false });
+      }
+    } catch {
+      // Deleted while scanning
+    }
+  }
+
+  // The .gitignore rules a directory adds (plus .git/info/exclude at the root)
+  _loadRules(dirPath) {
+    const sources = [path.join(this.root, dirPath, '.gitignore')];
+    if (!dirPath) sources.push(path.join(this.root, '.git', 'info', 'exclude'));
+
+    const patterns = [];
+    for (const source of sources) {
+      try {
+        patterns.push(...IgnoreRules.parse(fs.readFileSync(source, 'utf8')));
+      } catch {
+        // No such file
+      }
+    }
+    return patterns.length > 0 ? new IgnoreRules(patterns, dirPath) : null;
+  }
+
+  // Whether a project path is left out by the rules above. Rules come from
+  // the .gitignore files of watched directories.
+  isIgnored(relativePath, isDirectory) {
+    if (relativePath === this._appData || this._alwaysIgnore.matches(relativePath, isDirectory)) return true;
+    if (this._fileAccess && this._fileAccess.isDenied(relativePath)) return true;
+
+    // Rules of deeper .gitignore files override those above them
+    let ignored = null;
+    const segments = relativePath.split('/');
+    for (let depth = 0; depth < segments.length; depth++) {
+      const dir = this._dirs.get(segments.slice(0, depth).join('/'));
+      const result = dir && dir.rules ? dir.rules.test(relativePath, isDirectory) : null;
+      if (result !== null) ignored = result;
+    }
+    return ignored === true;
+  }
+
+  _watch(dirPath) {
+    try {
+      const watcher = fs.watch(path.join(this.root, dirPath), { persistent: false }, () => this._markDirty(dirPath));
+      watcher.on('error', () => this._markDirty(dirPath));
+      return watcher;
+    } catch (error) {
+      // e.g. out of inotify watches; the directory is still scanned once
+      log.warn(`Not watching ${dirPath || '.'}: ${error.message}`);
+      return null;
+    }
+  }
+
+  _watchGit() {
+    for (const gitDir of GIT_DIRS) {
+      try {
+        const watcher = fs.watch(path.join(this.root, gitDir), { persistent: false }, (event, name) => {
+          // Lock files come and go around every write
+          if (name && name.endsWith('.lock')) return;
+          this._gitChanged = true;
+          this._schedule();
+        });
+        watcher.on('error', () => {});
+        this._gitWatchers.push(watcher);
+      } catch {
+        // Not a git repository (or not its top level)
+      }
+    }
+  }
+
+  _markDirty(dirPath) {
+    this._dirty.add(dirPath);
+    this._schedule();
+  }
+
+  _schedule() {
+    if (this._timer || this._closed) return;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      const dirs = Array.from(this._dirty);
+      const git = this._gitChanged;
+      this._dirty.clear();
+      this._gitChanged = false;
+      this.ready = this.ready
+        .then(() => this._rescan(dirs))
+        .then(changes => this._notify(changes, git))
+        .catch(error => log.error('Error rescanning project files:', error));
+    }, this._delay);
+  }
+
+  // Bring the map in line with what changed in these directories; returns
+  // the changes found
+  async _rescan(dirPaths) {
+    const changes = [];
+    for (const dirPath of dirPaths) {
+      const dir = this._dirs.get(dirPath);
+      if (!dir || this._closed) continue;
+
+      // A changed .gitignore can hide or reveal anything below it
+      const rules = this._loadRules(dirPath);
+      if (JSON.stringify(rules && rules.patterns) !== JSON.stringify(dir.rules && dir.rules.patterns)) {
+        const before = this._forget(dirPath);
+        await this._indexDir(dirPath);
+        this._diffSubtree(dirPath, before, changes);
+        continue;
+      }
+
+      let names;
+      try {
+        names = new Set(await fs.promises.readdir(path.join(this.root, dirPath)));
+      } catch {
+        // Deleted; its parent need not report it again
+        const parent = this._dirs.get(dirPath.includes('/') ? dirPath.slice(0, dirPath.lastIndexOf('/')) : '');
+        if (parent) parent.dirs.delete(path.basename(dirPath));
+        this._forget(dirPath);
+        changes.push({ path: dirPath, kind: 'deleted', directory: true });
+        continue;
+      }
+
+      for (const name of dir.files) {
+        if (!names.has(name)) {
+          const filePath = dirPath ? `${dirPath}/${name}` : name;
+          dir.files.delete(name);
+          this._files.delete(filePath);
+          changes.push({ path: filePath, kind: 'deleted', directory: false });
+        }
+      }
+      for (const name of dir.dirs) {
+        if (!names.has(name)) {
+          const subdir = dirPath ? `${dirPath}/${name}` : name;
+          dir.dirs.delete(name);
+          this._forget(subdir);
+          changes.push({ path: subdir, kind: 'deleted', directory: true });
+        }
+      }
+      // New entries are added, existing files get their new mtime
+      await this._indexDir(dirPath, true, changes);
+    }
+    return changes;
+  }
+
+  // Changes between the files a subtree had (before) and has now
+  _diffSubtree(dirPath, before, changes) {
+    const prefix = dirPath ? `${dirPath}/` : '';
+    for (const [filePath, file] of this._files) {
+      if (!filePath.startsWith(prefix)) continue;
+      const old = before.get(filePath);
+      if (!old) {
+        changes.push({ path: filePath, kind: 'created', directory: false });
+      } else if (old.mtimeMs !== file.mtimeMs || old.size !== file.size) {
+        changes.push({ path: filePath, kind: 'modified', directory: false });
+      }
+    }
+    for (const filePath of before.keys()) {
+      if (!this._files.has(filePath)) {
+        changes.push({ path: filePath, kind: 'deleted', directory: false });
+      }
+    }
+  }
+
+  // Drop a directory and everything below it; returns the files it had
+  _forget(dirPath) {
+    const prefix = dirPath ? `${dirPath}/` : '';
+    for (const [candidate, dir] of this._dirs) {
+      if (candidate === dirPath || candidate.startsWith(prefix)) {
+        if (dir.watcher) dir.watcher.close();
+        this._dirs.delete(candidate);
+      }
+    }
+    const removed = new Map();
+    for (const [filePath, file] of this._files) {
+      if (filePath.startsWith(prefix)) {
+        removed.set(filePath, file);
+        this._files.delete(filePath);
+      }
+    }
+    return removed;
+  }
+
+  _notify(changes, git) {
+    if (this._closed || (changes.length === 0 && !git)) return;
+    const report = {
+      changes: changes.slice(0, MAX_CHANGES),
+      truncated: changes.length > MAX_CHANGES,
+      git
+    };
+    for (const listener of this._listeners) {
+      try {
+        listener(report);
+      } catch (error) {
+        log.error('Error handling file changes:', error);
+      }
+    }
+  }
+}
+
+module.exports = WorkspaceWatcher;
@@ -0,0 +1,209 @@
+const { once } = require('events');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+
+// Plain (non-Zip64) archives cannot hold more than this many entries or
+// grow past 4 GB
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// Already compressed; deflating them again only costs CPU
+const STORED_EXTENSIONS = new Set([
+  'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'jar', 'apk', 'whl',
+  'png', 'jpg', 'jpeg', 'gif', 'webp', 'heic', 'avif',
+  'mp3', 'mp4', 'm4a', 'mov', 'webm', 'ogg', 'pdf', 'woff', 'woff2'
+]);
+
+// Sizes and CRCs follow each entry's data, so nothing has to be read twice
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// MS-DOS date and time, which is all a plain zip records
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2)
+  };
+}
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+// Writes a zip archive to a stream as it goes: entries are compressed while
+// they are read, and nothing is buffered beyond the current chunk. Once
+// anything has been written the archive has to be finished or the output
+// destroyed.
+class ZipWriter {
+  constructor(output) {
+    this._output = output;
+    this._entries = [];
+    this._offset = 0;
+  }
+
+  get size() {
+    return this._offset;
+  }
+
+  // Add the file at fullPath as name ("dir/file.txt"). Resolves to false,
+  // writing nothing, if the file cannot be opened (e.g. deleted meanwhile).
+  async addFile(name, fullPath) {
+    if (this._entries.length >= MAX_ENTRIES) {
+      throw new ZipError(`A zip archive holds at most ${MAX_ENTRIES} files`);
+    }
+
+    let input;
+    let stats;
+    try {
+      input = fs.createReadStream(fullPath);
+      await once(input, 'open');
+      stats = await fs.promises.stat(fullPath);
+    } catch {
+      if (input) input.destroy();
+      return false;
+    }
+
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+    const entry = {
+      nameBuffer,
+      method: STORED_EXTENSIONS.has(extension) ? 0 : 8,
+      ...dosDateTime(stats.mtime),
+      mode: stats.mode,
+      offset: this._offset,
+      crc: 0,
+      compressedSize: 0,
+      size: 0
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    // CRC and sizes (14-25) are left zero; the data descriptor has them
+    header.writeUInt16LE(nameBuffer.length, 26);
+    try {
+      await this._write(Buffer.concat([header, nameBuffer]));
+    } catch (error) {
+      input.destroy();
+      throw error;
+    }
+
+    await this._writeData(entry, input);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this._write(descriptor);
+
+    this._entries.push(entry);
+    return true;
+  }
+
+  // Write the central directory; the archive is complete once this resolves
+  async finish() {
+    const start = this._offset;
+    for (const entry of this._entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE((3 << 8) | 20, 4); // made on Unix, so modes are kept
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE((entry.mode & 0xffff) * 0x10000, 38);
+      header.writeUInt32LE(entry.offset, 42);
+      await this._write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this._entries.length, 8);
+    end.writeUInt16LE(this._entries.length, 10);
+    end.writeUInt32LE(this._offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this._write(end);
+
+    await new Promise(resolve => this._output.end(resolve));
+  }
+
+  async _writeData(entry, input) {
+    const checksum = new Transform({
+      transform(chunk, encoding, callback) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    const stages = entry.method === 8 ? [input, checksum, zlib.createDeflateRaw()] : [input, checksum];
+
+    await pipeline(...stages, async (data) => {
+      for await (const chunk of data) {
+        entry.compressedSize += chunk.length;
+        await this._write(chunk);
+      }
+    });
+  }
+
+  _write(buffer) {
+    if (this._offset + buffer.length > MAX_OFFSET) {
+      return Promise.reject(new ZipError('A zip archive can be at most 4 GB'));
+    }
+    if (this._output.destroyed) {
+      return Promise.reject(new ZipError('Output closed'));
+    }
+    this._offset += buffer.length;
+    if (this._output.write(buffer)) return Promise.resolve();
+
+    // Wait for the client to catch up before reading more
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        this._output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        this._output.off('drain', onDrain);
+        reject(new ZipError('Output closed'));
+      };
+      this._output.once('drain', onDrain);
+      this._output.once('close', onClose);
+    });
+  }
+}
+
+ZipWriter.MAX_ENTRIES = MAX_ENTRIES;
+ZipWriter.ZipError = ZipError;
+
+module.exports = ZipWriter;